@@ -0,0 +1,148 @@
+/**
+ * Album View Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Album Configuration
+// ==========================================================================
+
+const ALBUM_CONFIG = {
+  ROUTE_PATTERN: /^album\/([\w-]+)$/,
+  EXIT_HASH: '#portfolio'
+};
+
+// ==========================================================================
+// Album View Class
+// ==========================================================================
+
+class AlbumView {
+  constructor(gallery, lightbox, router, optimizer) {
+    this.gallery = gallery;
+    this.lightbox = lightbox;
+    this.router = router;
+    this.optimizer = optimizer;
+    this.album = document.getElementById('album');
+    this.title = document.querySelector('.album__title');
+    this.description = document.querySelector('.album__description');
+    this.grid = document.querySelector('.album__grid');
+    this.currentCategory = null;
+    this.isOpen = false;
+
+    this.handleGridClick = this.handleGridClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleLanguageChange = this.handleLanguageChange.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    if (!this.album) {
+      console.warn('Album element not found');
+      return;
+    }
+
+    this.router.register({
+      pattern: ALBUM_CONFIG.ROUTE_PATTERN,
+      enter: (categoryId) => this.open(categoryId),
+      leave: () => this.close()
+    });
+
+    this.grid.addEventListener('click', this.handleGridClick);
+    document.addEventListener('keydown', this.handleKeydown);
+    document.addEventListener('i18n:change', this.handleLanguageChange);
+  }
+
+  open(categoryId) {
+    const category = this.gallery.getCategory(categoryId);
+
+    if (!category) {
+      console.warn(`Unknown album: ${categoryId}`);
+      this.router.navigate(ALBUM_CONFIG.EXIT_HASH, { replace: true });
+      return;
+    }
+
+    const isNewView = !this.isOpen || this.currentCategory !== categoryId;
+
+    if (this.currentCategory !== categoryId) {
+      this.render(category);
+    }
+
+    if (!this.isOpen) {
+      this.isOpen = true;
+      this.album.hidden = false;
+      document.body.classList.add('album-open');
+      this.album.scrollTop = 0;
+    }
+
+    // Coming back from the lightbox keeps focus on the photo it returned to
+    if (isNewView) {
+      this.title.focus();
+    }
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.album.hidden = true;
+    document.body.classList.remove('album-open');
+  }
+
+  render(category) {
+    this.currentCategory = category.id;
+    this.title.textContent = this.gallery.getCategoryText(category, 'title');
+    this.description.textContent = this.gallery.getCategoryText(category, 'description');
+
+    const fragment = document.createDocumentFragment();
+
+    this.gallery.getPhotosByCategory(category.id).forEach(photo => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'album__item';
+      button.dataset.photoId = photo.id;
+      const title = this.gallery.getPhotoText(photo, 'caption') || this.gallery.getPhotoText(photo, 'alt');
+      button.setAttribute('aria-label', translate('album.itemLabel', { title }, `Ampliar foto: ${title}`));
+      button.appendChild(this.gallery.createImage(photo, IMAGE_LAYOUTS.album, 'album__image'));
+      fragment.appendChild(button);
+    });
+
+    this.grid.replaceChildren(fragment);
+    this.optimizer.lazyLoadImages(this.grid.querySelectorAll('.album__image'));
+  }
+
+  handleGridClick(e) {
+    const item = e.target.closest('.album__item');
+    if (!item) return;
+
+    const index = this.lightbox.findIndexById(item.dataset.photoId);
+    if (index !== -1) {
+      this.lightbox.open(index);
+    }
+  }
+
+  handleLanguageChange() {
+    if (this.currentCategory) {
+      this.render(this.gallery.getCategory(this.currentCategory));
+    }
+  }
+
+  handleKeydown(e) {
+    // The lightbox handles (and prevents) Escape first while it is open
+    if (e.key === 'Escape' && this.isOpen && !e.defaultPrevented) {
+      this.router.navigate(ALBUM_CONFIG.EXIT_HASH);
+    }
+  }
+
+  destroy() {
+    this.close();
+
+    if (this.grid) {
+      this.grid.removeEventListener('click', this.handleGridClick);
+    }
+    document.removeEventListener('keydown', this.handleKeydown);
+    document.removeEventListener('i18n:change', this.handleLanguageChange);
+  }
+}
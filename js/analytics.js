@@ -0,0 +1,157 @@
+/**
+ * Analytics Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Analytics Configuration
+// ==========================================================================
+
+const ANALYTICS_CONFIG = {
+  ENDPOINT_META: 'meta[name="analytics-endpoint"]',
+  DEBUG_PARAM: 'analytics',
+  BATCH_SIZE: 10,
+  FLUSH_INTERVAL: 15000
+};
+
+// Contact links are classified by their href
+const ANALYTICS_CONTACT_CHANNELS = {
+  whatsapp: /^https:\/\/wa\.me\//,
+  email: /^mailto:/,
+  instagram: /^https:\/\/(www\.)?instagram\.com\//
+};
+
+// ==========================================================================
+// Analytics Helpers
+// ==========================================================================
+
+/**
+ * Record an event; a no-op when analytics is disabled or not loaded
+ */
+function trackEvent(type, data) {
+  if (window.analyticsInstance) {
+    window.analyticsInstance.track(type, data);
+  }
+}
+
+// ==========================================================================
+// Analytics Class
+// ==========================================================================
+
+/**
+ * First-party, cookieless event collection. Events carry no identifiers and
+ * are sent in batches with sendBeacon; Do-Not-Track (or Global Privacy
+ * Control) turns collection off entirely. Add `?analytics=debug` to the URL
+ * to log events to the console instead of sending them.
+ */
+class Analytics {
+  constructor() {
+    const meta = document.querySelector(ANALYTICS_CONFIG.ENDPOINT_META);
+
+    this.endpoint = meta ? meta.content.trim() : '';
+    this.debug = new URLSearchParams(window.location.search).get(ANALYTICS_CONFIG.DEBUG_PARAM) === 'debug';
+    this.enabled = !this.isTrackingRefused() && (Boolean(this.endpoint) || this.debug);
+    this.queue = [];
+    this.flushTimer = null;
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.flush = this.flush.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    if (this.debug) {
+      console.info(`[analytics] debug mode, ${this.enabled ? 'logging events' : 'disabled by Do-Not-Track'}`);
+    }
+
+    if (!this.enabled) return;
+
+    document.addEventListener('click', this.handleClick);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    window.addEventListener('pagehide', this.flush);
+  }
+
+  isTrackingRefused() {
+    return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+  }
+
+  track(type, data = {}) {
+    if (!this.enabled) return;
+
+    const event = { type, data, time: Date.now() };
+
+    if (this.debug) {
+      console.info('[analytics]', type, data);
+      return;
+    }
+
+    this.queue.push(event);
+
+    if (this.queue.length >= ANALYTICS_CONFIG.BATCH_SIZE) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(this.flush, ANALYTICS_CONFIG.FLUSH_INTERVAL);
+    }
+  }
+
+  /**
+   * Send queued events. The page path is included but never the hash, which
+   * can hold a client gallery's access code.
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.queue.length === 0) return;
+
+    const payload = JSON.stringify({
+      page: window.location.pathname,
+      lang: document.documentElement.lang,
+      events: this.queue.splice(0)
+    });
+    const body = new Blob([payload], { type: 'application/json' });
+
+    const queued = typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(this.endpoint, body);
+
+    if (!queued) {
+      fetch(this.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {
+        // Analytics never interrupts the visit
+      });
+    }
+  }
+
+  handleClick(e) {
+    const link = e.target.closest('a[href]');
+    if (!link) return;
+
+    const href = link.getAttribute('href');
+    const channel = Object.keys(ANALYTICS_CONTACT_CHANNELS).find(name => ANALYTICS_CONTACT_CHANNELS[name].test(href));
+    if (!channel) return;
+
+    const region = link.closest('section[id], footer');
+    this.track('contact_click', {
+      channel,
+      section: region ? (region.id || region.tagName.toLowerCase()) : null
+    });
+  }
+
+  handleVisibilityChange() {
+    // The last reliable moment to send on mobile
+    if (document.visibilityState === 'hidden') {
+      this.flush();
+    }
+  }
+
+  destroy() {
+    this.flush();
+    document.removeEventListener('click', this.handleClick);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('pagehide', this.flush);
+  }
+}
+
+window.analyticsInstance = new Analytics();
@@ -0,0 +1,290 @@
+/**
+ * Animation Engine Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Animation Configuration
+// ==========================================================================
+
+const ANIMATION_CONFIG = {
+  THRESHOLD: 0.1,
+  ROOT_MARGIN: '0px 0px -50px 0px',
+  COUNT_DURATION: 1000,
+  READY_CLASS: 'has-animations',
+  ANIMATED_CLASS: 'is-animated',
+  // Set on elements that should show their final state without transitioning
+  INSTANT_CLASS: 'is-instant',
+  REDUCED_MOTION_QUERY: '(prefers-reduced-motion: reduce)'
+};
+
+// ==========================================================================
+// Animation Engine Class
+// ==========================================================================
+
+/**
+ * Scroll-driven animations declared in the markup, all on one
+ * IntersectionObserver:
+ *
+ * - `data-animate="fade-up"`: preset from css/components.css, applied when
+ *   the element scrolls into view (`fade-in`, `fade-up`, `flip-up`, or
+ *   `play`, which runs the element's CSS animations only while it is visible)
+ * - `data-animate-delay="200"`: ms to wait before animating
+ * - `data-animate-stagger="100"`: on a container, ms added per animated
+ *   descendant, in document order
+ * - `data-animate-repeat`: animate again every time the element comes back
+ * - `data-count-to="500"` with `data-count-suffix="+"`: count up from zero;
+ *   the element's text is restored when done
+ *
+ * Other components can `watch()` an element on the same observer.
+ */
+class AnimationEngine {
+  constructor() {
+    this.observer = null;
+    this.watchers = new Map();
+    this.counters = new Map();
+    this.motionQuery = window.matchMedia(ANIMATION_CONFIG.REDUCED_MOTION_QUERY);
+
+    this.handleIntersections = this.handleIntersections.bind(this);
+    this.handleMotionChange = this.handleMotionChange.bind(this);
+    this.handleRouteChange = this.handleRouteChange.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    this.observer = new IntersectionObserver(this.handleIntersections, {
+      threshold: ANIMATION_CONFIG.THRESHOLD,
+      rootMargin: ANIMATION_CONFIG.ROOT_MARGIN
+    });
+
+    this.observeAll(document);
+    document.documentElement.classList.add(ANIMATION_CONFIG.READY_CLASS);
+
+    this.motionQuery.addEventListener('change', this.handleMotionChange);
+    document.addEventListener('route:change', this.handleRouteChange);
+  }
+
+  /**
+   * Pick up declarative animations inside `root`, e.g. after rendering a view
+   */
+  observeAll(root) {
+    root.querySelectorAll('[data-animate], [data-count-to]').forEach(element => {
+      this.applyDelay(element);
+      this.observer.observe(element);
+    });
+  }
+
+  /**
+   * Call `callback(entry)` on every intersection change of `element`
+   */
+  watch(element, callback) {
+    this.watchers.set(element, callback);
+    this.observer.observe(element);
+  }
+
+  unwatch(element) {
+    this.watchers.delete(element);
+
+    if (!element.matches('[data-animate], [data-count-to]')) {
+      this.observer.unobserve(element);
+    }
+  }
+
+  get reduceMotion() {
+    return this.motionQuery.matches;
+  }
+
+  // ==========================================================================
+  // Timing
+  // ==========================================================================
+
+  /**
+   * Own delay plus the stagger of the nearest staggered container
+   */
+  getDelay(element) {
+    let delay = Number(element.dataset.animateDelay) || 0;
+    const group = element.parentElement && element.parentElement.closest('[data-animate-stagger]');
+
+    if (group) {
+      const index = Array.from(group.querySelectorAll('[data-animate]')).indexOf(element);
+      delay += Math.max(0, index) * (Number(group.dataset.animateStagger) || 0);
+    }
+
+    return delay;
+  }
+
+  applyDelay(element) {
+    if (element.hasAttribute('data-animate')) {
+      element.style.setProperty('--animate-delay', `${this.getDelay(element)}ms`);
+    }
+  }
+
+  isRepeating(element) {
+    return element.hasAttribute('data-animate-repeat') || element.dataset.animate === 'play';
+  }
+
+  // ==========================================================================
+  // Intersections
+  // ==========================================================================
+
+  handleIntersections(entries) {
+    entries.forEach(entry => {
+      const element = entry.target;
+      const watcher = this.watchers.get(element);
+
+      if (watcher) {
+        watcher(entry);
+      }
+
+      if (!element.matches('[data-animate], [data-count-to]')) return;
+
+      if (entry.isIntersecting) {
+        this.enter(element);
+      } else if (this.isRepeating(element)) {
+        this.leave(element);
+      }
+    });
+  }
+
+  enter(element) {
+    element.classList.remove(ANIMATION_CONFIG.INSTANT_CLASS);
+    element.classList.add(ANIMATION_CONFIG.ANIMATED_CLASS);
+
+    if (element.hasAttribute('data-count-to')) {
+      this.startCount(element);
+    }
+
+    if (!this.isRepeating(element) && !this.watchers.has(element)) {
+      this.observer.unobserve(element);
+    }
+  }
+
+  /**
+   * Reset a repeating element so it animates again on the way back
+   */
+  leave(element) {
+    if (!element.classList.contains(ANIMATION_CONFIG.ANIMATED_CLASS)) return;
+
+    element.classList.remove(ANIMATION_CONFIG.ANIMATED_CLASS);
+
+    if (element.hasAttribute('data-count-to')) {
+      this.finishCount(element);
+    }
+  }
+
+  /**
+   * Show an element in its final state right away
+   */
+  complete(element) {
+    element.classList.add(ANIMATION_CONFIG.ANIMATED_CLASS, ANIMATION_CONFIG.INSTANT_CLASS);
+
+    if (element.hasAttribute('data-count-to')) {
+      this.finishCount(element);
+    }
+
+    if (!this.isRepeating(element) && !this.watchers.has(element)) {
+      this.observer.unobserve(element);
+    }
+  }
+
+  // ==========================================================================
+  // Counters
+  // ==========================================================================
+
+  startCount(element) {
+    this.finishCount(element);
+
+    const target = Number(element.dataset.countTo);
+    if (!Number.isFinite(target) || this.reduceMotion) return;
+
+    const finalText = element.textContent;
+    const suffix = element.dataset.countSuffix || '';
+    const animated = element.closest('[data-animate]');
+    const startTime = performance.now() + (animated ? this.getDelay(animated) : 0);
+
+    element.textContent = `0${suffix}`;
+
+    const update = (time) => {
+      const progress = Math.max(0, Math.min((time - startTime) / ANIMATION_CONFIG.COUNT_DURATION, 1));
+      element.textContent = `${Math.floor(target * this.easeOut(progress))}${suffix}`;
+
+      if (progress < 1) {
+        this.counters.set(element, { frame: requestAnimationFrame(update), finalText });
+      } else {
+        this.finishCount(element);
+      }
+    };
+
+    this.counters.set(element, { frame: requestAnimationFrame(update), finalText });
+  }
+
+  /**
+   * Stop a running count and put the original text back
+   */
+  finishCount(element) {
+    const counter = this.counters.get(element);
+    if (!counter) return;
+
+    cancelAnimationFrame(counter.frame);
+    element.textContent = counter.finalText;
+    this.counters.delete(element);
+  }
+
+  easeOut(t) {
+    return 1 - Math.pow(1 - t, 3);
+  }
+
+  // ==========================================================================
+  // Events
+  // ==========================================================================
+
+  /**
+   * Turning on reduced motion mid-visit ends running counts; CSS drops the
+   * transitions through the same media query
+   */
+  handleMotionChange() {
+    if (this.reduceMotion) {
+      Array.from(this.counters.keys()).forEach(element => this.finishCount(element));
+    }
+  }
+
+  handleRouteChange(e) {
+    const section = e.detail.section && document.getElementById(e.detail.section);
+    if (!section) return;
+
+    // Elements the navigation jumped past show their final state
+    document.querySelectorAll('[data-animate], [data-count-to]').forEach(element => {
+      const isSkipped = element.compareDocumentPosition(section) & Node.DOCUMENT_POSITION_FOLLOWING;
+
+      if (isSkipped && !element.classList.contains(ANIMATION_CONFIG.ANIMATED_CLASS) && !this.isRepeating(element)) {
+        this.complete(element);
+      }
+    });
+  }
+
+  destroy() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    Array.from(this.counters.keys()).forEach(element => this.finishCount(element));
+    this.watchers.clear();
+
+    this.motionQuery.removeEventListener('change', this.handleMotionChange);
+    document.removeEventListener('route:change', this.handleRouteChange);
+    document.documentElement.classList.remove(ANIMATION_CONFIG.READY_CLASS);
+  }
+}
+
+// ==========================================================================
+// Module Exports
+// ==========================================================================
+
+// App creates the engine in the page; tests require() it
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ANIMATION_CONFIG, AnimationEngine };
+}
@@ -0,0 +1,383 @@
+/**
+ * Availability Calendar Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Availability Configuration
+// ==========================================================================
+
+const AVAILABILITY_CONFIG = {
+  // A .json file ({ booked: [], tentative: [] }) or an .ics export of the booking calendar
+  SOURCE_URL: 'data/availability.json',
+  MONTHS_AHEAD: 18,
+  LOCALE: 'es-AR' // Used until translations load
+};
+
+const AVAILABILITY_STATUS_LABELS = {
+  free: 'libre',
+  booked: 'reservado',
+  tentative: 'a confirmar',
+  past: 'no disponible'
+};
+
+// ==========================================================================
+// Availability Helpers
+// ==========================================================================
+
+/**
+ * Booked and tentative days from an iCalendar export; multi-day events cover
+ * every day up to their (exclusive) DTEND
+ */
+function parseAvailabilityIcs(text) {
+  const availability = { booked: [], tentative: [] };
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  let event = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        const status = event.status === 'TENTATIVE' ? 'tentative' : 'booked';
+        const end = event.end || new Date(event.start.getFullYear(), event.start.getMonth(), event.start.getDate() + 1);
+
+        for (let day = new Date(event.start); day < end; day.setDate(day.getDate() + 1)) {
+          availability[status].push(formatLocalDate(day));
+        }
+      }
+      event = null;
+      return;
+    }
+
+    if (!event) return;
+
+    const match = line.match(/^(DTSTART|DTEND|STATUS)[^:]*:(.+)$/);
+    if (!match) return;
+
+    if (match[1] === 'STATUS') {
+      event.status = match[2].trim();
+    } else {
+      // A malformed date drops that line, not the whole calendar
+      const date = match[2].match(/^(\d{4})(\d{2})(\d{2})/);
+      if (!date) return;
+
+      const [, year, month, day] = date;
+      event[match[1] === 'DTSTART' ? 'start' : 'end'] = new Date(year, month - 1, day);
+    }
+  });
+
+  return availability;
+}
+
+// ==========================================================================
+// Availability Calendar Class
+// ==========================================================================
+
+class AvailabilityCalendar {
+  constructor() {
+    this.container = document.querySelector('.availability');
+    this.grid = document.querySelector('.availability__grid');
+    this.monthLabel = document.querySelector('.availability__month');
+    this.prevButton = document.querySelector('.availability__nav--prev');
+    this.nextButton = document.querySelector('.availability__nav--next');
+    this.selection = document.querySelector('.availability__selection');
+
+    this.statuses = new Map();
+    this.today = parseLocalDate(formatLocalDate(new Date()));
+    this.minMonth = new Date(this.today.getFullYear(), this.today.getMonth(), 1);
+    this.maxMonth = new Date(this.today.getFullYear(), this.today.getMonth() + AVAILABILITY_CONFIG.MONTHS_AHEAD - 1, 1);
+    this.viewMonth = new Date(this.minMonth);
+    this.focusedDate = new Date(this.today);
+    this.selectedDate = null;
+    this.loadFailed = false;
+
+    this.createFormatters();
+
+    this.handleGridClick = this.handleGridClick.bind(this);
+    this.handleGridKeydown = this.handleGridKeydown.bind(this);
+    this.handleLanguageChange = this.handleLanguageChange.bind(this);
+    this.showPrevMonth = () => this.changeMonth(-1);
+    this.showNextMonth = () => this.changeMonth(1);
+
+    this.ready = this.init();
+  }
+
+  async init() {
+    if (!this.container || !this.grid) return;
+
+    this.grid.addEventListener('click', this.handleGridClick);
+    this.grid.addEventListener('keydown', this.handleGridKeydown);
+    this.prevButton.addEventListener('click', this.showPrevMonth);
+    this.nextButton.addEventListener('click', this.showNextMonth);
+    document.addEventListener('i18n:change', this.handleLanguageChange);
+
+    try {
+      await this.loadAvailability();
+    } catch (error) {
+      console.error('Failed to load availability:', error);
+      this.loadFailed = true;
+      this.setSelectionMessage(translate('availability.loadError', null, 'No pudimos cargar la disponibilidad. Escribime y te confirmo la fecha.'));
+    }
+
+    this.render();
+  }
+
+  async loadAvailability() {
+    const response = await fetch(AVAILABILITY_CONFIG.SOURCE_URL);
+
+    if (!response.ok) {
+      throw new Error(`Availability request failed with status ${response.status}`);
+    }
+
+    const availability = /\.ics$/i.test(AVAILABILITY_CONFIG.SOURCE_URL)
+      ? parseAvailabilityIcs(await response.text())
+      : await response.json();
+
+    // Booked wins when a day appears in both lists
+    (availability.tentative || []).forEach(date => this.statuses.set(date, 'tentative'));
+    (availability.booked || []).forEach(date => this.statuses.set(date, 'booked'));
+  }
+
+  createFormatters() {
+    this.locale = window.i18nInstance ? window.i18nInstance.getLocale() : AVAILABILITY_CONFIG.LOCALE;
+    this.monthFormatter = new Intl.DateTimeFormat(this.locale, { month: 'long', year: 'numeric' });
+    this.dayFormatter = new Intl.DateTimeFormat(this.locale, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    this.weekdayFormatter = new Intl.DateTimeFormat(this.locale, { weekday: 'short' });
+    this.weekdayLongFormatter = new Intl.DateTimeFormat(this.locale, { weekday: 'long' });
+  }
+
+  getStatusLabel(status) {
+    return translate(`availability.status.${status}`, null, AVAILABILITY_STATUS_LABELS[status]);
+  }
+
+  getStatus(date) {
+    if (date < this.today) return 'past';
+    return this.statuses.get(formatLocalDate(date)) || 'free';
+  }
+
+  isSelectable(date) {
+    return this.getStatus(date) === 'free';
+  }
+
+  // ==========================================================================
+  // Rendering
+  // ==========================================================================
+
+  render() {
+    const year = this.viewMonth.getFullYear();
+    const month = this.viewMonth.getMonth();
+    const firstDay = new Date(year, month, 1);
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    // Weeks start on Monday
+    const offset = (firstDay.getDay() + 6) % 7;
+
+    this.monthLabel.textContent = this.monthFormatter.format(firstDay);
+    this.prevButton.disabled = this.viewMonth <= this.minMonth;
+    this.nextButton.disabled = this.viewMonth >= this.maxMonth;
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    for (let i = 0; i < 7; i++) {
+      // 2024-01-01 was a Monday
+      const weekday = new Date(2024, 0, 1 + i);
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.abbr = this.weekdayLongFormatter.format(weekday);
+      th.textContent = this.weekdayFormatter.format(weekday).replace('.', '');
+      headRow.appendChild(th);
+    }
+    head.appendChild(headRow);
+
+    const body = document.createElement('tbody');
+    let row = null;
+
+    for (let cell = 0; cell < offset + daysInMonth; cell++) {
+      if (cell % 7 === 0) {
+        row = document.createElement('tr');
+        body.appendChild(row);
+      }
+
+      const td = document.createElement('td');
+      td.setAttribute('role', 'gridcell');
+
+      if (cell >= offset) {
+        td.appendChild(this.createDay(new Date(year, month, cell - offset + 1)));
+      }
+
+      row.appendChild(td);
+    }
+
+    this.grid.replaceChildren(head, body);
+
+    // Restart the month transition; its duration follows the reduced-motion variables
+    this.grid.classList.remove('availability__grid--enter');
+    void this.grid.offsetWidth;
+    this.grid.classList.add('availability__grid--enter');
+  }
+
+  createDay(date) {
+    const value = formatLocalDate(date);
+    const status = this.getStatus(date);
+    const isSelected = this.selectedDate && value === formatLocalDate(this.selectedDate);
+    const button = document.createElement('button');
+
+    button.type = 'button';
+    button.className = `availability__day availability__day--${status}`;
+    button.dataset.date = value;
+    button.textContent = date.getDate();
+    button.tabIndex = value === formatLocalDate(this.focusedDate) ? 0 : -1;
+    button.setAttribute('aria-label', `${this.dayFormatter.format(date)}, ${this.getStatusLabel(status)}`);
+
+    if (status !== 'free') {
+      button.setAttribute('aria-disabled', 'true');
+    }
+
+    if (isSelected) {
+      button.classList.add('is-active');
+      button.setAttribute('aria-pressed', 'true');
+    }
+
+    if (value === formatLocalDate(this.today)) {
+      button.setAttribute('aria-current', 'date');
+    }
+
+    return button;
+  }
+
+  // ==========================================================================
+  // Navigation
+  // ==========================================================================
+
+  changeMonth(delta) {
+    const target = new Date(this.viewMonth.getFullYear(), this.viewMonth.getMonth() + delta, 1);
+    if (target < this.minMonth || target > this.maxMonth) return;
+
+    this.viewMonth = target;
+
+    // Keep the roving focus inside the visible month, never before today
+    const day = Math.min(this.focusedDate.getDate(), new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate());
+    const focused = new Date(target.getFullYear(), target.getMonth(), day);
+    this.focusedDate = focused < this.today ? new Date(this.today) : focused;
+
+    this.render();
+  }
+
+  /**
+   * Move the roving focus to a date, switching months when needed
+   */
+  moveFocus(date) {
+    const month = new Date(date.getFullYear(), date.getMonth(), 1);
+    if (date < this.today || month > this.maxMonth) return;
+
+    this.focusedDate = date;
+
+    if (month.getTime() !== this.viewMonth.getTime()) {
+      this.viewMonth = month;
+      this.render();
+    } else {
+      this.grid.querySelectorAll('.availability__day').forEach(button => {
+        button.tabIndex = -1;
+      });
+    }
+
+    const button = this.grid.querySelector(`[data-date="${formatLocalDate(date)}"]`);
+    if (button) {
+      button.tabIndex = 0;
+      button.focus();
+    }
+  }
+
+  handleGridKeydown(e) {
+    const date = this.focusedDate;
+    const weekday = (date.getDay() + 6) % 7;
+    const moves = {
+      ArrowLeft: () => new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1),
+      ArrowRight: () => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1),
+      ArrowUp: () => new Date(date.getFullYear(), date.getMonth(), date.getDate() - 7),
+      ArrowDown: () => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7),
+      Home: () => new Date(date.getFullYear(), date.getMonth(), date.getDate() - weekday),
+      End: () => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 6 - weekday),
+      PageUp: () => new Date(date.getFullYear(), date.getMonth() - 1, date.getDate()),
+      PageDown: () => new Date(date.getFullYear(), date.getMonth() + 1, date.getDate())
+    };
+
+    if (!moves[e.key]) return;
+
+    e.preventDefault();
+    this.moveFocus(moves[e.key]());
+  }
+
+  // ==========================================================================
+  // Selection
+  // ==========================================================================
+
+  handleGridClick(e) {
+    const button = e.target.closest('.availability__day');
+    if (!button) return;
+
+    const date = parseLocalDate(button.dataset.date);
+    this.focusedDate = date;
+
+    if (!this.isSelectable(date)) {
+      const label = this.dayFormatter.format(date);
+      const status = this.getStatusLabel(this.getStatus(date));
+      this.setSelectionMessage(translate('availability.unavailable', { date: label, status }, `El ${label} está ${status}. Elegí otra fecha o escribime para ver alternativas.`));
+      return;
+    }
+
+    this.select(date);
+  }
+
+  select(date) {
+    this.selectedDate = date;
+    this.render();
+    this.grid.querySelector(`[data-date="${formatLocalDate(date)}"]`).focus();
+
+    this.showSelection();
+
+    // The inquiry form and the contact links (js/contact-links.js) pick the date up
+    document.dispatchEvent(new CustomEvent('availability:select', {
+      detail: { date: formatLocalDate(date) }
+    }));
+  }
+
+  showSelection() {
+    const label = this.dayFormatter.format(this.selectedDate);
+    this.setSelectionMessage(translate('availability.selected', { date: label }, `Elegiste el ${label}. ¡Escribime por WhatsApp o email para reservarla!`));
+  }
+
+  handleLanguageChange() {
+    this.createFormatters();
+    this.render();
+
+    if (this.selectedDate) {
+      this.showSelection();
+    } else if (this.loadFailed) {
+      this.setSelectionMessage(translate('availability.loadError', null, 'No pudimos cargar la disponibilidad. Escribime y te confirmo la fecha.'));
+    } else {
+      this.setSelectionMessage('');
+    }
+  }
+
+  setSelectionMessage(message) {
+    if (this.selection) {
+      this.selection.textContent = message;
+    }
+  }
+
+  destroy() {
+    if (!this.container || !this.grid) return;
+
+    this.grid.removeEventListener('click', this.handleGridClick);
+    this.grid.removeEventListener('keydown', this.handleGridKeydown);
+    this.prevButton.removeEventListener('click', this.showPrevMonth);
+    this.nextButton.removeEventListener('click', this.showNextMonth);
+    document.removeEventListener('i18n:change', this.handleLanguageChange);
+  }
+}
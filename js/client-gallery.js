@@ -0,0 +1,431 @@
+/**
+ * Client Gallery Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Client Gallery Configuration
+// ==========================================================================
+
+const CLIENT_GALLERY_CONFIG = {
+  ROUTE_PATTERN: /^cliente\/?([^/]*)$/,
+  ACCESS_HASH: '#cliente',
+  EXIT_HASH: '#home',
+  // Each gallery lives at <MANIFEST_DIR><sha256 of the access code>.json
+  MANIFEST_DIR: 'data/clients/',
+  FAVORITES_KEY_PREFIX: 'oriana:client-favorites:'
+};
+
+// Spanish copy, used until translations load
+const CLIENT_GALLERY_ERRORS = {
+  codeRequired: 'Ingresá tu código de acceso.',
+  codeInvalid: 'El código no es válido. Revisalo en el email con el que te envié la galería.',
+  loadError: 'No pudimos abrir la galería. Revisá tu conexión y probá de nuevo.'
+};
+
+// ==========================================================================
+// Client Gallery Helpers
+// ==========================================================================
+
+/**
+ * Hex SHA-256 of an access code in lowercase without any whitespace, so
+ * "Lucia y Martin" and "luciaymartin" open the same gallery; the code itself
+ * never ships with the site
+ */
+async function hashAccessCode(code) {
+  const bytes = new TextEncoder().encode(code.replace(/\s+/g, '').toLowerCase());
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * The studio's email, rendered from content/site.json into the inquiry form
+ * (or, without it, the contact mailto link)
+ */
+function getContactEmail() {
+  const form = document.querySelector('.inquiry[data-email]');
+  if (form) return form.dataset.email;
+
+  const link = document.querySelector('.contact__buttons a[href^="mailto:"]');
+  return link ? link.getAttribute('href').replace(/^mailto:/, '').split('?')[0] : '';
+}
+
+function escapeCsvValue(value) {
+  const text = String(value == null ? '' : value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ==========================================================================
+// Client Gallery Class
+// ==========================================================================
+
+class ClientGallery {
+  constructor(router, optimizer) {
+    this.router = router;
+    this.optimizer = optimizer;
+    this.view = document.getElementById('clientGallery');
+    this.title = document.querySelector('.client-gallery__title');
+    this.description = document.querySelector('.client-gallery__description');
+    this.accessForm = document.querySelector('.client-gallery__access');
+    this.accessErrorMessage = document.querySelector('.client-gallery__error');
+    this.toolbar = document.querySelector('.client-gallery__toolbar');
+    this.count = document.querySelector('.client-gallery__count');
+    this.exportButtons = document.querySelectorAll('.client-gallery__export');
+    this.grid = document.querySelector('.client-gallery__grid');
+    this.manifest = null;
+    this.codeHash = null;
+    this.favorites = new Set();
+    this.isOpen = false;
+    this.accessError = null;
+    // Bumped on every open and close, so a code still loading can tell it's out of date
+    this.request = 0;
+
+    this.handleAccessSubmit = this.handleAccessSubmit.bind(this);
+    this.handleGridClick = this.handleGridClick.bind(this);
+    this.handleExport = this.handleExport.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleLanguageChange = this.handleLanguageChange.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    if (!this.view) {
+      console.warn('Client gallery element not found');
+      return;
+    }
+
+    this.router.register({
+      pattern: CLIENT_GALLERY_CONFIG.ROUTE_PATTERN,
+      enter: (code) => this.open(code),
+      leave: () => this.close()
+    });
+
+    this.accessForm.addEventListener('submit', this.handleAccessSubmit);
+    this.grid.addEventListener('click', this.handleGridClick);
+    this.exportButtons.forEach(button => button.addEventListener('click', this.handleExport));
+    document.addEventListener('keydown', this.handleKeydown);
+    document.addEventListener('i18n:change', this.handleLanguageChange);
+  }
+
+  async open(code) {
+    const request = ++this.request;
+
+    if (!this.isOpen) {
+      this.isOpen = true;
+      this.view.hidden = false;
+      document.body.classList.add('client-gallery-open');
+      this.view.scrollTop = 0;
+    }
+
+    if (!code) {
+      this.showAccessForm();
+      return;
+    }
+
+    try {
+      await this.unlock(code, request);
+    } catch (error) {
+      if (request !== this.request) return;
+
+      console.error('Failed to open client gallery:', error);
+      this.showAccessForm('loadError');
+    }
+  }
+
+  close() {
+    this.request++;
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.view.hidden = true;
+    document.body.classList.remove('client-gallery-open');
+  }
+
+  /**
+   * Load the manifest named after the code's hash; a missing file means a wrong
+   * code. Results for a `request` the visitor has since left are dropped.
+   */
+  async unlock(code, request) {
+    const codeHash = await hashAccessCode(code);
+    if (request !== this.request) return;
+
+    if (codeHash !== this.codeHash) {
+      const response = await fetch(`${CLIENT_GALLERY_CONFIG.MANIFEST_DIR}${codeHash}.json`);
+      if (request !== this.request) return;
+
+      if (response.status === 404) {
+        this.showAccessForm('codeInvalid');
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(`Client manifest request failed with status ${response.status}`);
+      }
+
+      const manifest = await response.json();
+      if (request !== this.request) return;
+
+      this.manifest = manifest;
+      this.codeHash = codeHash;
+      this.favorites = this.loadFavorites();
+      this.render();
+    }
+
+    this.showGallery();
+  }
+
+  showGallery() {
+    const { client, title, description } = this.manifest;
+
+    this.title.textContent = title || translate('clientGallery.title', null, 'Galería privada');
+    this.description.textContent = [client, description].filter(Boolean).join(' · ');
+    this.accessForm.hidden = true;
+    this.toolbar.hidden = false;
+    this.grid.hidden = false;
+    this.title.focus();
+  }
+
+  /**
+   * `error` is a key of CLIENT_GALLERY_ERRORS, kept so the message can be re-translated
+   */
+  showAccessForm(error) {
+    this.accessError = error || null;
+    this.renderAccessText();
+    this.accessForm.hidden = false;
+    this.toolbar.hidden = true;
+    this.grid.hidden = true;
+
+    const input = this.accessForm.elements.code;
+    if (error) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+    input.focus();
+  }
+
+  renderAccessText() {
+    this.title.textContent = translate('clientGallery.title', null, 'Galería privada');
+    this.description.textContent = translate('clientGallery.intro', null, 'Ingresá el código que te envié para ver y elegir tus fotos.');
+    this.accessErrorMessage.textContent = this.accessError
+      ? translate(`clientGallery.${this.accessError}`, null, CLIENT_GALLERY_ERRORS[this.accessError])
+      : '';
+  }
+
+  handleAccessSubmit(e) {
+    e.preventDefault();
+
+    const code = this.accessForm.elements.code.value.trim();
+    if (!code) {
+      this.showAccessForm('codeRequired');
+      return;
+    }
+
+    this.router.navigate(`${CLIENT_GALLERY_CONFIG.ACCESS_HASH}/${encodeURIComponent(code)}`, { replace: true });
+  }
+
+  // ==========================================================================
+  // Rendering
+  // ==========================================================================
+
+  render() {
+    const fragment = document.createDocumentFragment();
+    const images = [];
+
+    this.manifest.photos.forEach(photo => {
+      const item = document.createElement('figure');
+      item.className = 'client-gallery__item';
+      item.dataset.photoId = photo.id;
+
+      const picture = createResponsiveImage(photo, {
+        sizes: IMAGE_LAYOUTS.album,
+        className: 'client-gallery__image',
+        alt: photo.alt || ''
+      });
+      images.push(picture.querySelector('img'));
+
+      const caption = document.createElement('figcaption');
+      caption.className = 'client-gallery__caption';
+      caption.textContent = photo.id;
+
+      const favorite = document.createElement('button');
+      favorite.type = 'button';
+      favorite.className = 'client-gallery__favorite';
+      favorite.setAttribute('aria-label', translate('clientGallery.favoriteLabel', { id: photo.id }, `Favorita: ${photo.id}`));
+      favorite.innerHTML = '<span aria-hidden="true">&#9829;</span>';
+
+      item.append(picture, caption, favorite);
+      fragment.appendChild(item);
+    });
+
+    this.grid.replaceChildren(fragment);
+    this.optimizer.lazyLoadImages(images);
+    this.updateFavorites();
+  }
+
+  updateFavorites() {
+    this.grid.querySelectorAll('.client-gallery__item').forEach(item => {
+      const isFavorite = this.favorites.has(item.dataset.photoId);
+      item.classList.toggle('is-active', isFavorite);
+      item.querySelector('.client-gallery__favorite').setAttribute('aria-pressed', String(isFavorite));
+    });
+
+    const total = this.manifest.photos.length;
+    const selected = this.favorites.size;
+
+    this.count.textContent = selected === 1
+      ? translate('clientGallery.countOne', { selected, total }, `${selected} favorita de ${total} fotos`)
+      : translate('clientGallery.countMany', { selected, total }, `${selected} favoritas de ${total} fotos`);
+    this.exportButtons.forEach(button => {
+      button.disabled = selected === 0;
+    });
+  }
+
+  handleGridClick(e) {
+    const button = e.target.closest('.client-gallery__favorite');
+    if (!button) return;
+
+    const id = button.closest('.client-gallery__item').dataset.photoId;
+
+    if (this.favorites.has(id)) {
+      this.favorites.delete(id);
+    } else {
+      this.favorites.add(id);
+    }
+
+    this.saveFavorites();
+    this.updateFavorites();
+  }
+
+  handleLanguageChange() {
+    if (this.manifest) {
+      this.grid.querySelectorAll('.client-gallery__item').forEach(item => {
+        const id = item.dataset.photoId;
+        item.querySelector('.client-gallery__favorite').setAttribute('aria-label', translate('clientGallery.favoriteLabel', { id }, `Favorita: ${id}`));
+      });
+      this.updateFavorites();
+    }
+
+    if (!this.isOpen) return;
+
+    if (this.accessForm.hidden) {
+      this.title.textContent = this.manifest.title || translate('clientGallery.title', null, 'Galería privada');
+    } else {
+      this.renderAccessText();
+    }
+  }
+
+  handleKeydown(e) {
+    if (e.key === 'Escape' && this.isOpen && !e.defaultPrevented) {
+      this.router.navigate(CLIENT_GALLERY_CONFIG.EXIT_HASH);
+    }
+  }
+
+  // ==========================================================================
+  // Favorites Persistence
+  // ==========================================================================
+
+  getFavoritesKey() {
+    return `${CLIENT_GALLERY_CONFIG.FAVORITES_KEY_PREFIX}${this.codeHash}`;
+  }
+
+  loadFavorites() {
+    try {
+      const ids = JSON.parse(localStorage.getItem(this.getFavoritesKey())) || [];
+      const known = new Set(this.manifest.photos.map(photo => photo.id));
+
+      // Drop favorites for photos removed from the manifest since the last visit
+      return new Set(ids.filter(id => known.has(id)));
+    } catch (error) {
+      return new Set();
+    }
+  }
+
+  saveFavorites() {
+    try {
+      localStorage.setItem(this.getFavoritesKey(), JSON.stringify(Array.from(this.favorites)));
+    } catch (error) {
+      // Storage can be unavailable (private mode, quota); favorites still work for this visit
+    }
+  }
+
+  // ==========================================================================
+  // Selection Export
+  // ==========================================================================
+
+  /**
+   * Favorites in manifest order, so the list matches what the client scrolled through
+   */
+  getSelection() {
+    return this.manifest.photos.filter(photo => this.favorites.has(photo.id));
+  }
+
+  handleExport(e) {
+    const format = e.currentTarget.dataset.format;
+    const selection = this.getSelection();
+    if (selection.length === 0) return;
+
+    if (format === 'csv') {
+      const rows = [['id', 'descripcion']].concat(selection.map(photo => [photo.id, photo.alt]));
+      this.download('csv', 'text/csv', rows.map(row => row.map(escapeCsvValue).join(',')).join('\n'));
+    } else if (format === 'json') {
+      this.download('json', 'application/json', JSON.stringify({
+        client: this.manifest.client,
+        gallery: this.manifest.title,
+        exportedAt: new Date().toISOString(),
+        favorites: selection.map(photo => photo.id)
+      }, null, 2));
+    } else if (format === 'email') {
+      this.sendByEmail(selection);
+    }
+  }
+
+  download(extension, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = `seleccion-${this.manifest.date || 'fotos'}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  sendByEmail(selection) {
+    const count = selection.length;
+    const subject = translate('clientGallery.emailSubject', { title: this.manifest.title }, `Selección de fotos: ${this.manifest.title}`);
+    const body = [
+      translate('clientGallery.emailIntro', { count }, `Hola Oriana! Estas son las ${count} fotos que elegimos para retocar:`),
+      '',
+      ...selection.map(photo => `- ${photo.id}`),
+      '',
+      this.manifest.client || ''
+    ].join('\n');
+
+    window.location.href = `mailto:${getContactEmail()}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+  }
+
+  destroy() {
+    this.close();
+
+    if (!this.view) return;
+
+    this.accessForm.removeEventListener('submit', this.handleAccessSubmit);
+    this.grid.removeEventListener('click', this.handleGridClick);
+    this.exportButtons.forEach(button => button.removeEventListener('click', this.handleExport));
+    document.removeEventListener('keydown', this.handleKeydown);
+    document.removeEventListener('i18n:change', this.handleLanguageChange);
+  }
+}
+
+// Tests require() the class; the page creates it from App in js/main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CLIENT_GALLERY_CONFIG, hashAccessCode, ClientGallery };
+}
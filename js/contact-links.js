@@ -0,0 +1,143 @@
+/**
+ * Contact Links Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Contact Links Configuration
+// ==========================================================================
+
+const CONTACT_LINKS_CONFIG = {
+  SELECTOR: '.contact__buttons a[href^="https://wa.me"], .contact__buttons a[href^="mailto:"]',
+  LOCALE: 'es-AR' // Used until translations load
+};
+
+// ==========================================================================
+// Contact Links Class
+// ==========================================================================
+
+/**
+ * Carries the date picked in the availability calendar (js/availability.js)
+ * and the services estimate (js/services.js) into the WhatsApp and email
+ * buttons, whichever of the two the page has
+ */
+class ContactLinks {
+  constructor() {
+    this.links = Array.from(document.querySelectorAll(CONTACT_LINKS_CONFIG.SELECTOR))
+      .map(link => ({ element: link, href: link.getAttribute('href') }));
+    this.selectedDate = null;
+    this.estimate = null;
+
+    this.handleDateSelect = this.handleDateSelect.bind(this);
+    this.handleEstimate = this.handleEstimate.bind(this);
+    this.handleLanguageChange = this.handleLanguageChange.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    if (this.links.length === 0) return;
+
+    this.createFormatter();
+    document.addEventListener('availability:select', this.handleDateSelect);
+    document.addEventListener('services:estimate', this.handleEstimate);
+    document.addEventListener('i18n:change', this.handleLanguageChange);
+
+    this.update();
+  }
+
+  createFormatter() {
+    const locale = window.i18nInstance ? window.i18nInstance.getLocale() : CONTACT_LINKS_CONFIG.LOCALE;
+    this.dayFormatter = new Intl.DateTimeFormat(locale, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+  }
+
+  /**
+   * Carry the chosen date and the services estimate into the links; without
+   * either, only the WhatsApp greeting follows the current language
+   */
+  update() {
+    if (!this.selectedDate && !this.estimate) {
+      const text = translate('contact.whatsappMessage', null, null);
+
+      this.links.forEach(({ element, href }) => {
+        if (!href.startsWith('mailto:') && text) {
+          element.href = `${href.split('?')[0]}?text=${encodeURIComponent(text)}`;
+        } else {
+          element.setAttribute('href', href);
+        }
+      });
+      return;
+    }
+
+    let text;
+    let subject;
+
+    if (this.selectedDate) {
+      const label = this.dayFormatter.format(this.selectedDate);
+      text = translate('availability.message', { date: label }, `Hola Oriana! Me gustaría saber si tenés disponible el ${label}.`);
+      subject = translate('availability.emailSubject', { date: label }, `Consulta de disponibilidad: ${label}`);
+    } else {
+      text = this.getGreeting();
+      subject = this.estimate.subject;
+    }
+
+    if (this.estimate) {
+      text = `${text}\n\n${this.estimate.text}`;
+    }
+
+    this.links.forEach(({ element, href }) => {
+      const base = href.split('?')[0];
+
+      if (href.startsWith('mailto:')) {
+        element.href = `${base}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(text)}`;
+      } else {
+        element.href = `${base}?text=${encodeURIComponent(text)}`;
+      }
+    });
+  }
+
+  /**
+   * The WhatsApp greeting in the current language, else the one the page
+   * was rendered with
+   */
+  getGreeting() {
+    const whatsapp = this.links.find(({ href }) => !href.startsWith('mailto:'));
+    const rendered = whatsapp ? new URL(whatsapp.href).searchParams.get('text') : null;
+
+    return translate('contact.whatsappMessage', null, rendered || '');
+  }
+
+  handleDateSelect(e) {
+    this.selectedDate = parseLocalDate(e.detail.date);
+    this.update();
+  }
+
+  handleEstimate(e) {
+    this.estimate = e.detail.estimate;
+    this.update();
+  }
+
+  handleLanguageChange() {
+    this.createFormatter();
+    this.update();
+  }
+
+  destroy() {
+    if (this.links.length === 0) return;
+
+    document.removeEventListener('availability:select', this.handleDateSelect);
+    document.removeEventListener('services:estimate', this.handleEstimate);
+    document.removeEventListener('i18n:change', this.handleLanguageChange);
+
+    this.links.forEach(({ element, href }) => {
+      element.setAttribute('href', href);
+    });
+  }
+}
+
+// Tests require() the class; the page creates it from App in js/main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CONTACT_LINKS_CONFIG, ContactLinks };
+}
@@ -0,0 +1,35 @@
+/**
+ * Local Date Helpers - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * Shared by the inquiry form, the availability calendar and the contact
+ * links, so it loads before all of them.
+ */
+
+'use strict';
+
+// ==========================================================================
+// Date Helpers
+// ==========================================================================
+
+/**
+ * Local Date from a `YYYY-MM-DD` string (avoids the UTC shift of `new Date(string)`)
+ */
+function parseLocalDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * `YYYY-MM-DD` in the visitor's timezone, comparable with date input values
+ */
+function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Tests require() the helpers; the page shares them as globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseLocalDate, formatLocalDate };
+}
@@ -0,0 +1,123 @@
+/**
+ * Error Reporter Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Error Reporter Configuration
+// ==========================================================================
+
+const ERROR_REPORTER_CONFIG = {
+  ENDPOINT_META: 'meta[name="error-endpoint"]',
+  RATE_LIMIT: 10,
+  RATE_WINDOW: 60000,
+  MAX_STACK_LENGTH: 2000,
+  REQUEST_TIMEOUT: 5000
+};
+
+// ==========================================================================
+// Error Reporter Class
+// ==========================================================================
+
+/**
+ * Sends JavaScript errors, unhandled rejections and failed image URLs to the
+ * endpoint in `<meta name="error-endpoint">`. Repeats of an already reported
+ * error are dropped, and at most RATE_LIMIT reports leave per RATE_WINDOW.
+ */
+class ErrorReporter {
+  constructor() {
+    const meta = document.querySelector(ERROR_REPORTER_CONFIG.ENDPOINT_META);
+
+    this.endpoint = meta ? meta.content.trim() : '';
+    this.reported = new Set();
+    this.sentTimes = [];
+    this.droppedCount = 0;
+  }
+
+  /**
+   * Where the visitor was: the page path, the hash route's first segment
+   * (`album`, `cliente`; never the rest, which can hold an access code) and
+   * the section in view
+   */
+  getContext(element) {
+    const region = element && element.closest ? element.closest('section[id], footer') : null;
+
+    return {
+      page: window.location.pathname,
+      view: window.location.hash.slice(1).split('/')[0] || null,
+      section: region
+        ? (region.id || region.tagName.toLowerCase())
+        : (window.routerInstance && window.routerInstance.activeSection) || null,
+      lang: document.documentElement.lang,
+      userAgent: navigator.userAgent
+    };
+  }
+
+  reportError(error, { type = 'error', source, line, column } = {}) {
+    const message = error && error.message ? error.message : String(error);
+
+    this.send({
+      type,
+      message,
+      name: error && error.name ? error.name : null,
+      stack: error && error.stack ? String(error.stack).slice(0, ERROR_REPORTER_CONFIG.MAX_STACK_LENGTH) : null,
+      source: source || null,
+      line: line || null,
+      column: column || null
+    }, `${type}|${message}|${source}:${line}:${column}`);
+  }
+
+  reportImage(img) {
+    const url = img.currentSrc || img.src;
+
+    this.send({
+      type: 'image',
+      message: 'Image failed to load',
+      url
+    }, `image|${url}`, img);
+  }
+
+  isRateLimited() {
+    const now = Date.now();
+    this.sentTimes = this.sentTimes.filter(time => now - time < ERROR_REPORTER_CONFIG.RATE_WINDOW);
+
+    return this.sentTimes.length >= ERROR_REPORTER_CONFIG.RATE_LIMIT;
+  }
+
+  send(details, fingerprint, element) {
+    if (!this.endpoint || this.reported.has(fingerprint)) return;
+    this.reported.add(fingerprint);
+
+    if (this.isRateLimited()) {
+      this.droppedCount++;
+      return;
+    }
+
+    this.sentTimes.push(Date.now());
+
+    const report = {
+      ...details,
+      ...this.getContext(element),
+      time: new Date().toISOString(),
+      // Reports the rate limit swallowed since the last one that went out
+      dropped: this.droppedCount
+    };
+    this.droppedCount = 0;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), ERROR_REPORTER_CONFIG.REQUEST_TIMEOUT);
+
+    // Reporting failures are swallowed so they can't feed back into the reporter
+    fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(report),
+      keepalive: true,
+      signal: controller.signal
+    })
+      .catch(() => {})
+      .finally(() => clearTimeout(timeout));
+  }
+}
@@ -0,0 +1,365 @@
+/**
+ * Gallery Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Gallery Configuration
+// ==========================================================================
+
+const GALLERY_CONFIG = {
+  MANIFEST_URL: 'data/photos.json'
+};
+
+const PORTFOLIO_FILTER_ALL = 'all';
+
+// ==========================================================================
+// Gallery Class
+// ==========================================================================
+
+class Gallery {
+  constructor() {
+    this.portfolioGrid = document.querySelector('.portfolio__grid');
+    this.portfolioFilters = document.querySelector('.portfolio__filters');
+    this.sliderTrack = document.querySelector('.image-slider__track');
+    this.navImagesContainer = document.querySelector('.nav-images');
+    this.collageBoard = document.querySelector('.mini-polaroids__board');
+    this.categories = [];
+    this.photos = [];
+    this.navigation = {};
+    this.collage = [];
+
+    this.handleLanguageChange = this.handleLanguageChange.bind(this);
+    this.handleThemeChange = this.handleThemeChange.bind(this);
+
+    this.ready = this.init();
+  }
+
+  async init() {
+    try {
+      await this.loadManifest();
+      this.render();
+      document.addEventListener('i18n:change', this.handleLanguageChange);
+      document.addEventListener('theme:change', this.handleThemeChange);
+    } catch (error) {
+      console.error('Failed to load photo manifest:', error);
+    }
+  }
+
+  async loadManifest() {
+    const response = await fetch(GALLERY_CONFIG.MANIFEST_URL);
+
+    if (!response.ok) {
+      throw new Error(`Manifest request failed with status ${response.status}`);
+    }
+
+    const manifest = await response.json();
+    this.categories = manifest.categories || [];
+    this.photos = manifest.photos || [];
+    this.navigation = manifest.navigation || {};
+    this.collage = manifest.collage || [];
+  }
+
+  render() {
+    this.renderFilters();
+    this.renderPortfolio();
+    this.renderSlider();
+    this.renderCollage();
+    this.renderNavImages();
+
+    document.dispatchEvent(new CustomEvent('gallery:rendered', {
+      detail: { gallery: this }
+    }));
+  }
+
+  getCategory(categoryId) {
+    return this.categories.find(category => category.id === categoryId);
+  }
+
+  getPhotosByCategory(categoryId) {
+    return this.photos.filter(photo => photo.category === categoryId);
+  }
+
+  getPhoto(photoId) {
+    return this.photos.find(photo => photo.id === photoId);
+  }
+
+  /**
+   * Overlay photo for a menu section. An entry is a photo id, or an object
+   * with one id per theme (`{ "light": ..., "dark": ... }`) falling back to
+   * the light one.
+   */
+  getNavigationPhoto(section, theme = getCurrentTheme()) {
+    const entry = this.navigation[section];
+    const photoId = entry && typeof entry === 'object' ? (entry[theme] || entry.light) : entry;
+
+    return this.getPhoto(photoId);
+  }
+
+  hasThemedNavigation() {
+    return Object.values(this.navigation).some(entry => entry && typeof entry === 'object');
+  }
+
+  /**
+   * Category `title` or `description` in the current language; the manifest holds the Spanish copy
+   */
+  getCategoryText(category, field) {
+    return translate(`categories.${category.id}.${field}`, null, category[field]);
+  }
+
+  /**
+   * Photo `alt` or `caption` in the current language
+   */
+  getPhotoText(photo, field) {
+    return translate(`photos.${photo.id}.${field}`, null, photo[field]);
+  }
+
+  /**
+   * Cover photo for a category: the featured one, else the first
+   */
+  getFeaturedPhoto(categoryId) {
+    const photos = this.getPhotosByCategory(categoryId);
+    return photos.find(photo => photo.featured) || photos[0];
+  }
+
+  /**
+   * Photos in category order, as shown by the grid and the lightbox
+   */
+  getPortfolioPhotos() {
+    return this.categories.reduce((photos, category) => {
+      return photos.concat(this.getPhotosByCategory(category.id));
+    }, []);
+  }
+
+  /**
+   * `<picture>` for a photo, lazy unless told otherwise; `sizes` comes from `IMAGE_LAYOUTS`
+   */
+  createImage(photo, sizes, className, { lazy = true } = {}) {
+    const picture = createResponsiveImage(photo, {
+      sizes,
+      className,
+      alt: this.getPhotoText(photo, 'alt'),
+      lazy
+    });
+    picture.querySelector('img').dataset.photoId = photo.id;
+
+    return picture;
+  }
+
+  renderFilters() {
+    if (!this.portfolioFilters) return;
+
+    const fragment = document.createDocumentFragment();
+    const filters = [PORTFOLIO_FILTER_ALL].concat(this.categories.map(category => category.id));
+
+    filters.forEach(filter => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'portfolio__filter';
+      button.dataset.filter = filter;
+      button.textContent = this.getFilterTitle(filter);
+      button.setAttribute('aria-pressed', String(filter === PORTFOLIO_FILTER_ALL));
+      fragment.appendChild(button);
+    });
+
+    this.portfolioFilters.replaceChildren(fragment);
+  }
+
+  getFilterTitle(filter) {
+    return filter === PORTFOLIO_FILTER_ALL
+      ? translate('portfolio.filterAll', null, 'Todos')
+      : this.getCategoryText(this.getCategory(filter), 'title');
+  }
+
+  /**
+   * Render every photo; only category covers are visible until a filter is picked
+   */
+  renderPortfolio() {
+    if (!this.portfolioGrid) return;
+
+    const fragment = document.createDocumentFragment();
+
+    this.getPortfolioPhotos().forEach(photo => {
+      const category = this.getCategory(photo.category);
+      const isCover = photo === this.getFeaturedPhoto(photo.category);
+
+      // A div: items act as buttons (see Portfolio), which an <article> can't
+      const item = document.createElement('div');
+      item.className = 'portfolio__item';
+      item.dataset.category = photo.category;
+      item.dataset.photoId = photo.id;
+      item.dataset.cover = String(isCover);
+      item.hidden = !isCover;
+
+      const imageContainer = document.createElement('div');
+      imageContainer.className = 'portfolio__image-container';
+      imageContainer.appendChild(this.createImage(photo, IMAGE_LAYOUTS.portfolio, 'portfolio__image'));
+
+      const overlay = document.createElement('div');
+      overlay.className = 'portfolio__overlay';
+
+      const title = document.createElement('h3');
+      title.className = 'portfolio__title';
+      title.textContent = this.getCategoryText(category, 'title');
+
+      const description = document.createElement('p');
+      description.className = 'portfolio__description';
+      description.textContent = isCover
+        ? this.getCategoryText(category, 'description')
+        : this.getPhotoText(photo, 'caption');
+
+      overlay.append(title, description);
+      item.append(imageContainer, overlay);
+      fragment.appendChild(item);
+    });
+
+    this.portfolioGrid.replaceChildren(fragment);
+  }
+
+  renderSlider() {
+    if (!this.sliderTrack) return;
+
+    const fragment = document.createDocumentFragment();
+
+    // Render the set twice for a seamless loop; the copy is decorative
+    [false, true].forEach(isDuplicate => {
+      this.photos.forEach((photo, index) => {
+        const modifier = index % 2 === 1 ? 'image-slider__img--tall' : 'image-slider__img--short';
+        const picture = this.createImage(photo, IMAGE_LAYOUTS.slider, `image-slider__img ${modifier}`);
+
+        if (isDuplicate) {
+          const img = picture.querySelector('img');
+          img.alt = '';
+          img.setAttribute('aria-hidden', 'true');
+        }
+
+        fragment.appendChild(picture);
+      });
+    });
+
+    this.sliderTrack.replaceChildren(fragment);
+  }
+
+  /**
+   * Mini polaroids for the about section's collage; MiniPolaroids makes them
+   * draggable. `x`/`y` place each one within the board (0 to 1).
+   */
+  renderCollage() {
+    if (!this.collageBoard) return;
+
+    const fragment = document.createDocumentFragment();
+
+    this.collage.forEach(({ photo: photoId, rotation = 0, x = 0, y = 0 }) => {
+      const photo = this.getPhoto(photoId);
+      if (!photo) return;
+
+      const figure = document.createElement('figure');
+      figure.className = 'mini-polaroid';
+      figure.tabIndex = 0;
+      figure.setAttribute('role', 'group');
+      figure.setAttribute('aria-describedby', 'mini-polaroids-help');
+      figure.dataset.photoId = photo.id;
+      figure.dataset.rotation = String(rotation);
+      figure.dataset.x = String(x);
+      figure.dataset.y = String(y);
+
+      const picture = this.createImage(photo, IMAGE_LAYOUTS.collage, 'mini-polaroid__image');
+      picture.querySelector('img').draggable = false;
+
+      figure.appendChild(picture);
+      fragment.appendChild(figure);
+    });
+
+    this.collageBoard.replaceChildren(fragment);
+  }
+
+  /**
+   * Images for the menu overlay, in the current theme. The section shown
+   * keeps showing when they are re-rendered.
+   */
+  renderNavImages({ lazy = true } = {}) {
+    if (!this.navImagesContainer) return;
+
+    const fragment = document.createDocumentFragment();
+    const active = this.navImagesContainer.querySelector('.nav-image.active');
+    const activeSection = active ? active.dataset.category : Object.keys(this.navigation)[0];
+
+    Object.keys(this.navigation).forEach(section => {
+      const photo = this.getNavigationPhoto(section);
+      if (!photo) return;
+
+      const picture = this.createImage(photo, IMAGE_LAYOUTS.nav, 'nav-image', { lazy });
+      const img = picture.querySelector('img');
+      img.dataset.category = section;
+
+      if (section === activeSection) {
+        img.classList.add('active');
+      }
+
+      fragment.appendChild(picture);
+    });
+
+    this.navImagesContainer.replaceChildren(fragment);
+  }
+
+  // ==========================================================================
+  // Localization
+  // ==========================================================================
+
+  /**
+   * Swap rendered manifest text in place, so components holding on to the
+   * rendered elements keep working after a language switch
+   */
+  handleLanguageChange() {
+    if (this.portfolioFilters) {
+      this.portfolioFilters.querySelectorAll('.portfolio__filter').forEach(button => {
+        button.textContent = this.getFilterTitle(button.dataset.filter);
+      });
+    }
+
+    if (this.portfolioGrid) {
+      this.portfolioGrid.querySelectorAll('.portfolio__item').forEach(item => {
+        const photo = this.getPhoto(item.dataset.photoId);
+        const category = this.getCategory(photo.category);
+
+        item.querySelector('.portfolio__title').textContent = this.getCategoryText(category, 'title');
+        item.querySelector('.portfolio__description').textContent = item.dataset.cover === 'true'
+          ? this.getCategoryText(category, 'description')
+          : this.getPhotoText(photo, 'caption');
+      });
+    }
+
+    // Decorative slider copies keep their empty alt
+    document.querySelectorAll('img[data-photo-id]:not([aria-hidden])').forEach(img => {
+      const photo = this.getPhoto(img.dataset.photoId);
+      if (photo) {
+        img.alt = this.getPhotoText(photo, 'alt');
+      }
+    });
+  }
+
+  // ==========================================================================
+  // Theming
+  // ==========================================================================
+
+  /**
+   * Swap in the theme's overlay images; loaded right away, since the lazy
+   * loader only picks up images present when the page starts
+   */
+  handleThemeChange() {
+    if (!this.hasThemedNavigation()) return;
+
+    this.renderNavImages({ lazy: false });
+
+    document.dispatchEvent(new CustomEvent('gallery:rendered', {
+      detail: { gallery: this }
+    }));
+  }
+
+  destroy() {
+    document.removeEventListener('i18n:change', this.handleLanguageChange);
+    document.removeEventListener('theme:change', this.handleThemeChange);
+  }
+}
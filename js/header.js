@@ -11,7 +11,9 @@
 
 const HEADER_CONFIG = {
   SCROLL_THRESHOLD: 50,
-  DEBOUNCE_DELAY: 16 // ~60fps
+  DEBOUNCE_DELAY: 16, // ~60fps
+  // Header controls that stay reachable while the overlay is open
+  MENU_CONTROLS: '.menu-toggle'
 };
 
 // ==========================================================================
@@ -26,8 +28,12 @@ class Header {
     this.navItems = document.querySelectorAll('.nav-item');
     this.navImages = document.querySelectorAll('.nav-image');
     this.navLinks = document.querySelectorAll('.nav__link, .bottom-nav__link, .footer__link');
+    this.navStatus = document.getElementById('navStatus');
     this.isMenuOpen = false;
     this.scrollPosition = 0;
+    this.previousFocus = null;
+    this.inertElements = [];
+    this.imageTimeout = null;
 
     this.init();
   }
@@ -43,6 +49,8 @@ class Header {
     this.handleImageSwitching();
     this.handleSmoothScroll();
     this.handleKeyboardNavigation();
+    this.handleGalleryRender();
+    this.handleLanguageChange();
   }
 
   handleScroll() {
@@ -62,59 +70,235 @@ class Header {
   handleMenuToggle() {
     if (!this.menuToggle || !this.navOverlay) return;
 
+    // Closed, the overlay's links are out of the tab order
+    this.navOverlay.setAttribute('inert', '');
+    this.setRovingItem(this.navItems[0]);
+
     this.menuToggle.addEventListener('click', (e) => {
       e.preventDefault();
       this.toggleMenu();
     });
 
-    // Close menu when clicking on nav items
+    // Close menu when clicking on nav items; the link decides where focus goes
     this.navItems.forEach(item => {
       item.addEventListener('click', () => {
-        this.closeMenu();
+        if (this.isMenuOpen) {
+          this.closeMenu({ restoreFocus: false });
+        }
       });
     });
 
-    // Close menu on escape key
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.isMenuOpen) {
-        this.closeMenu();
+      if (this.isMenuOpen) {
+        this.handleMenuKeydown(e);
       }
     });
   }
 
   toggleMenu() {
-    this.isMenuOpen = !this.isMenuOpen;
-
-    // Toggle menu button state
-    this.menuToggle.classList.toggle('active');
-    this.menuToggle.setAttribute('aria-expanded', this.isMenuOpen);
-
-    // Toggle overlay
-    this.navOverlay.classList.toggle('active');
-
-    // Toggle header state for logo hiding
-    this.header.classList.toggle('menu-open');
-
-    // Update aria-label for accessibility
-    const label = this.isMenuOpen ? 'Cerrar menú' : 'Abrir menú';
-    this.menuToggle.setAttribute('aria-label', label);
-
-    // Prevent scroll with multiple methods
     if (this.isMenuOpen) {
-      this.disableScroll();
+      this.closeMenu();
     } else {
-      this.enableScroll();
+      this.openMenu();
     }
   }
 
-  closeMenu() {
+  /**
+   * The overlay is a modal dialog: everything else on the page is made inert,
+   * except the menu toggle, which stays in the header as its close button.
+   * That's also why it isn't `aria-modal`: the toggle lives outside it.
+   */
+  openMenu() {
+    if (this.isMenuOpen) return;
+
+    this.isMenuOpen = true;
+    this.previousFocus = document.activeElement;
+
+    this.menuToggle.classList.add('active');
+    this.menuToggle.setAttribute('aria-expanded', 'true');
+    this.navOverlay.classList.add('active');
+    this.navOverlay.setAttribute('aria-hidden', 'false');
+    this.navOverlay.removeAttribute('inert');
+
+    // Header state for logo hiding
+    this.header.classList.add('menu-open');
+
+    this.updateToggleLabel();
+    this.disableScroll();
+    this.setBackgroundInert(true);
+
+    // Start on the section being read, with its preview showing
+    const item = this.getCurrentItem() || this.navItems[0];
+    if (item) {
+      this.focusItem(item);
+    }
+
+    this.announce(translate('nav.opened', null, 'Menú abierto'));
+  }
+
+  /**
+   * Focus returns to the toggle unless `restoreFocus` is false, when the
+   * caller moves it somewhere else (e.g. the section a nav item links to)
+   */
+  closeMenu({ restoreFocus = true } = {}) {
+    const wasOpen = this.isMenuOpen;
+
     this.isMenuOpen = false;
     this.menuToggle.classList.remove('active');
     this.navOverlay.classList.remove('active');
+    this.navOverlay.setAttribute('aria-hidden', 'true');
     this.header.classList.remove('menu-open');
     this.menuToggle.setAttribute('aria-expanded', 'false');
-    this.menuToggle.setAttribute('aria-label', 'Abrir menú');
+    this.updateToggleLabel();
     this.enableScroll();
+    this.setBackgroundInert(false);
+
+    // Set after the background is back, so focus has somewhere to go
+    this.navOverlay.setAttribute('inert', '');
+
+    if (!wasOpen) return;
+
+    if (restoreFocus) {
+      this.menuToggle.focus();
+    }
+    this.previousFocus = null;
+
+    this.announce(translate('nav.closed', null, 'Menú cerrado'));
+  }
+
+  /**
+   * Inert every top-level element besides the header, the overlay and the
+   * status region, plus the header's own controls other than the toggle.
+   * Elements that were already inert are left alone on the way back.
+   */
+  setBackgroundInert(isInert) {
+    if (!isInert) {
+      this.inertElements.forEach(element => {
+        element.removeAttribute('inert');
+      });
+      this.inertElements = [];
+      return;
+    }
+
+    const keep = [this.header, this.navOverlay, this.navStatus];
+    const headerControls = Array.from(this.header.querySelectorAll('a, button, input, select, textarea, [tabindex]'))
+      .filter(element => !element.matches(HEADER_CONFIG.MENU_CONTROLS));
+
+    this.inertElements = [...Array.from(document.body.children), ...headerControls]
+      .filter(element => !keep.includes(element) && !element.hasAttribute('inert') && element.tagName !== 'SCRIPT');
+
+    this.inertElements.forEach(element => {
+      element.setAttribute('inert', '');
+    });
+  }
+
+  // ==========================================================================
+  // Overlay Keyboard Navigation
+  // ==========================================================================
+
+  handleMenuKeydown(e) {
+    const items = Array.from(this.navItems);
+    const index = items.indexOf(document.activeElement);
+
+    switch (e.key) {
+      case 'Escape':
+        this.closeMenu();
+        break;
+      case 'Tab':
+        this.trapFocus(e);
+        break;
+      case 'ArrowDown':
+      case 'ArrowRight':
+        if (index === -1) return;
+        e.preventDefault();
+        this.focusItem(items[(index + 1) % items.length]);
+        break;
+      case 'ArrowUp':
+      case 'ArrowLeft':
+        if (index === -1) return;
+        e.preventDefault();
+        this.focusItem(items[(index - 1 + items.length) % items.length]);
+        break;
+      case 'Home':
+        if (index === -1) return;
+        e.preventDefault();
+        this.focusItem(items[0]);
+        break;
+      case 'End':
+        if (index === -1) return;
+        e.preventDefault();
+        this.focusItem(items[items.length - 1]);
+        break;
+    }
+  }
+
+  /**
+   * Tab cycles between the toggle and the current nav item; arrow keys move
+   * between the items
+   */
+  getFocusableElements() {
+    return [this.menuToggle, ...Array.from(this.navItems).filter(item => item.tabIndex !== -1)];
+  }
+
+  trapFocus(e) {
+    const focusable = this.getFocusableElements();
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    } else if (!focusable.includes(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Roving tabindex: only one nav item is in the tab order at a time
+   */
+  setRovingItem(current) {
+    this.navItems.forEach(item => {
+      item.tabIndex = item === current ? 0 : -1;
+    });
+  }
+
+  focusItem(item) {
+    this.setRovingItem(item);
+    item.focus();
+  }
+
+  /**
+   * Nav item for the section the scroll spy marks as active
+   */
+  getCurrentItem() {
+    const section = window.routerInstance && window.routerInstance.activeSection;
+    if (!section) return null;
+
+    return Array.from(this.navItems).find(item => item.getAttribute('href') === `#${section}`) || null;
+  }
+
+  /**
+   * Set after a frame so repeating the same message is announced again
+   */
+  announce(message) {
+    if (!this.navStatus) return;
+
+    this.navStatus.textContent = '';
+    requestAnimationFrame(() => {
+      this.navStatus.textContent = message;
+    });
+  }
+
+  updateToggleLabel() {
+    const label = this.isMenuOpen
+      ? translate('header.menuClose', null, 'Cerrar menú')
+      : translate('header.menuOpen', null, 'Abrir menú');
+
+    this.menuToggle.setAttribute('aria-label', label);
   }
 
   disableScroll() {
@@ -130,11 +314,21 @@ class Header {
       item.addEventListener('mouseenter', () => {
         const category = item.dataset.category;
         this.switchImage(category);
+        trackEvent('nav_hover', { category });
+      });
+
+      // Keyboard users get the same preview as pointer users
+      item.addEventListener('focus', () => {
+        this.setRovingItem(item);
+        this.switchImage(item.dataset.category);
       });
     });
   }
 
   switchImage(category) {
+    // A quicker hover or focus change replaces the pending switch
+    clearTimeout(this.imageTimeout);
+
     // Hide all images
     this.navImages.forEach(img => {
       img.classList.remove('active');
@@ -143,12 +337,27 @@ class Header {
     // Show the image for the hovered category
     const targetImage = document.querySelector(`[data-category="${category}"].nav-image`);
     if (targetImage) {
-      setTimeout(() => {
+      this.imageTimeout = setTimeout(() => {
         targetImage.classList.add('active');
       }, 100);
     }
   }
 
+  handleLanguageChange() {
+    if (!this.menuToggle) return;
+
+    document.addEventListener('i18n:change', () => {
+      this.updateToggleLabel();
+    });
+  }
+
+  handleGalleryRender() {
+    // Overlay images are rendered from the photo manifest after load
+    document.addEventListener('gallery:rendered', () => {
+      this.navImages = document.querySelectorAll('.nav-image');
+    });
+  }
+
   handleSmoothScroll() {
     // Handle both regular nav links and overlay nav items
     const allNavElements = [...this.navLinks, ...this.navItems];
@@ -157,35 +366,44 @@ class Header {
       link.addEventListener('click', (e) => {
         const href = link.getAttribute('href');
 
-        // Only handle internal links
-        if (href && href.startsWith('#')) {
+        // Only handle internal links; without the router the browser jumps natively
+        if (href && href.startsWith('#') && window.routerInstance) {
           e.preventDefault();
 
-          const targetId = href.substring(1);
-          const targetElement = document.getElementById(targetId);
-
-          if (targetElement) {
-            const headerHeight = this.header.offsetHeight;
-            const targetPosition = targetElement.offsetTop - headerHeight;
-
-            window.scrollTo({
-              top: targetPosition,
-              behavior: 'smooth'
-            });
+          // Close mobile menu if open; focus follows the link
+          if (this.isMenuOpen) {
+            this.closeMenu({ restoreFocus: false });
+          }
 
-            // Close mobile menu if open
-            if (this.isMenuOpen) {
-              this.closeMenu();
-            }
+          // The router updates history, opens views and scrolls past the header
+          window.routerInstance.navigate(href);
 
-            // Update URL without triggering scroll
-            history.pushState(null, null, href);
+          if (link.classList.contains('nav-item')) {
+            this.focusSection(href);
           }
         }
       });
     });
   }
 
+  /**
+   * Move focus to the section an overlay link opened, so reading and
+   * tabbing continue from there; the router already scrolled to it
+   */
+  focusSection(href) {
+    const section = window.routerInstance.getSection(href);
+
+    if (!section) {
+      this.menuToggle.focus();
+      return;
+    }
+
+    if (!section.hasAttribute('tabindex')) {
+      section.setAttribute('tabindex', '-1');
+    }
+    section.focus({ preventScroll: true });
+  }
+
   handleKeyboardNavigation() {
     this.navLinks.forEach(link => {
       link.addEventListener('keydown', (e) => {
@@ -216,7 +434,11 @@ class Header {
 // Auto-initialize Header
 // ==========================================================================
 
-// Initialize header when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  window.headerInstance = new Header();
-});
\ No newline at end of file
+// Tests require() the class; the page initializes it when the DOM is ready
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { HEADER_CONFIG, Header };
+} else {
+  document.addEventListener('DOMContentLoaded', () => {
+    window.headerInstance = new Header();
+  });
+}
\ No newline at end of file
@@ -0,0 +1,243 @@
+/**
+ * I18n Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// I18n Configuration
+// ==========================================================================
+
+const I18N_CONFIG = {
+  CATALOG_URL: 'data/i18n/{lang}.json',
+  STORAGE_KEY: 'oriana:lang',
+  DEFAULT_LANG: 'es',
+  SUPPORTED_LANGS: ['es', 'en']
+};
+
+// ==========================================================================
+// I18n Helpers
+// ==========================================================================
+
+/**
+ * Read a dotted path (`a.b.c`) from a nested object
+ */
+function getByPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Translate a key for the current language; `{name}` placeholders are filled
+ * from `params` and `fallback` is used when no catalog has the key
+ */
+function translate(key, params, fallback) {
+  if (!window.i18nInstance) {
+    return fallback !== undefined ? fallback : key;
+  }
+
+  return window.i18nInstance.t(key, params, fallback);
+}
+
+// ==========================================================================
+// I18n Class
+// ==========================================================================
+
+class I18n {
+  constructor() {
+    this.catalogs = {};
+    this.lang = this.detectLanguage();
+    this.toggle = null;
+
+    this.handleToggleClick = this.handleToggleClick.bind(this);
+
+    this.ready = this.init();
+  }
+
+  async init() {
+    try {
+      await this.setLanguage(this.lang, { persist: false });
+    } catch (error) {
+      console.error('Failed to load translations:', error);
+    }
+
+    const bindToggle = () => {
+      this.toggle = document.querySelector('.lang-toggle');
+      if (this.toggle) {
+        this.toggle.addEventListener('click', this.handleToggleClick);
+      }
+    };
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', bindToggle);
+    } else {
+      bindToggle();
+    }
+  }
+
+  /**
+   * Saved choice first, then the browser's preferred languages, then Spanish
+   */
+  detectLanguage() {
+    try {
+      const saved = localStorage.getItem(I18N_CONFIG.STORAGE_KEY);
+      if (I18N_CONFIG.SUPPORTED_LANGS.includes(saved)) {
+        return saved;
+      }
+    } catch (error) {
+      // Storage can be unavailable (private mode); fall back to detection
+    }
+
+    const preferred = navigator.languages && navigator.languages.length > 0
+      ? navigator.languages
+      : [navigator.language || ''];
+
+    for (const language of preferred) {
+      const code = String(language).toLowerCase().split('-')[0];
+      if (I18N_CONFIG.SUPPORTED_LANGS.includes(code)) {
+        return code;
+      }
+    }
+
+    return I18N_CONFIG.DEFAULT_LANG;
+  }
+
+  async loadCatalog(lang) {
+    if (this.catalogs[lang]) return this.catalogs[lang];
+
+    const response = await fetch(I18N_CONFIG.CATALOG_URL.replace('{lang}', lang));
+
+    if (!response.ok) {
+      throw new Error(`Catalog request for "${lang}" failed with status ${response.status}`);
+    }
+
+    this.catalogs[lang] = await response.json();
+    return this.catalogs[lang];
+  }
+
+  t(key, params, fallback) {
+    let message = getByPath(this.catalogs[this.lang], key);
+
+    if (typeof message !== 'string') {
+      message = getByPath(this.catalogs[I18N_CONFIG.DEFAULT_LANG], key);
+    }
+
+    if (typeof message !== 'string') {
+      message = fallback !== undefined ? fallback : key;
+    }
+
+    if (!params) return message;
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+      params[name] !== undefined ? params[name] : placeholder
+    ));
+  }
+
+  /**
+   * BCP 47 locale for Intl formatters, e.g. `es-AR`
+   */
+  getLocale() {
+    return this.t('meta.locale', null, this.lang);
+  }
+
+  async setLanguage(lang, { persist = true } = {}) {
+    if (!I18N_CONFIG.SUPPORTED_LANGS.includes(lang)) {
+      throw new Error(`Unsupported language: ${lang}`);
+    }
+
+    // The default catalog backs up keys missing from the others
+    await Promise.all([this.loadCatalog(I18N_CONFIG.DEFAULT_LANG), this.loadCatalog(lang)]);
+
+    const previousLang = this.lang;
+    this.lang = lang;
+
+    if (persist) {
+      try {
+        localStorage.setItem(I18N_CONFIG.STORAGE_KEY, lang);
+      } catch (error) {
+        // The choice still applies to this visit
+      }
+    }
+
+    this.applyDocument();
+
+    document.dispatchEvent(new CustomEvent('i18n:change', {
+      detail: { lang, previousLang }
+    }));
+  }
+
+  handleToggleClick() {
+    this.setLanguage(this.t('header.languageTarget')).catch(error => {
+      console.error('Failed to switch language:', error);
+    });
+  }
+
+  // ==========================================================================
+  // Document Translation
+  // ==========================================================================
+
+  /**
+   * Translate static markup:
+   * - `data-i18n="key"` sets the text
+   * - `data-i18n-html="key"` sets trusted markup from the catalog
+   * - `data-i18n-attr="attr:key; attr:key"` sets attributes
+   */
+  applyDocument(root = document) {
+    document.documentElement.lang = this.lang;
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+      element.innerHTML = this.t(element.dataset.i18nHtml);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        if (attribute && key) {
+          element.setAttribute(attribute, this.t(key));
+        }
+      });
+    });
+
+    this.applyJsonLd();
+  }
+
+  /**
+   * Structured data blocks marked with `data-i18n-jsonld="name"` take their
+   * translatable fields from `jsonLd.<name>` (dotted paths into the object)
+   */
+  applyJsonLd() {
+    document.querySelectorAll('script[data-i18n-jsonld]').forEach(script => {
+      const key = `jsonLd.${script.dataset.i18nJsonld}`;
+      const translations = getByPath(this.catalogs[this.lang], key) || getByPath(this.catalogs[I18N_CONFIG.DEFAULT_LANG], key);
+      if (!translations) return;
+
+      try {
+        const data = JSON.parse(script.textContent);
+
+        Object.keys(translations).forEach(path => {
+          const keys = path.split('.');
+          const parent = keys.length === 1 ? data : getByPath(data, keys.slice(0, -1).join('.'));
+          if (parent) {
+            parent[keys[keys.length - 1]] = translations[path];
+          }
+        });
+
+        script.textContent = JSON.stringify(data, null, 2);
+      } catch (error) {
+        console.error('Failed to translate structured data:', error);
+      }
+    });
+  }
+
+  destroy() {
+    if (this.toggle) {
+      this.toggle.removeEventListener('click', this.handleToggleClick);
+    }
+  }
+}
+
+window.i18nInstance = new I18n();
@@ -0,0 +1,169 @@
+/**
+ * Responsive Images Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Image Configuration
+// ==========================================================================
+
+const IMAGE_CONFIG = {
+  WIDTHS: [320, 480, 640, 800, 1024, 1280, 1600, 2000],
+  FORMATS: ['avif', 'webp'],
+  FALLBACK_WIDTH: 800,
+  QUALITY: 75,
+  PLACEHOLDER_WIDTH: 24
+};
+
+/**
+ * `sizes` for each layout, following the grid breakpoints in css/responsive.css
+ * and the 1440px container
+ */
+const IMAGE_LAYOUTS = {
+  portfolio: '(min-width: 1440px) 470px, (min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw',
+  album: '(min-width: 1440px) 470px, (min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw',
+  nav: '(min-width: 1367px) 50vw, 100vw',
+  slider: '(max-width: 768px) 170px, 260px',
+  collage: '(max-width: 768px) 96px, 132px',
+  testimonial: '64px',
+  full: 'calc(100vw - 2rem)'
+};
+
+// ==========================================================================
+// Image Helpers
+// ==========================================================================
+
+/**
+ * Append sizing parameters to an image URL
+ */
+function buildImageUrl(src, params) {
+  const url = new URL(src, window.location.href);
+
+  Object.keys(params).forEach(key => {
+    url.searchParams.set(key, params[key]);
+  });
+
+  return url.href;
+}
+
+/**
+ * Candidate widths for a photo, never wider than the original
+ */
+function getImageWidths(photo) {
+  const widths = IMAGE_CONFIG.WIDTHS.filter(width => !photo.width || width <= photo.width);
+  return widths.length > 0 ? widths : [photo.width];
+}
+
+/**
+ * `srcset` for a photo; without a format the CDN serves the original type
+ */
+function buildSrcset(photo, format) {
+  return getImageWidths(photo).map(width => {
+    const params = { w: width, q: IMAGE_CONFIG.QUALITY };
+    if (format) params.fm = format;
+
+    return `${buildImageUrl(photo.src, params)} ${width}w`;
+  }).join(', ');
+}
+
+/**
+ * Everything a `<picture>` needs for a photo: the fallback `src`/`srcset`
+ * and one `{ type, srcset }` source per modern format
+ */
+function getResponsiveSources(photo, sizes) {
+  return {
+    src: buildImageUrl(photo.src, { w: Math.min(IMAGE_CONFIG.FALLBACK_WIDTH, photo.width || Infinity), q: IMAGE_CONFIG.QUALITY }),
+    srcset: buildSrcset(photo),
+    sizes,
+    sources: IMAGE_CONFIG.FORMATS.map(format => ({
+      type: `image/${format}`,
+      srcset: buildSrcset(photo, format)
+    }))
+  };
+}
+
+/**
+ * Build a `<picture>` with AVIF/WebP sources. Lazy images start from a tiny
+ * blurred placeholder over the photo's dominant color and keep their real
+ * sources in `data-srcset`/`data-src` until `PerformanceOptimizer` loads them.
+ * Width, height and aspect-ratio reserve the space either way.
+ */
+function createResponsiveImage(photo, { sizes, className = '', alt = '', lazy = true } = {}) {
+  const responsive = getResponsiveSources(photo, sizes);
+  const picture = document.createElement('picture');
+  const srcsetAttribute = lazy ? 'data-srcset' : 'srcset';
+
+  responsive.sources.forEach(({ type, srcset }) => {
+    const source = document.createElement('source');
+    source.type = type;
+    source.setAttribute(srcsetAttribute, srcset);
+    source.sizes = sizes;
+    picture.appendChild(source);
+  });
+
+  const img = document.createElement('img');
+  img.className = className;
+  img.alt = alt;
+  img.sizes = sizes;
+  img.decoding = 'async';
+  img.setAttribute(srcsetAttribute, responsive.srcset);
+
+  if (photo.width && photo.height) {
+    img.width = photo.width;
+    img.height = photo.height;
+    img.style.aspectRatio = `${photo.width} / ${photo.height}`;
+  }
+
+  if (photo.color) {
+    img.style.backgroundColor = photo.color;
+  }
+
+  if (lazy) {
+    img.src = buildImageUrl(photo.src, { w: IMAGE_CONFIG.PLACEHOLDER_WIDTH, q: 30 });
+    img.dataset.src = responsive.src;
+    img.classList.add('is-loading');
+  } else {
+    img.src = responsive.src;
+  }
+
+  picture.appendChild(img);
+  return picture;
+}
+
+/**
+ * Move a lazy image's `data-srcset`/`data-src` (and its `<picture>` sources')
+ * into place and drop the placeholder blur once the full image decodes
+ */
+function loadResponsiveImage(img) {
+  const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+
+  if (picture) {
+    picture.querySelectorAll('source[data-srcset]').forEach(source => {
+      source.srcset = source.dataset.srcset;
+      source.removeAttribute('data-srcset');
+    });
+  }
+
+  if (img.dataset.srcset) {
+    img.srcset = img.dataset.srcset;
+    img.removeAttribute('data-srcset');
+  }
+
+  if (img.dataset.src) {
+    img.src = img.dataset.src;
+    img.removeAttribute('data-src');
+  }
+
+  if (!img.classList.contains('is-loading')) return;
+
+  const reveal = () => img.classList.remove('is-loading');
+
+  if (typeof img.decode === 'function') {
+    // decode() rejects when the source changes mid-way; the next load still reveals
+    img.decode().then(reveal, () => img.addEventListener('load', reveal, { once: true }));
+  } else {
+    img.addEventListener('load', reveal, { once: true });
+  }
+}
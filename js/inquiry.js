@@ -0,0 +1,428 @@
+/**
+ * Inquiry Form Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Inquiry Configuration
+// ==========================================================================
+
+const INQUIRY_CONFIG = {
+  DRAFT_KEY: 'oriana:inquiry-draft',
+  DRAFT_SAVE_DELAY: 400,
+  REQUEST_TIMEOUT: 10000,
+  MESSAGE_MIN_LENGTH: 20,
+  EMAIL_PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+};
+
+const INQUIRY_FIELD_LABELS = {
+  name: 'Nombre',
+  email: 'Email',
+  phone: 'Teléfono',
+  eventType: 'Tipo de evento',
+  date: 'Fecha',
+  location: 'Lugar',
+  guests: 'Invitados',
+  budget: 'Presupuesto',
+  message: 'Mensaje'
+};
+
+// ==========================================================================
+// Inquiry Helpers
+// ==========================================================================
+
+/**
+ * Plain-text summary of an inquiry, shared by the mailto and WhatsApp adapters
+ */
+function buildInquiryMessage(data) {
+  const lines = [translate('inquiry.messageGreeting', null, 'Hola Oriana! Quiero consultar por una fecha.'), ''];
+
+  Object.keys(INQUIRY_FIELD_LABELS).forEach(field => {
+    if (data[field]) {
+      lines.push(`${translate(`inquiry.fields.${field}`, null, INQUIRY_FIELD_LABELS[field])}: ${data[field]}`);
+    }
+  });
+
+  return lines.join('\n');
+}
+
+// ==========================================================================
+// Submit Adapters
+// ==========================================================================
+
+const INQUIRY_ADAPTERS = {
+  // Generic JSON POST; `options.endpoint` comes from the form's data-endpoint
+  endpoint: {
+    async submit(data, options) {
+      if (!options.endpoint) {
+        throw new Error('No inquiry endpoint configured');
+      }
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), INQUIRY_CONFIG.REQUEST_TIMEOUT);
+
+      try {
+        const response = await fetch(options.endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(data),
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          throw new Error(`Inquiry endpoint responded with status ${response.status}`);
+        }
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+  },
+
+  // `options.email` and `options.whatsapp` come from the form's data-email and
+  // data-whatsapp, rendered from content/site.json
+  mailto: {
+    async submit(data, options) {
+      if (!options.email) {
+        throw new Error('No inquiry email configured');
+      }
+
+      const subject = `${translate('inquiry.emailSubject', { eventType: data.eventType }, `Consulta: ${data.eventType}`)}${data.date ? ` - ${data.date}` : ''}`;
+      const params = `subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(buildInquiryMessage(data))}`;
+
+      window.location.href = `mailto:${options.email}?${params}`;
+    }
+  },
+
+  whatsapp: {
+    async submit(data, options) {
+      if (!options.whatsapp) {
+        throw new Error('No inquiry WhatsApp number configured');
+      }
+
+      const text = encodeURIComponent(buildInquiryMessage(data));
+      window.open(`https://wa.me/${options.whatsapp}?text=${text}`, '_blank', 'noopener');
+    }
+  }
+};
+
+// ==========================================================================
+// Inquiry Form Class
+// ==========================================================================
+
+class InquiryForm {
+  constructor() {
+    this.form = document.querySelector('.inquiry');
+    this.status = document.querySelector('.inquiry__status');
+    this.submitButton = this.form ? this.form.querySelector('[type="submit"]') : null;
+    this.saveTimeout = null;
+    this.isSubmitting = false;
+
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleInput = this.handleInput.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+    this.handleAvailabilitySelect = this.handleAvailabilitySelect.bind(this);
+    this.handleLanguageChange = this.handleLanguageChange.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    if (!this.form) return;
+
+    // Custom messages replace the browser's validation bubbles
+    this.form.setAttribute('novalidate', '');
+
+    this.restoreDraft();
+    this.form.addEventListener('submit', this.handleSubmit);
+    this.form.addEventListener('input', this.handleInput);
+    this.form.addEventListener('focusout', this.handleBlur);
+    document.addEventListener('availability:select', this.handleAvailabilitySelect);
+    document.addEventListener('i18n:change', this.handleLanguageChange);
+  }
+
+  getData() {
+    const formData = new FormData(this.form);
+    const data = {};
+
+    Object.keys(INQUIRY_FIELD_LABELS).forEach(field => {
+      data[field] = String(formData.get(field) || '').trim();
+    });
+
+    return data;
+  }
+
+  /**
+   * Returns a map of field name to error message in the current language
+   */
+  validate(data) {
+    const errors = {};
+    const today = formatLocalDate(new Date());
+
+    if (!data.name) {
+      errors.name = translate('inquiry.errors.nameRequired', null, 'Ingresá tu nombre.');
+    }
+
+    if (!data.email) {
+      errors.email = translate('inquiry.errors.emailRequired', null, 'Ingresá tu email para poder responderte.');
+    } else if (!INQUIRY_CONFIG.EMAIL_PATTERN.test(data.email)) {
+      errors.email = translate('inquiry.errors.emailInvalid', null, 'El email no parece válido. Revisá que tenga el formato nombre@dominio.com.');
+    }
+
+    if (data.phone && !/^[\d\s()+-]{6,}$/.test(data.phone)) {
+      errors.phone = translate('inquiry.errors.phoneInvalid', null, 'El teléfono solo puede tener números, espacios y los signos + ( ) -.');
+    }
+
+    if (!data.eventType) {
+      errors.eventType = translate('inquiry.errors.eventTypeRequired', null, 'Elegí el tipo de evento.');
+    }
+
+    if (!data.date) {
+      errors.date = translate('inquiry.errors.dateRequired', null, 'Indicá la fecha del evento.');
+    } else if (data.date < today) {
+      errors.date = translate('inquiry.errors.datePast', null, 'La fecha no puede ser anterior a hoy.');
+    }
+
+    if (!data.location) {
+      errors.location = translate('inquiry.errors.locationRequired', null, 'Contame dónde será el evento.');
+    }
+
+    if (data.guests && !/^\d+$/.test(data.guests)) {
+      errors.guests = translate('inquiry.errors.guestsInteger', null, 'La cantidad de invitados debe ser un número entero.');
+    } else if (data.guests && parseInt(data.guests, 10) < 1) {
+      errors.guests = translate('inquiry.errors.guestsMin', null, 'La cantidad de invitados debe ser al menos 1.');
+    }
+
+    if (data.message.length < INQUIRY_CONFIG.MESSAGE_MIN_LENGTH) {
+      const min = INQUIRY_CONFIG.MESSAGE_MIN_LENGTH;
+      errors.message = translate('inquiry.errors.messageShort', { min }, `Contame un poco más: el mensaje debe tener al menos ${min} caracteres.`);
+    }
+
+    return errors;
+  }
+
+  showFieldError(field, message) {
+    const input = this.form.elements[field];
+    const error = this.form.querySelector(`[data-error-for="${field}"]`);
+    if (!input) return;
+
+    if (message) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+
+    if (error) {
+      error.textContent = message || '';
+    }
+  }
+
+  showErrors(errors) {
+    Object.keys(INQUIRY_FIELD_LABELS).forEach(field => {
+      this.showFieldError(field, errors[field]);
+    });
+  }
+
+  setStatus(message, type) {
+    if (!this.status) return;
+
+    this.status.textContent = message;
+    this.status.dataset.type = type || '';
+  }
+
+  handleBlur(e) {
+    const field = e.target.name;
+    if (!field || !INQUIRY_FIELD_LABELS[field]) return;
+
+    // Only re-validate fields the visitor has already been told about or filled in
+    if (e.target.value || e.target.hasAttribute('aria-invalid')) {
+      const errors = this.validate(this.getData());
+      this.showFieldError(field, errors[field]);
+    }
+  }
+
+  handleInput(e) {
+    if (e.target.hasAttribute('aria-invalid')) {
+      const errors = this.validate(this.getData());
+      this.showFieldError(e.target.name, errors[e.target.name]);
+    }
+
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = setTimeout(() => this.saveDraft(), INQUIRY_CONFIG.DRAFT_SAVE_DELAY);
+  }
+
+  /**
+   * A date picked in the availability calendar prefills the form
+   */
+  handleAvailabilitySelect(e) {
+    const input = this.form.elements.date;
+    if (!input) return;
+
+    input.value = e.detail.date;
+    this.showFieldError('date', null);
+    this.saveDraft();
+  }
+
+  /**
+   * Re-issue the messages already on screen in the new language
+   */
+  handleLanguageChange() {
+    const errors = this.validate(this.getData());
+
+    Object.keys(INQUIRY_FIELD_LABELS).forEach(field => {
+      const input = this.form.elements[field];
+      if (input && input.hasAttribute('aria-invalid')) {
+        this.showFieldError(field, errors[field]);
+      }
+    });
+
+    this.setStatus('', '');
+  }
+
+  async handleSubmit(e) {
+    e.preventDefault();
+    if (this.isSubmitting) return;
+
+    // Bots fill the hidden field; pretend it worked and drop the request
+    if (this.form.elements.website && this.form.elements.website.value) {
+      this.setStatus(translate('inquiry.status.thanks', null, '¡Gracias! Te respondo a la brevedad.'), 'success');
+      return;
+    }
+
+    const data = this.getData();
+    const errors = this.validate(data);
+    this.showErrors(errors);
+
+    const invalidFields = Object.keys(errors);
+    if (invalidFields.length > 0) {
+      const count = invalidFields.length;
+      this.setStatus(count === 1
+        ? translate('inquiry.status.invalidOne', null, 'Revisá el campo marcado antes de enviar.')
+        : translate('inquiry.status.invalidMany', { count }, `Revisá los ${count} campos marcados antes de enviar.`), 'error');
+      this.form.elements[invalidFields[0]].focus();
+      return;
+    }
+
+    await this.submit(data);
+  }
+
+  async submit(data) {
+    const adapterName = this.form.dataset.adapter || 'whatsapp';
+    const { endpoint, email, whatsapp } = this.form.dataset;
+    const options = { endpoint, email, whatsapp };
+
+    this.isSubmitting = true;
+    this.submitButton.disabled = true;
+    this.setStatus(translate('inquiry.status.sending', null, 'Enviando consulta…'), 'pending');
+
+    try {
+      await this.getAdapter(adapterName).submit(data, options);
+      this.handleSuccess(adapterName);
+    } catch (error) {
+      console.error('Inquiry submission failed:', error);
+
+      // A failed endpoint falls back to the visitor's email client
+      if (adapterName === 'endpoint' && await this.submitFallback(data, options)) {
+        this.setStatus(translate('inquiry.status.endpointFallback', null, 'No pudimos enviar la consulta. Abrimos tu email con los datos completos para que la envíes desde ahí.'), 'error');
+      } else {
+        this.setStatus(translate('inquiry.status.failed', null, 'No pudimos enviar la consulta. Probá de nuevo o escribime por WhatsApp.'), 'error');
+      }
+    } finally {
+      this.isSubmitting = false;
+      this.submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Open the visitor's email client instead; false if that can't be done either
+   */
+  async submitFallback(data, options) {
+    try {
+      await INQUIRY_ADAPTERS.mailto.submit(data, options);
+      return true;
+    } catch (error) {
+      console.error('Inquiry email fallback failed:', error);
+      return false;
+    }
+  }
+
+  getAdapter(name) {
+    const adapter = INQUIRY_ADAPTERS[name];
+    if (!adapter) {
+      throw new Error(`Unknown inquiry adapter: ${name}`);
+    }
+    return adapter;
+  }
+
+  handleSuccess(adapterName) {
+    const messages = {
+      endpoint: translate('inquiry.status.endpointSuccess', null, '¡Gracias! Recibí tu consulta y te respondo a la brevedad.'),
+      mailto: translate('inquiry.status.mailtoSuccess', null, 'Abrimos tu email con la consulta lista para enviar.'),
+      whatsapp: translate('inquiry.status.whatsappSuccess', null, 'Abrimos WhatsApp con tu consulta lista para enviar.')
+    };
+
+    this.setStatus(messages[adapterName] || messages.endpoint, 'success');
+
+    // Deep links only prefill a message, so keep the draft until it is sent
+    if (adapterName === 'endpoint') {
+      this.clearDraft();
+      this.form.reset();
+    }
+  }
+
+  // ==========================================================================
+  // Draft Persistence
+  // ==========================================================================
+
+  saveDraft() {
+    try {
+      localStorage.setItem(INQUIRY_CONFIG.DRAFT_KEY, JSON.stringify(this.getData()));
+    } catch (error) {
+      // Storage can be unavailable (private mode, quota); the draft is optional
+    }
+  }
+
+  restoreDraft() {
+    let draft = null;
+
+    try {
+      draft = JSON.parse(localStorage.getItem(INQUIRY_CONFIG.DRAFT_KEY));
+    } catch (error) {
+      return;
+    }
+
+    if (!draft) return;
+
+    Object.keys(INQUIRY_FIELD_LABELS).forEach(field => {
+      const input = this.form.elements[field];
+      if (input && draft[field]) {
+        input.value = draft[field];
+      }
+    });
+  }
+
+  clearDraft() {
+    try {
+      localStorage.removeItem(INQUIRY_CONFIG.DRAFT_KEY);
+    } catch (error) {
+      // Nothing to clear
+    }
+  }
+
+  destroy() {
+    if (!this.form) return;
+
+    clearTimeout(this.saveTimeout);
+    this.form.removeEventListener('submit', this.handleSubmit);
+    this.form.removeEventListener('input', this.handleInput);
+    this.form.removeEventListener('focusout', this.handleBlur);
+    document.removeEventListener('availability:select', this.handleAvailabilitySelect);
+    document.removeEventListener('i18n:change', this.handleLanguageChange);
+  }
+}
+
+// Tests require() the class; the page creates it from App in js/main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { INQUIRY_CONFIG, INQUIRY_ADAPTERS, InquiryForm };
+}
@@ -0,0 +1,343 @@
+/**
+ * Lightbox Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Lightbox Configuration
+// ==========================================================================
+
+const LIGHTBOX_CONFIG = {
+  HASH_PREFIX: 'portfolio',
+  SWIPE_THRESHOLD: 50,
+  SWIPE_MAX_DURATION: 600
+};
+
+// ==========================================================================
+// Lightbox Class
+// ==========================================================================
+
+class Lightbox {
+  constructor(items) {
+    this.lightbox = document.getElementById('lightbox');
+    this.image = document.querySelector('.lightbox__image');
+    this.sources = document.querySelectorAll('.lightbox__figure source');
+    this.title = document.querySelector('.lightbox__title');
+    this.counter = document.querySelector('.lightbox__counter');
+    this.closeButton = document.querySelector('.lightbox__close');
+    this.prevButton = document.querySelector('.lightbox__nav--prev');
+    this.nextButton = document.querySelector('.lightbox__nav--next');
+    this.items = [];
+    this.currentIndex = -1;
+    this.isOpen = false;
+    this.previousFocus = null;
+    this.returnHash = `#${LIGHTBOX_CONFIG.HASH_PREFIX}`;
+    // Whether open() added the history entry close() should step back from
+    this.hasHistoryEntry = false;
+    this.listeners = [];
+
+    this.setItems(items || []);
+    this.init();
+  }
+
+  init() {
+    if (!this.lightbox) {
+      console.warn('Lightbox element not found');
+      return;
+    }
+
+    this.handleControls();
+    this.handleKeyboard();
+    this.handleSwipe();
+    this.handleHashChange();
+  }
+
+  /**
+   * Set the viewer's photo list: `{ id, category, src, alt, title }` objects,
+   * optionally with `srcset`, `sizes` and per-format `sources` (see getResponsiveSources)
+   */
+  setItems(items) {
+    const categoryCounts = {};
+
+    this.items = items.map(item => {
+      const category = item.category || 'general';
+      categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+
+      return Object.assign({}, item, {
+        category,
+        position: categoryCounts[category]
+      });
+    });
+  }
+
+  findIndexById(id) {
+    return this.items.findIndex(item => item.id === id);
+  }
+
+  // Register listeners so destroy() can remove them
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+
+  handleControls() {
+    if (this.closeButton) {
+      this.listen(this.closeButton, 'click', () => this.close());
+    }
+
+    if (this.prevButton) {
+      this.listen(this.prevButton, 'click', () => this.prev());
+    }
+
+    if (this.nextButton) {
+      this.listen(this.nextButton, 'click', () => this.next());
+    }
+
+    // Close when clicking the backdrop, not the photo itself
+    this.listen(this.lightbox, 'click', (e) => {
+      if (e.target === this.lightbox) {
+        this.close();
+      }
+    });
+  }
+
+  handleKeyboard() {
+    this.listen(document, 'keydown', (e) => {
+      if (!this.isOpen) return;
+
+      switch (e.key) {
+        case 'Escape':
+          e.preventDefault();
+          this.close();
+          break;
+        case 'ArrowLeft':
+          e.preventDefault();
+          this.prev();
+          break;
+        case 'ArrowRight':
+          e.preventDefault();
+          this.next();
+          break;
+        case 'Tab':
+          this.trapFocus(e);
+          break;
+      }
+    });
+  }
+
+  handleSwipe() {
+    let startX = 0;
+    let startY = 0;
+    let startTime = 0;
+
+    this.listen(this.lightbox, 'touchstart', (e) => {
+      const touch = e.changedTouches[0];
+      startX = touch.clientX;
+      startY = touch.clientY;
+      startTime = Date.now();
+    }, { passive: true });
+
+    this.listen(this.lightbox, 'touchend', (e) => {
+      const touch = e.changedTouches[0];
+      const deltaX = touch.clientX - startX;
+      const deltaY = touch.clientY - startY;
+      const duration = Date.now() - startTime;
+
+      // Only horizontal, deliberate swipes change the photo
+      if (duration > LIGHTBOX_CONFIG.SWIPE_MAX_DURATION) return;
+      if (Math.abs(deltaX) < LIGHTBOX_CONFIG.SWIPE_THRESHOLD) return;
+      if (Math.abs(deltaX) < Math.abs(deltaY)) return;
+
+      if (deltaX < 0) {
+        this.next();
+      } else {
+        this.prev();
+      }
+    }, { passive: true });
+  }
+
+  handleHashChange() {
+    this.listen(window, 'hashchange', () => this.syncWithHash());
+
+    // Deep link: open the shared photo on first load
+    this.syncWithHash();
+  }
+
+  syncWithHash() {
+    const index = this.parseHash(window.location.hash);
+
+    if (index !== -1) {
+      this.open(index, { updateHash: false });
+    } else if (this.isOpen) {
+      this.close({ updateHash: false });
+    }
+  }
+
+  /**
+   * Resolve `#portfolio/<category>/<n>` to an item index, or -1
+   */
+  parseHash(hash) {
+    const parts = hash.replace(/^#/, '').split('/');
+    if (parts.length !== 3 || parts[0] !== LIGHTBOX_CONFIG.HASH_PREFIX) return -1;
+
+    let category;
+    try {
+      category = decodeURIComponent(parts[1]);
+    } catch (error) {
+      // A malformed escape like `%E0` names no category
+      return -1;
+    }
+
+    const position = parseInt(parts[2], 10);
+
+    return this.items.findIndex(item => item.category === category && item.position === position);
+  }
+
+  buildHash(index) {
+    const item = this.items[index];
+    return `#${LIGHTBOX_CONFIG.HASH_PREFIX}/${encodeURIComponent(item.category)}/${item.position}`;
+  }
+
+  open(index, { updateHash = true } = {}) {
+    if (!this.lightbox || !this.items[index]) return;
+
+    if (!this.isOpen) {
+      this.previousFocus = document.activeElement;
+      this.isOpen = true;
+
+      // Closing returns to the view that opened the photo, e.g. an album
+      const currentHash = window.location.hash;
+      this.returnHash = currentHash && this.parseHash(currentHash) === -1
+        ? currentHash
+        : `#${LIGHTBOX_CONFIG.HASH_PREFIX}`;
+
+      this.lightbox.classList.add('active');
+      this.lightbox.setAttribute('aria-hidden', 'false');
+      document.body.classList.add('no-scroll');
+
+      if (updateHash) {
+        // Keep the page's scroll position for when Back returns to it
+        history.replaceState(Object.assign({}, history.state, { scrollY: window.scrollY }), null, window.location.href);
+        history.pushState(null, null, this.buildHash(index));
+        this.hasHistoryEntry = true;
+      }
+    } else if (updateHash) {
+      history.replaceState(null, null, this.buildHash(index));
+    }
+
+    this.show(index);
+
+    if (this.closeButton) {
+      this.closeButton.focus();
+    }
+  }
+
+  close({ updateHash = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.lightbox.classList.remove('active');
+    this.lightbox.setAttribute('aria-hidden', 'true');
+    document.body.classList.remove('no-scroll');
+
+    // Step back over the entry open() added, so each photo viewed doesn't cost
+    // a press of Back; a deep-linked photo swaps its hash for the view instead,
+    // or clears it rather than leave a bare `#`
+    if (updateHash && this.hasHistoryEntry) {
+      history.back();
+    } else if (updateHash) {
+      const returnUrl = this.returnHash && this.returnHash !== '#'
+        ? this.returnHash
+        : window.location.pathname + window.location.search;
+      history.replaceState(null, null, returnUrl);
+    }
+
+    this.hasHistoryEntry = false;
+
+    // Return focus to the item that opened the viewer
+    if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  show(index) {
+    const item = this.items[index];
+    this.currentIndex = index;
+
+    this.sources.forEach(source => {
+      const match = (item.sources || []).find(candidate => candidate.type === source.type);
+      this.setResponsiveAttributes(source, match ? match.srcset : null, item.sizes);
+    });
+
+    this.setResponsiveAttributes(this.image, item.srcset, item.sizes);
+    this.image.src = item.src;
+    this.image.alt = item.alt;
+
+    if (this.title) {
+      this.title.textContent = item.title;
+    }
+
+    if (this.counter) {
+      this.counter.textContent = `${index + 1} / ${this.items.length}`;
+    }
+  }
+
+  setResponsiveAttributes(element, srcset, sizes) {
+    if (srcset) {
+      element.srcset = srcset;
+      element.sizes = sizes || '';
+    } else {
+      element.removeAttribute('srcset');
+      element.removeAttribute('sizes');
+    }
+  }
+
+  next() {
+    if (!this.isOpen || this.items.length < 2) return;
+    this.open((this.currentIndex + 1) % this.items.length);
+  }
+
+  prev() {
+    if (!this.isOpen || this.items.length < 2) return;
+    this.open((this.currentIndex - 1 + this.items.length) % this.items.length);
+  }
+
+  getFocusableElements() {
+    return Array.from(this.lightbox.querySelectorAll('button, [href], [tabindex]:not([tabindex="-1"])'))
+      .filter(element => !element.disabled);
+  }
+
+  trapFocus(e) {
+    const focusable = this.getFocusableElements();
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    } else if (!this.lightbox.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  destroy() {
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
+  }
+}
+
+// Tests require() the class; the page creates it from Portfolio in js/main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LIGHTBOX_CONFIG, Lightbox };
+}
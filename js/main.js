@@ -12,9 +12,26 @@
 const CONFIG = {
   SCROLL_THRESHOLD: 50,
   DEBOUNCE_DELAY: 100,
-  INTERSECTION_THRESHOLD: 0.1,
-  INTERSECTION_ROOT_MARGIN: '0px 0px -50px 0px',
-  FOOTER_ANIMATION_DELAY: 100
+  FILTER_ANIMATION_DURATION: 400,
+  // A touch shorter and smaller than this is a tap; anything else scrolls
+  TAP_MAX_DURATION: 200,
+  TAP_MAX_DISTANCE: 10
+};
+
+const MINI_POLAROIDS_CONFIG = {
+  STORAGE_KEY: 'oriana:collage',
+  SAVE_DELAY: 400,
+  // Arrow keys move a polaroid by this share of the board; Shift for the large step
+  KEYBOARD_STEP: 0.02,
+  KEYBOARD_STEP_LARGE: 0.1,
+  // Toss: release speed sampled over the last VELOCITY_WINDOW ms, in px/ms
+  VELOCITY_WINDOW: 100,
+  MAX_SPEED: 2,
+  MIN_SPEED: 0.02,
+  FRICTION: 0.9,
+  BOUNCE: 0.4,
+  MAX_TILT: 6,
+  SETTLE_DURATION: 600
 };
 
 // ==========================================================================
@@ -22,11 +39,11 @@ const CONFIG = {
 // ==========================================================================
 
 /**
- * Debounce function to limit function execution
+ * Debounce function to limit function execution; `cancel()` drops a pending call
  */
 function debounce(func, wait) {
   let timeout;
-  return function executedFunction(...args) {
+  const executedFunction = function(...args) {
     const later = () => {
       clearTimeout(timeout);
       func(...args);
@@ -34,6 +51,8 @@ function debounce(func, wait) {
     clearTimeout(timeout);
     timeout = setTimeout(later, wait);
   };
+  executedFunction.cancel = () => clearTimeout(timeout);
+  return executedFunction;
 }
 
 /**
@@ -67,116 +86,195 @@ function isInViewport(element) {
 
 
 // ==========================================================================
-// Scroll Animations
+// Section Views
 // ==========================================================================
 
-class ScrollAnimations {
-  constructor() {
-    this.observer = null;
-    this.animatedElements = document.querySelectorAll('.stat');
+/**
+ * Reports the first time each section is seen, on the animation engine's
+ * shared observer
+ */
+class SectionViews {
+  constructor(animations) {
+    this.animations = animations;
+    this.sections = document.querySelectorAll('section[id]');
 
     this.init();
   }
 
   init() {
-    this.setupIntersectionObserver();
-    this.observeElements();
+    this.sections.forEach(section => {
+      this.animations.watch(section, (entry) => {
+        if (!entry.isIntersecting) return;
+
+        trackEvent('section_view', { section: section.id });
+        this.animations.unwatch(section);
+      });
+    });
   }
 
-  setupIntersectionObserver() {
-    const options = {
-      threshold: CONFIG.INTERSECTION_THRESHOLD,
-      rootMargin: CONFIG.INTERSECTION_ROOT_MARGIN
-    };
+  destroy() {
+    this.sections.forEach(section => this.animations.unwatch(section));
+  }
+}
 
-    this.observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting && !entry.target.classList.contains('animated')) {
-          entry.target.classList.add('animated');
+// ==========================================================================
+// Portfolio Interactions
+// ==========================================================================
 
-          // Trigger number animation for stats
-          if (entry.target.classList.contains('stat')) {
-            this.animateNumber(entry.target);
-          }
-        }
-      });
-    }, options);
+class Portfolio {
+  constructor(gallery) {
+    this.gallery = gallery;
+    this.portfolioItems = document.querySelectorAll('.portfolio__item');
+    this.filterButtons = document.querySelectorAll('.portfolio__filter');
+    this.albumLink = document.querySelector('.portfolio__album-link');
+    this.activeFilter = PORTFOLIO_FILTER_ALL;
+    this.lightbox = new Lightbox(this.getLightboxItems());
+    this.handleLanguageChange = this.handleLanguageChange.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    this.handleKeyboardAccess();
+    this.handleTouchInteractions();
+    this.handleClicks();
+    this.handleFilters();
+    document.addEventListener('i18n:change', this.handleLanguageChange);
   }
 
-  observeElements() {
-    this.animatedElements.forEach(element => {
-      this.observer.observe(element);
+  getLightboxItems() {
+    return this.gallery.getPortfolioPhotos().map(photo => {
+      const category = this.gallery.getCategory(photo.category);
+
+      return {
+        id: photo.id,
+        category: photo.category,
+        ...getResponsiveSources(photo, IMAGE_LAYOUTS.full),
+        alt: this.gallery.getPhotoText(photo, 'alt'),
+        title: this.gallery.getPhotoText(photo, 'caption') || (category ? this.gallery.getCategoryText(category, 'title') : '')
+      };
     });
   }
 
-  animateNumber(statElement) {
-    const numberElement = statElement.querySelector('.stat__number');
-    if (!numberElement) return;
+  handleLanguageChange() {
+    this.lightbox.setItems(this.getLightboxItems());
 
-    const finalNumber = numberElement.textContent;
-    const numericValue = parseInt(finalNumber.replace(/[^\d]/g, ''));
-    const suffix = finalNumber.replace(/[\d]/g, '');
+    if (this.lightbox.isOpen) {
+      this.lightbox.show(this.lightbox.currentIndex);
+    }
 
-    if (isNaN(numericValue)) return;
+    this.updateAlbumLink(this.activeFilter);
+  }
 
-    let current = 0;
-    const increment = numericValue / 60; // Animate over ~1 second at 60fps
-    const duration = 1000;
-    const startTime = performance.now();
+  openItem(item) {
+    const index = this.lightbox.findIndexById(item.dataset.photoId);
+    if (index !== -1) {
+      trackEvent('portfolio_open', { category: item.dataset.category, photo: item.dataset.photoId });
+      this.lightbox.open(index);
+    }
+  }
 
-    const updateNumber = (currentTime) => {
-      const elapsed = currentTime - startTime;
-      const progress = Math.min(elapsed / duration, 1);
+  handleFilters() {
+    this.filterButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.filter(button.dataset.filter);
+      });
+    });
+  }
 
-      current = Math.floor(numericValue * this.easeOut(progress));
-      numberElement.textContent = current + suffix;
+  filter(categoryId) {
+    if (categoryId === this.activeFilter) return;
+    this.activeFilter = categoryId;
 
-      if (progress < 1) {
-        requestAnimationFrame(updateNumber);
-      } else {
-        numberElement.textContent = finalNumber; // Ensure final value is exact
-      }
-    };
+    this.filterButtons.forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.filter === categoryId));
+    });
 
-    requestAnimationFrame(updateNumber);
-  }
+    this.animateLayout(() => {
+      this.portfolioItems.forEach(item => {
+        item.hidden = categoryId === PORTFOLIO_FILTER_ALL
+          ? item.dataset.cover !== 'true'
+          : item.dataset.category !== categoryId;
+      });
+    });
 
-  easeOut(t) {
-    return 1 - Math.pow(1 - t, 3);
+    this.updateAlbumLink(categoryId);
   }
 
-  destroy() {
-    if (this.observer) {
-      this.observer.disconnect();
+  updateAlbumLink(categoryId) {
+    if (!this.albumLink) return;
+
+    const category = this.gallery.getCategory(categoryId);
+    this.albumLink.hidden = !category;
+
+    if (category) {
+      this.albumLink.href = `#album/${category.id}`;
+      const title = this.gallery.getCategoryText(category, 'title');
+      this.albumLink.textContent = translate('portfolio.albumLink', { title }, `Ver álbum completo: ${title}`);
     }
   }
-}
 
-// ==========================================================================
-// Portfolio Interactions
-// ==========================================================================
+  /**
+   * FLIP re-layout: measure, apply the change, then animate from the old positions
+   */
+  animateLayout(applyChange) {
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const items = Array.from(this.portfolioItems);
+    const firstRects = new Map(items.map(item => [item, item.getBoundingClientRect()]));
+    const wasHidden = new Map(items.map(item => [item, item.hidden]));
 
-class Portfolio {
-  constructor() {
-    this.portfolioItems = document.querySelectorAll('.portfolio__item');
+    applyChange();
 
-    this.init();
+    if (reduceMotion || typeof Element.prototype.animate !== 'function') return;
+
+    const options = {
+      duration: CONFIG.FILTER_ANIMATION_DURATION,
+      easing: 'cubic-bezier(0.25, 0.46, 0.45, 0.94)'
+    };
+
+    items.forEach(item => {
+      if (item.hidden) return;
+
+      if (wasHidden.get(item)) {
+        item.animate([
+          { opacity: 0, transform: 'scale(0.92)' },
+          { opacity: 1, transform: 'none' }
+        ], options);
+        return;
+      }
+
+      const first = firstRects.get(item);
+      const last = item.getBoundingClientRect();
+      const deltaX = first.left - last.left;
+      const deltaY = first.top - last.top;
+
+      if (deltaX || deltaY) {
+        item.animate([
+          { transform: `translate(${deltaX}px, ${deltaY}px)` },
+          { transform: 'none' }
+        ], options);
+      }
+    });
   }
 
-  init() {
-    this.handleKeyboardAccess();
-    this.handleTouchInteractions();
+  handleClicks() {
+    this.portfolioItems.forEach(item => {
+      item.addEventListener('click', () => {
+        this.openItem(item);
+      });
+    });
   }
 
   handleKeyboardAccess() {
     this.portfolioItems.forEach(item => {
       // Make portfolio items focusable
       item.setAttribute('tabindex', '0');
+      item.setAttribute('role', 'button');
 
       item.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
-          item.classList.toggle('portfolio__item--focused');
+          this.openItem(item);
         }
       });
 
@@ -193,19 +291,31 @@ class Portfolio {
   handleTouchInteractions() {
     // Improve touch interactions for mobile devices
     this.portfolioItems.forEach(item => {
-      let touchStartTime = 0;
+      let touchStart = null;
 
-      item.addEventListener('touchstart', () => {
-        touchStartTime = Date.now();
+      item.addEventListener('touchstart', (e) => {
+        const touch = e.touches[0];
+        touchStart = { time: Date.now(), x: touch.clientX, y: touch.clientY };
       }, { passive: true });
 
+      // The browser took the gesture over to scroll
+      item.addEventListener('touchcancel', () => {
+        touchStart = null;
+      });
+
       item.addEventListener('touchend', (e) => {
-        const touchDuration = Date.now() - touchStartTime;
+        if (!touchStart) return;
+
+        const touch = e.changedTouches[0];
+        const duration = Date.now() - touchStart.time;
+        const distance = Math.hypot(touch.clientX - touchStart.x, touch.clientY - touchStart.y);
+        touchStart = null;
 
-        // If it's a quick tap (not a scroll), toggle the hover state
-        if (touchDuration < 200) {
+        // If it's a quick tap (not a scroll or a long press), open the photo
+        if (duration < CONFIG.TAP_MAX_DURATION && distance < CONFIG.TAP_MAX_DISTANCE) {
+          // Prevent the emulated click from opening the viewer twice
           e.preventDefault();
-          item.classList.toggle('portfolio__item--touched');
+          item.classList.add('portfolio__item--touched');
 
           // Remove touched state from other items
           this.portfolioItems.forEach(otherItem => {
@@ -213,10 +323,17 @@ class Portfolio {
               otherItem.classList.remove('portfolio__item--touched');
             }
           });
+
+          this.openItem(item);
         }
       });
     });
   }
+
+  destroy() {
+    this.lightbox.destroy();
+    document.removeEventListener('i18n:change', this.handleLanguageChange);
+  }
 }
 
 // ==========================================================================
@@ -226,6 +343,8 @@ class Portfolio {
 class PerformanceOptimizer {
   constructor() {
     this.images = document.querySelectorAll('img');
+    this.imageObserver = null;
+    this.animationObserver = null;
 
     this.init();
   }
@@ -235,37 +354,45 @@ class PerformanceOptimizer {
     this.optimizeAnimations();
   }
 
-  lazyLoadImages() {
+  /**
+   * Observe images (all page images by default) and swap their data-srcset
+   * and data-src in as they approach the viewport; views rendered later pass
+   * their own images
+   */
+  lazyLoadImages(images = this.images) {
     if ('IntersectionObserver' in window) {
-      const imageObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            const img = entry.target;
-
-            // Replace data-src with src for lazy loading
-            if (img.dataset.src) {
-              img.src = img.dataset.src;
-              img.removeAttribute('data-src');
+      if (!this.imageObserver) {
+        this.imageObserver = new IntersectionObserver((entries) => {
+          entries.forEach(entry => {
+            if (entry.isIntersecting) {
+              this.loadImage(entry.target);
+              this.imageObserver.unobserve(entry.target);
             }
+          });
+        }, { rootMargin: '200px 0px' });
+      }
 
-            img.classList.add('loaded');
-            imageObserver.unobserve(img);
-          }
-        });
-      });
-
-      this.images.forEach(img => {
-        imageObserver.observe(img);
+      images.forEach(img => {
+        this.imageObserver.observe(img);
       });
+    } else {
+      images.forEach(img => this.loadImage(img));
     }
   }
 
+  loadImage(img) {
+    // Replace the placeholder with the responsive sources
+    loadResponsiveImage(img);
+
+    img.classList.add('loaded');
+  }
+
   optimizeAnimations() {
     // Pause animations when not in viewport to save battery
     const animatedElements = document.querySelectorAll('.polaroid__image, .marquee__content');
 
     if ('IntersectionObserver' in window) {
-      const animationObserver = new IntersectionObserver((entries) => {
+      this.animationObserver = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
           if (entry.isIntersecting) {
             entry.target.style.animationPlayState = 'running';
@@ -276,10 +403,20 @@ class PerformanceOptimizer {
       });
 
       animatedElements.forEach(element => {
-        animationObserver.observe(element);
+        this.animationObserver.observe(element);
       });
     }
   }
+
+  destroy() {
+    if (this.imageObserver) {
+      this.imageObserver.disconnect();
+    }
+
+    if (this.animationObserver) {
+      this.animationObserver.disconnect();
+    }
+  }
 }
 
 // ==========================================================================
@@ -288,24 +425,17 @@ class PerformanceOptimizer {
 
 class AccessibilityEnhancer {
   constructor() {
+    this.addAriaLabels = this.addAriaLabels.bind(this);
+
     this.init();
   }
 
   init() {
-    this.handleReducedMotion();
     this.improveKeyboardNavigation();
     this.addAriaLabels();
-  }
 
-  handleReducedMotion() {
-    // Respect user's motion preferences
-    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-      document.documentElement.style.setProperty('--animation-duration-fast', '0ms');
-      document.documentElement.style.setProperty('--animation-duration-normal', '0ms');
-      document.documentElement.style.setProperty('--animation-duration-slow', '0ms');
-      document.documentElement.style.setProperty('--animation-duration-image-slide', '0ms');
-      document.documentElement.style.setProperty('--animation-duration-marquee', '0ms');
-    }
+    // Labels are built from translated copy
+    document.addEventListener('i18n:change', this.addAriaLabels);
   }
 
   improveKeyboardNavigation() {
@@ -327,17 +457,21 @@ class AccessibilityEnhancer {
     portfolioItems.forEach((item, index) => {
       const title = item.querySelector('.portfolio__title');
       if (title) {
-        item.setAttribute('aria-label', `Ver proyecto: ${title.textContent}`);
+        item.setAttribute('aria-label', translate('portfolio.itemLabel', { title: title.textContent }, `Ver proyecto: ${title.textContent}`));
       }
     });
 
-    // Add role and aria-label to marquee
+    // The marquee is a `marquee` live region, not a second banner: <header> is the banner
     const marquee = document.querySelector('.marquee');
     if (marquee) {
-      marquee.setAttribute('role', 'banner');
-      marquee.setAttribute('aria-label', 'Servicios de fotografía disponibles');
+      marquee.setAttribute('role', 'marquee');
+      marquee.setAttribute('aria-label', translate('marquee.label', null, 'Servicios de fotografía disponibles'));
     }
   }
+
+  destroy() {
+    document.removeEventListener('i18n:change', this.addAriaLabels);
+  }
 }
 
 // ==========================================================================
@@ -345,35 +479,103 @@ class AccessibilityEnhancer {
 // ==========================================================================
 
 class ErrorHandler {
-  constructor() {
+  constructor(reporter) {
+    this.reporter = reporter;
+
+    this.handleError = this.handleError.bind(this);
+    this.handleRejection = this.handleRejection.bind(this);
+
     this.init();
   }
 
   init() {
-    this.handleImageErrors();
-    this.handleJavaScriptErrors();
+    // Capture phase: image load errors don't bubble, but still pass through window
+    window.addEventListener('error', this.handleError, true);
+    window.addEventListener('unhandledrejection', this.handleRejection);
+
+    // Images in the markup may have failed before this handler existed
+    document.querySelectorAll('img').forEach(img => {
+      if (img.complete && img.getAttribute('src') && img.naturalWidth === 0) {
+        this.handleImageError(img);
+      }
+    });
   }
 
-  handleImageErrors() {
-    const images = document.querySelectorAll('img');
-    images.forEach(img => {
-      img.addEventListener('error', () => {
-        img.style.display = 'none';
-        console.warn(`Failed to load image: ${img.src}`);
-      });
+  handleError(e) {
+    if (e.target instanceof HTMLImageElement) {
+      this.handleImageError(e.target);
+      return;
+    }
+
+    // Other resource failures (scripts, styles) have no error to report
+    if (!(e instanceof ErrorEvent)) return;
+
+    console.error('JavaScript error:', e.error);
+    this.reporter.reportError(e.error || e.message, {
+      source: e.filename,
+      line: e.lineno,
+      column: e.colno
     });
   }
 
-  handleJavaScriptErrors() {
-    window.addEventListener('error', (e) => {
-      console.error('JavaScript error:', e.error);
-      // Could implement error reporting here
-    });
+  handleRejection(e) {
+    console.error('Unhandled promise rejection:', e.reason);
+    this.reporter.reportError(e.reason, { type: 'rejection' });
+  }
 
-    window.addEventListener('unhandledrejection', (e) => {
-      console.error('Unhandled promise rejection:', e.reason);
-      // Could implement error reporting here
-    });
+  handleImageError(img) {
+    console.warn(`Failed to load image: ${img.currentSrc || img.src}`);
+    this.reporter.reportImage(img);
+
+    // The lightbox keeps its own element; it only gets marked
+    if (img.classList.contains('lightbox__image')) {
+      img.classList.add('is-broken');
+      return;
+    }
+
+    this.replaceWithFallback(img);
+  }
+
+  /**
+   * Swap a broken image (or its <picture>) for a tile with the same classes
+   * and proportions, so grids keep their shape
+   */
+  replaceWithFallback(img) {
+    const fallback = document.createElement('div');
+    fallback.className = img.className;
+    fallback.classList.remove('is-loading', 'loaded');
+    fallback.classList.add('image-fallback');
+    // Keep data used by click handlers, but not the sources the lazy loader looks for
+    Object.keys(img.dataset)
+      .filter(key => key !== 'src' && key !== 'srcset')
+      .forEach(key => {
+        fallback.dataset[key] = img.dataset[key];
+      });
+
+    if (img.getAttribute('aria-hidden') === 'true') {
+      fallback.setAttribute('aria-hidden', 'true');
+    } else {
+      fallback.setAttribute('role', 'img');
+      fallback.setAttribute('aria-label', img.alt || translate('errors.imageUnavailable', null, 'Imagen no disponible'));
+    }
+
+    if (img.width && img.height) {
+      fallback.style.aspectRatio = `${img.width} / ${img.height}`;
+    }
+
+    const label = document.createElement('span');
+    label.className = 'image-fallback__label';
+    label.setAttribute('aria-hidden', 'true');
+    label.textContent = translate('errors.imageUnavailable', null, 'Imagen no disponible');
+    fallback.appendChild(label);
+
+    const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+    (picture || img).replaceWith(fallback);
+  }
+
+  destroy() {
+    window.removeEventListener('error', this.handleError, true);
+    window.removeEventListener('unhandledrejection', this.handleRejection);
   }
 }
 
@@ -381,174 +583,372 @@ class ErrorHandler {
 // Mini Polaroids Draggable
 // ==========================================================================
 
+/**
+ * Collage in the about section: polaroids can be dragged with mouse, touch or
+ * pen (and tossed), moved with the arrow keys, shuffled or put back. Positions
+ * are shares of the board's free space (0 to 1), so the layout survives
+ * resizes, and are saved per visitor.
+ */
 class MiniPolaroids {
   constructor() {
-    this.miniPolaroids = document.querySelectorAll('.mini-polaroid');
-    this.aboutSection = document.querySelector('.about');
+    this.board = document.querySelector('.mini-polaroids__board');
+    this.miniPolaroids = this.board ? Array.from(this.board.querySelectorAll('.mini-polaroid')) : [];
+    this.controls = document.querySelector('.mini-polaroids__controls');
+    this.topZ = this.miniPolaroids.length;
+    this.drag = null;
+    this.tosses = new Map();
+    this.settleTimer = null;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleControlClick = this.handleControlClick.bind(this);
+    this.scheduleSave = debounce(() => this.save(), MINI_POLAROIDS_CONFIG.SAVE_DELAY);
 
     this.init();
   }
 
   init() {
-    this.miniPolaroids.forEach(polaroid => {
-      this.makeDraggable(polaroid);
+    if (this.miniPolaroids.length === 0) return;
+
+    this.miniPolaroids.forEach((polaroid, index) => {
+      polaroid.style.setProperty('--rotation', `${Number(polaroid.dataset.rotation) || 0}deg`);
+      this.setPosition(polaroid, Number(polaroid.dataset.x) || 0, Number(polaroid.dataset.y) || 0);
+      polaroid.style.zIndex = index + 1;
     });
+
+    this.restore();
+
+    this.board.addEventListener('pointerdown', this.handlePointerDown);
+    this.board.addEventListener('pointermove', this.handlePointerMove);
+    this.board.addEventListener('pointerup', this.handlePointerUp);
+    this.board.addEventListener('pointercancel', this.handlePointerUp);
+    this.board.addEventListener('keydown', this.handleKeyDown);
+
+    if (this.controls) {
+      this.controls.addEventListener('click', this.handleControlClick);
+    }
   }
 
-  makeDraggable(element) {
-    let isDragging = false;
-    let currentX;
-    let currentY;
-    let initialX;
-    let initialY;
-    let xOffset = 0;
-    let yOffset = 0;
+  // ==========================================================================
+  // Position
+  // ==========================================================================
 
-    // Mouse events
-    element.addEventListener('mousedown', (e) => this.dragStart(e, element));
-    document.addEventListener('mousemove', (e) => this.dragMove(e, element));
-    document.addEventListener('mouseup', () => this.dragEnd(element));
+  getPosition(polaroid) {
+    return {
+      x: parseFloat(polaroid.style.getPropertyValue('--x')) || 0,
+      y: parseFloat(polaroid.style.getPropertyValue('--y')) || 0
+    };
+  }
 
-    // Touch events
-    element.addEventListener('touchstart', (e) => this.dragStart(e, element), { passive: false });
-    document.addEventListener('touchmove', (e) => this.dragMove(e, element), { passive: false });
-    document.addEventListener('touchend', () => this.dragEnd(element));
+  setPosition(polaroid, x, y) {
+    polaroid.style.setProperty('--x', Math.max(0, Math.min(1, x)).toFixed(4));
+    polaroid.style.setProperty('--y', Math.max(0, Math.min(1, y)).toFixed(4));
   }
 
-  dragStart(e, element) {
-    const clientX = e.type === 'mousedown' ? e.clientX : e.touches[0].clientX;
-    const clientY = e.type === 'mousedown' ? e.clientY : e.touches[0].clientY;
+  /**
+   * Pixels of room the polaroid can move in, per axis
+   */
+  getFreeSpace(polaroid) {
+    return {
+      width: Math.max(1, this.board.clientWidth - polaroid.offsetWidth),
+      height: Math.max(1, this.board.clientHeight - polaroid.offsetHeight)
+    };
+  }
 
-    initialX = clientX - xOffset;
-    initialY = clientY - yOffset;
+  raise(polaroid) {
+    if (Number(polaroid.style.zIndex) === this.topZ) return;
 
-    if (e.target === element || element.contains(e.target)) {
-      element.isDragging = true;
-      element.style.cursor = 'grabbing';
-    }
+    this.topZ++;
+    polaroid.style.zIndex = this.topZ;
   }
 
-  dragMove(e, element) {
-    if (element.isDragging) {
-      e.preventDefault();
+  // ==========================================================================
+  // Dragging
+  // ==========================================================================
+
+  handlePointerDown(e) {
+    const polaroid = e.target.closest('.mini-polaroid');
+    if (!polaroid || this.drag || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+    e.preventDefault();
+    this.stopToss(polaroid);
+    this.raise(polaroid);
+    polaroid.setPointerCapture(e.pointerId);
+    polaroid.classList.add('is-dragging');
+
+    const boardRect = this.board.getBoundingClientRect();
+
+    // offsetLeft/Top ignore the rotation, unlike the bounding rect
+    this.drag = {
+      polaroid,
+      pointerId: e.pointerId,
+      boardRect,
+      free: this.getFreeSpace(polaroid),
+      grabX: e.clientX - boardRect.left - polaroid.offsetLeft,
+      grabY: e.clientY - boardRect.top - polaroid.offsetTop,
+      samples: [{ time: e.timeStamp, x: e.clientX, y: e.clientY }]
+    };
+  }
 
-      const clientX = e.type === 'mousemove' ? e.clientX : e.touches[0].clientX;
-      const clientY = e.type === 'mousemove' ? e.clientY : e.touches[0].clientY;
+  handlePointerMove(e) {
+    const { drag } = this;
+    if (!drag || e.pointerId !== drag.pointerId) return;
 
-      currentX = clientX - initialX;
-      currentY = clientY - initialY;
+    const { boardRect, free } = drag;
+    this.setPosition(
+      drag.polaroid,
+      (e.clientX - boardRect.left - drag.grabX) / free.width,
+      (e.clientY - boardRect.top - drag.grabY) / free.height
+    );
 
-      // Get container bounds
-      const aboutRect = this.aboutSection.getBoundingClientRect();
-      const elementRect = element.getBoundingClientRect();
+    drag.samples.push({ time: e.timeStamp, x: e.clientX, y: e.clientY });
+    drag.samples = drag.samples.filter(sample => e.timeStamp - sample.time <= MINI_POLAROIDS_CONFIG.VELOCITY_WINDOW);
+
+    // Lean into the movement like a photo pulled across a table
+    const { vx } = this.getVelocity(drag.samples);
+    const tilt = Math.max(-MINI_POLAROIDS_CONFIG.MAX_TILT, Math.min(MINI_POLAROIDS_CONFIG.MAX_TILT, vx * MINI_POLAROIDS_CONFIG.MAX_TILT));
+    drag.polaroid.style.setProperty('--tilt', `${tilt.toFixed(2)}deg`);
+  }
 
-      // Constrain within container
-      const maxX = aboutRect.width - elementRect.width;
-      const maxY = aboutRect.height - elementRect.height;
+  handlePointerUp(e) {
+    const { drag } = this;
+    if (!drag || e.pointerId !== drag.pointerId) return;
 
-      currentX = Math.max(0, Math.min(currentX, maxX));
-      currentY = Math.max(0, Math.min(currentY, maxY));
+    this.drag = null;
+    drag.polaroid.classList.remove('is-dragging');
+    drag.polaroid.style.removeProperty('--tilt');
 
-      xOffset = currentX;
-      yOffset = currentY;
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const { vx, vy } = this.getVelocity(drag.samples.filter(sample => e.timeStamp - sample.time <= MINI_POLAROIDS_CONFIG.VELOCITY_WINDOW));
 
-      element.style.transform = `translate(${currentX}px, ${currentY}px) ${this.getOriginalRotation(element)}`;
+    if (e.type === 'pointerup' && !reduceMotion && Math.hypot(vx, vy) > MINI_POLAROIDS_CONFIG.MIN_SPEED) {
+      this.toss(drag.polaroid, vx, vy, drag.free);
+    } else {
+      this.save();
     }
   }
 
-  dragEnd(element) {
-    initialX = currentX;
-    initialY = currentY;
-    element.isDragging = false;
-    element.style.cursor = 'pointer';
-  }
-
-  getOriginalRotation(element) {
-    // Mantener la rotación original de cada elemento
-    const classList = element.classList;
-    if (classList.contains('mini-polaroid--1')) return 'rotate(-15deg)';
-    if (classList.contains('mini-polaroid--2')) return 'rotate(12deg)';
-    if (classList.contains('mini-polaroid--3')) return 'rotate(8deg)';
-    if (classList.contains('mini-polaroid--4')) return 'rotate(-10deg)';
-    if (classList.contains('mini-polaroid--5')) return 'rotate(20deg)';
-    if (classList.contains('mini-polaroid--6')) return 'rotate(-8deg)';
-    if (classList.contains('mini-polaroid--7')) return 'rotate(-20deg)';
-    if (classList.contains('mini-polaroid--8')) return 'rotate(15deg)';
-    if (classList.contains('mini-polaroid--9')) return 'rotate(-5deg)';
-    if (classList.contains('mini-polaroid--10')) return 'rotate(18deg)';
-    if (classList.contains('mini-polaroid--11')) return 'rotate(-12deg)';
-    if (classList.contains('mini-polaroid--12')) return 'rotate(6deg)';
-    if (classList.contains('mini-polaroid--13')) return 'rotate(14deg)';
-    if (classList.contains('mini-polaroid--14')) return 'rotate(-16deg)';
-    if (classList.contains('mini-polaroid--15')) return 'rotate(9deg)';
-    if (classList.contains('mini-polaroid--16')) return 'rotate(-7deg)';
-    return '';
+  /**
+   * Pointer speed in px/ms between the oldest and newest sample, capped
+   */
+  getVelocity(samples) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const elapsed = last && first ? last.time - first.time : 0;
+    if (elapsed <= 0) return { vx: 0, vy: 0 };
+
+    const cap = value => Math.max(-MINI_POLAROIDS_CONFIG.MAX_SPEED, Math.min(MINI_POLAROIDS_CONFIG.MAX_SPEED, value));
+    return {
+      vx: cap((last.x - first.x) / elapsed),
+      vy: cap((last.y - first.y) / elapsed)
+    };
   }
-}
 
-// ==========================================================================
-// Footer Animations
-// ==========================================================================
+  /**
+   * Let a released polaroid glide on, slowing down and bouncing softly off
+   * the board's edges
+   */
+  toss(polaroid, vx, vy, free) {
+    let velocityX = vx;
+    let velocityY = vy;
+    let previousTime = performance.now();
+
+    const step = (time) => {
+      const elapsed = Math.min(time - previousTime, 32);
+      previousTime = time;
+
+      const position = this.getPosition(polaroid);
+      let x = position.x + (velocityX * elapsed) / free.width;
+      let y = position.y + (velocityY * elapsed) / free.height;
+
+      if (x < 0 || x > 1) {
+        x = Math.max(0, Math.min(1, x));
+        velocityX *= -MINI_POLAROIDS_CONFIG.BOUNCE;
+      }
 
-class FooterAnimations {
-  constructor() {
-    this.footer = document.querySelector('.footer');
-    this.footerTop = document.querySelector('.footer__top');
-    this.footerLetters = document.querySelectorAll('.footer__large-text .letter');
-    this.isAnimated = false;
+      if (y < 0 || y > 1) {
+        y = Math.max(0, Math.min(1, y));
+        velocityY *= -MINI_POLAROIDS_CONFIG.BOUNCE;
+      }
 
-    this.init();
+      this.setPosition(polaroid, x, y);
+
+      // Friction is per 16ms frame, whatever the display's refresh rate
+      const friction = Math.pow(MINI_POLAROIDS_CONFIG.FRICTION, elapsed / 16);
+      velocityX *= friction;
+      velocityY *= friction;
+
+      if (Math.hypot(velocityX, velocityY) > MINI_POLAROIDS_CONFIG.MIN_SPEED) {
+        this.tosses.set(polaroid, requestAnimationFrame(step));
+      } else {
+        this.tosses.delete(polaroid);
+        this.save();
+      }
+    };
+
+    this.tosses.set(polaroid, requestAnimationFrame(step));
   }
 
-  init() {
-    this.setupIntersectionObserver();
+  stopToss(polaroid) {
+    if (!this.tosses.has(polaroid)) return;
+
+    cancelAnimationFrame(this.tosses.get(polaroid));
+    this.tosses.delete(polaroid);
   }
 
-  setupIntersectionObserver() {
-    // Adjust settings for mobile
-    const isMobile = window.innerWidth <= 768;
-    const options = {
-      threshold: isMobile ? 0.1 : 0.2,
-      rootMargin: isMobile ? '0px 0px -50px 0px' : '0px 0px -100px 0px'
+  // ==========================================================================
+  // Keyboard and Controls
+  // ==========================================================================
+
+  handleKeyDown(e) {
+    const polaroid = e.target.closest('.mini-polaroid');
+    const directions = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, -1],
+      ArrowDown: [0, 1]
     };
+    if (!polaroid || !directions[e.key]) return;
 
-    this.observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting && !this.isAnimated) {
-          this.triggerAnimations();
-          this.isAnimated = true;
-        }
+    e.preventDefault();
+
+    const [dx, dy] = directions[e.key];
+    const step = e.shiftKey ? MINI_POLAROIDS_CONFIG.KEYBOARD_STEP_LARGE : MINI_POLAROIDS_CONFIG.KEYBOARD_STEP;
+    const { x, y } = this.getPosition(polaroid);
+
+    this.stopToss(polaroid);
+    this.raise(polaroid);
+    this.setPosition(polaroid, x + dx * step, y + dy * step);
+    this.scheduleSave();
+  }
+
+  handleControlClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    if (button.dataset.action === 'shuffle') {
+      this.shuffle();
+    } else if (button.dataset.action === 'reset') {
+      this.reset();
+    }
+  }
+
+  /**
+   * Scatter the polaroids at random and restack them in a random order
+   */
+  shuffle() {
+    const order = this.miniPolaroids.map(() => Math.random());
+
+    this.settle(() => {
+      this.miniPolaroids.forEach((polaroid, index) => {
+        this.setPosition(polaroid, Math.random(), Math.random());
+        polaroid.style.zIndex = 1 + order.filter(value => value < order[index]).length;
       });
-    }, options);
+    });
+
+    this.save();
+  }
+
+  /**
+   * Back to the layout from the manifest, forgetting the saved one
+   */
+  reset() {
+    // A save still pending from the last drag would bring the old layout back
+    this.scheduleSave.cancel();
+
+    this.settle(() => {
+      this.miniPolaroids.forEach((polaroid, index) => {
+        this.setPosition(polaroid, Number(polaroid.dataset.x) || 0, Number(polaroid.dataset.y) || 0);
+        polaroid.style.zIndex = index + 1;
+      });
+    });
+
+    this.topZ = this.miniPolaroids.length;
+
+    try {
+      localStorage.removeItem(MINI_POLAROIDS_CONFIG.STORAGE_KEY);
+    } catch (error) {
+      // Storage unavailable; nothing was saved
+    }
+  }
+
+  /**
+   * Animate a layout change instead of jumping; CSS skips the transition for
+   * reduced motion
+   */
+  settle(applyChange) {
+    this.miniPolaroids.forEach(polaroid => this.stopToss(polaroid));
+    this.board.classList.add('is-settling');
+    applyChange();
+
+    clearTimeout(this.settleTimer);
+    this.settleTimer = setTimeout(() => {
+      this.board.classList.remove('is-settling');
+    }, MINI_POLAROIDS_CONFIG.SETTLE_DURATION);
+  }
+
+  // ==========================================================================
+  // Persistence
+  // ==========================================================================
 
-    if (this.footer) {
-      this.observer.observe(this.footer);
+  save() {
+    const layout = {};
+
+    this.miniPolaroids.forEach(polaroid => {
+      layout[polaroid.dataset.photoId] = {
+        ...this.getPosition(polaroid),
+        z: Number(polaroid.style.zIndex) || 0
+      };
+    });
+
+    try {
+      localStorage.setItem(MINI_POLAROIDS_CONFIG.STORAGE_KEY, JSON.stringify(layout));
+    } catch (error) {
+      // Private mode or full storage; the layout just isn't kept
     }
   }
 
-  triggerAnimations() {
-    console.log('Footer animations triggered');
+  restore() {
+    let layout;
+
+    try {
+      layout = JSON.parse(localStorage.getItem(MINI_POLAROIDS_CONFIG.STORAGE_KEY));
+    } catch (error) {
+      return;
+    }
+
+    if (!layout || typeof layout !== 'object') return;
+
+    this.miniPolaroids.forEach(polaroid => {
+      const saved = layout[polaroid.dataset.photoId];
+      if (!saved || !Number.isFinite(saved.x) || !Number.isFinite(saved.y)) return;
+
+      this.setPosition(polaroid, saved.x, saved.y);
 
-    // Animate footer top section first
-    setTimeout(() => {
-      if (this.footerTop) {
-        this.footerTop.classList.add('animate');
-        console.log('Footer top animated');
+      if (Number.isFinite(saved.z)) {
+        polaroid.style.zIndex = saved.z;
+        this.topZ = Math.max(this.topZ, saved.z);
       }
-    }, CONFIG.FOOTER_ANIMATION_DELAY);
-
-    // Animate letters one by one with delays
-    this.footerLetters.forEach((letter, index) => {
-      setTimeout(() => {
-        letter.classList.add('animate');
-        console.log(`Letter ${letter.textContent} animated`);
-      }, 500 + (index * 100)); // Start letters after footer top animation
     });
   }
 
   destroy() {
-    if (this.observer) {
-      this.observer.disconnect();
+    this.miniPolaroids.forEach(polaroid => this.stopToss(polaroid));
+    clearTimeout(this.settleTimer);
+    this.scheduleSave.cancel();
+
+    if (this.board) {
+      this.board.removeEventListener('pointerdown', this.handlePointerDown);
+      this.board.removeEventListener('pointermove', this.handlePointerMove);
+      this.board.removeEventListener('pointerup', this.handlePointerUp);
+      this.board.removeEventListener('pointercancel', this.handlePointerUp);
+      this.board.removeEventListener('keydown', this.handleKeyDown);
+    }
+
+    if (this.controls) {
+      this.controls.removeEventListener('click', this.handleControlClick);
     }
   }
 }
@@ -561,27 +961,60 @@ class App {
   constructor() {
     this.components = [];
 
-    this.init();
+    this.ready = this.init();
   }
 
   init() {
     // Wait for DOM to be fully loaded
     if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => this.initializeComponents());
-    } else {
-      this.initializeComponents();
+      return new Promise(resolve => {
+        document.addEventListener('DOMContentLoaded', () => resolve(this.initializeComponents()), { once: true });
+      });
     }
+
+    return this.initializeComponents();
   }
 
-  initializeComponents() {
+  async initializeComponents() {
+    // Catch errors from the components' own setup too
+    this.components.push(new ErrorHandler(new ErrorReporter()));
+
     try {
+      // Early, so content below the fold starts out in its pre-animation state
+      const animations = new AnimationEngine();
+      this.components.push(animations);
+
+      // Translations first, so components render in the visitor's language
+      await window.i18nInstance.ready;
+
+      // Render manifest-driven images before components query the DOM
+      const gallery = new Gallery();
+      this.components.push(gallery);
+      await gallery.ready;
+
       // Initialize all components (Header is now initialized in separate file)
-      this.components.push(new ScrollAnimations());
-      this.components.push(new Portfolio());
-      this.components.push(new FooterAnimations());
-      this.components.push(new PerformanceOptimizer());
+      this.components.push(new SectionViews(animations));
+      this.components.push(new MiniPolaroids());
+
+      // Lazy-load the rendered images; views rendered later share the observer
+      const optimizer = new PerformanceOptimizer();
+      this.components.push(optimizer);
+
+      const portfolio = new Portfolio(gallery);
+      this.components.push(portfolio);
+      this.components.push(new AlbumView(gallery, portfolio.lightbox, window.routerInstance, optimizer));
+      this.components.push(new InquiryForm());
+      // Before the calendar and the estimator, so it hears their first events
+      this.components.push(new ContactLinks());
+      this.components.push(new AvailabilityCalendar());
+      this.components.push(new Services());
+      this.components.push(new Testimonials(gallery, optimizer));
+      this.components.push(new ClientGallery(window.routerInstance, optimizer));
       this.components.push(new AccessibilityEnhancer());
-      this.components.push(new ErrorHandler());
+      this.components.push(new OfflineSupport());
+
+      // Resolve the initial hash once every view is registered
+      window.routerInstance.start();
 
       // Mark body as loaded for CSS
       document.body.classList.add('loaded');
@@ -593,8 +1026,8 @@ class App {
   }
 
   destroy() {
-    // Clean up components if needed
-    this.components.forEach(component => {
+    // Newest first: components can depend on earlier ones (e.g. the animation engine)
+    this.components.slice().reverse().forEach(component => {
       if (component.destroy && typeof component.destroy === 'function') {
         component.destroy();
       }
@@ -606,9 +1039,26 @@ class App {
 // Initialize Application
 // ==========================================================================
 
-const app = new App();
+// Tests require() the classes; the page starts the app
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CONFIG,
+    MINI_POLAROIDS_CONFIG,
+    debounce,
+    throttle,
+    SectionViews,
+    Portfolio,
+    PerformanceOptimizer,
+    AccessibilityEnhancer,
+    ErrorHandler,
+    MiniPolaroids,
+    App
+  };
+} else {
+  const app = new App();
 
-// Expose app globally for debugging (only in development)
-if (process?.env?.NODE_ENV === 'development') {
-  window.app = app;
+  // Expose app globally for debugging (only on a local server)
+  if (['localhost', '127.0.0.1'].includes(window.location.hostname)) {
+    window.app = app;
+  }
 }
\ No newline at end of file
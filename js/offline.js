@@ -0,0 +1,144 @@
+/**
+ * Offline Support Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Offline Configuration
+// ==========================================================================
+
+const OFFLINE_CONFIG = {
+  SCRIPT_URL: 'sw.js',
+  SCOPE: './'
+};
+
+// ==========================================================================
+// Offline Support Class
+// ==========================================================================
+
+/**
+ * Registers the service worker and offers a reload when a new deploy has
+ * been downloaded in the background
+ */
+class OfflineSupport {
+  constructor() {
+    this.toast = document.querySelector('.update-toast');
+    this.updateButton = document.querySelector('.update-toast__action');
+    this.dismissButton = document.querySelector('.update-toast__dismiss');
+    this.registration = null;
+    this.waitingWorker = null;
+    this.isReloading = false;
+
+    this.handleUpdateClick = this.handleUpdateClick.bind(this);
+    this.handleDismissClick = this.handleDismissClick.bind(this);
+    this.handleControllerChange = this.handleControllerChange.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+
+    this.ready = this.init();
+  }
+
+  async init() {
+    if (!('serviceWorker' in navigator)) return;
+
+    if (this.toast) {
+      this.updateButton.addEventListener('click', this.handleUpdateClick);
+      this.dismissButton.addEventListener('click', this.handleDismissClick);
+    }
+
+    // Leave the network to the page's own requests on first load
+    if (document.readyState !== 'complete') {
+      await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+    }
+
+    try {
+      this.registration = await navigator.serviceWorker.register(OFFLINE_CONFIG.SCRIPT_URL, {
+        scope: OFFLINE_CONFIG.SCOPE
+      });
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+      return;
+    }
+
+    // A previous visit may have left an update waiting
+    if (this.registration.waiting && navigator.serviceWorker.controller) {
+      this.showUpdate(this.registration.waiting);
+    }
+
+    this.registration.addEventListener('updatefound', () => {
+      const worker = this.registration.installing;
+      if (!worker) return;
+
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.showUpdate(worker);
+        }
+      });
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', this.handleControllerChange);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+
+  showUpdate(worker) {
+    this.waitingWorker = worker;
+
+    if (this.toast) {
+      this.toast.hidden = false;
+    }
+  }
+
+  hideUpdate() {
+    if (this.toast) {
+      this.toast.hidden = true;
+    }
+  }
+
+  handleUpdateClick() {
+    if (!this.waitingWorker) return;
+
+    this.updateButton.disabled = true;
+    this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }
+
+  handleDismissClick() {
+    this.hideUpdate();
+  }
+
+  /**
+   * The new worker took over; reload once so the page matches its cache
+   */
+  handleControllerChange() {
+    if (this.isReloading || !this.waitingWorker) return;
+
+    this.isReloading = true;
+    window.location.reload();
+  }
+
+  /**
+   * Long-open tabs (the portfolio left running on a tablet) check for a new
+   * deploy whenever they come back into view
+   */
+  handleVisibilityChange() {
+    if (document.visibilityState === 'visible' && this.registration) {
+      this.registration.update().catch(() => {
+        // Offline; the next visibility change tries again
+      });
+    }
+  }
+
+  destroy() {
+    if (this.toast) {
+      this.updateButton.removeEventListener('click', this.handleUpdateClick);
+      this.dismissButton.removeEventListener('click', this.handleDismissClick);
+    }
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.removeEventListener('controllerchange', this.handleControllerChange);
+    }
+
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * Router Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Router Configuration
+// ==========================================================================
+
+const ROUTER_CONFIG = {
+  SPY_LINKS: '.nav__link, .bottom-nav__link, .footer__link',
+  SPY_ACTIVE_CLASS: 'is-active',
+  SPY_OFFSET_RATIO: 0.4, // A section is active once its top passes 40% of the viewport
+  SCROLL_SAVE_DELAY: 150
+};
+
+// ==========================================================================
+// Router Class
+// ==========================================================================
+
+class Router {
+  constructor() {
+    this.routes = [];
+    this.currentRoute = null;
+    this.currentHash = null;
+    this.activeSection = null;
+    this.spyLinks = [];
+    this.spySections = [];
+    this.isStarted = false;
+    this.spyFrame = null;
+    this.saveTimeout = null;
+
+    this.onPopState = this.onPopState.bind(this);
+    this.onScroll = this.onScroll.bind(this);
+
+    // Positions are restored from history state instead of by the browser
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+  }
+
+  /**
+   * Register a view: `pattern` is matched against the hash without `#`,
+   * capture groups are passed to `enter`, `leave` runs when navigating away
+   */
+  register({ pattern, enter, leave }) {
+    this.routes.push({ pattern, enter, leave });
+  }
+
+  findRoute(hash) {
+    const path = hash.replace(/^#/, '');
+
+    for (const route of this.routes) {
+      const match = path.match(route.pattern);
+      if (!match) continue;
+
+      // A malformed escape like `%E0` matches no route
+      try {
+        return { route, params: match.slice(1).map(decodeURIComponent) };
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  matches(hash) {
+    return this.findRoute(hash) !== null;
+  }
+
+  /**
+   * Page section targeted by a plain `#id` hash, if any
+   */
+  getSection(hash) {
+    const id = hash.replace(/^#/, '');
+    if (!id || id.includes('/')) return null;
+
+    return document.getElementById(id);
+  }
+
+  navigate(hash, { replace = false, behavior = 'smooth' } = {}) {
+    // Back to the top clears the hash in place; a bare `#` entry would only
+    // give the back button a stop that does nothing
+    if (hash === '' || hash === '#') {
+      if (window.location.hash) {
+        history.replaceState(history.state, null, window.location.pathname + window.location.search);
+      }
+
+      this.resolve({ behavior, source: 'navigate' });
+      window.scrollTo({ top: 0, behavior });
+      return;
+    }
+
+    if (hash !== window.location.hash) {
+      if (replace) {
+        history.replaceState(null, null, hash);
+      } else {
+        this.saveScrollPosition();
+        history.pushState(null, null, hash);
+      }
+    }
+
+    this.resolve({ behavior, source: 'navigate' });
+  }
+
+  resolve({ behavior = 'auto', source = 'navigate', scrollY = null } = {}) {
+    const hash = window.location.hash;
+    const found = this.findRoute(hash);
+    const nextRoute = found ? found.route : null;
+    const previousHash = this.currentHash;
+
+    if (this.currentRoute && this.currentRoute !== nextRoute && this.currentRoute.leave) {
+      this.currentRoute.leave();
+    }
+
+    this.currentRoute = nextRoute;
+    this.currentHash = hash;
+
+    if (found) {
+      found.route.enter(...found.params);
+    }
+
+    const section = found ? null : this.getSection(hash);
+
+    if (scrollY !== null) {
+      window.scrollTo({ top: scrollY, behavior: 'auto' });
+    } else if (section) {
+      this.scrollToSection(section, behavior);
+    }
+
+    document.dispatchEvent(new CustomEvent('route:change', {
+      detail: {
+        hash,
+        previousHash,
+        section: section ? section.id : null,
+        params: found ? found.params : [],
+        source
+      }
+    }));
+  }
+
+  getHeaderOffset() {
+    const header = document.getElementById('header');
+    return header ? header.offsetHeight : 0;
+  }
+
+  scrollToSection(section, behavior) {
+    const top = section.getBoundingClientRect().top + window.scrollY - this.getHeaderOffset();
+
+    window.scrollTo({
+      top: Math.max(0, top),
+      behavior
+    });
+  }
+
+  onPopState(e) {
+    const state = e.state || {};
+    const scrollY = typeof state.scrollY === 'number' ? state.scrollY : null;
+
+    this.resolve({ behavior: 'auto', source: 'popstate', scrollY });
+  }
+
+  // ==========================================================================
+  // Scroll Position Persistence
+  // ==========================================================================
+
+  saveScrollPosition() {
+    const state = Object.assign({}, history.state, { scrollY: window.scrollY });
+    history.replaceState(state, null, window.location.href);
+  }
+
+  // ==========================================================================
+  // Scroll Spy
+  // ==========================================================================
+
+  setupScrollSpy() {
+    this.spyLinks = Array.from(document.querySelectorAll(ROUTER_CONFIG.SPY_LINKS));
+
+    // Sections linked from navigation, in document order
+    const ids = new Set(this.spyLinks.map(link => link.getAttribute('href')));
+    this.spySections = Array.from(document.querySelectorAll('section[id], footer[id]'))
+      .filter(section => ids.has(`#${section.id}`));
+
+    this.updateActiveSection();
+  }
+
+  onScroll() {
+    if (this.spyFrame === null) {
+      this.spyFrame = requestAnimationFrame(() => {
+        this.spyFrame = null;
+        this.updateActiveSection();
+      });
+    }
+
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = setTimeout(() => this.saveScrollPosition(), ROUTER_CONFIG.SCROLL_SAVE_DELAY);
+  }
+
+  updateActiveSection() {
+    const threshold = window.innerHeight * ROUTER_CONFIG.SPY_OFFSET_RATIO;
+    let active = null;
+
+    // Sticky sections keep top 0, so the last one past the threshold wins
+    this.spySections.forEach(section => {
+      if (!section.hidden && section.getBoundingClientRect().top <= threshold) {
+        active = section.id;
+      }
+    });
+
+    if (active !== this.activeSection) {
+      this.setActiveSection(active);
+    }
+  }
+
+  setActiveSection(id) {
+    this.activeSection = id;
+
+    this.spyLinks.forEach(link => {
+      const isActive = id !== null && link.getAttribute('href') === `#${id}`;
+      link.classList.toggle(ROUTER_CONFIG.SPY_ACTIVE_CLASS, isActive);
+
+      if (isActive) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  start() {
+    if (this.isStarted) return;
+
+    this.isStarted = true;
+    window.addEventListener('popstate', this.onPopState);
+    window.addEventListener('scroll', this.onScroll, { passive: true });
+    this.setupScrollSpy();
+
+    // Wait a frame so rendered content has layout before scrolling to `#id`
+    requestAnimationFrame(() => {
+      const state = history.state || {};
+      const scrollY = typeof state.scrollY === 'number' ? state.scrollY : null;
+
+      this.resolve({ behavior: 'auto', source: 'load', scrollY });
+    });
+  }
+
+  destroy() {
+    window.removeEventListener('popstate', this.onPopState);
+    window.removeEventListener('scroll', this.onScroll);
+    cancelAnimationFrame(this.spyFrame);
+    clearTimeout(this.saveTimeout);
+    this.routes = [];
+    this.currentRoute = null;
+    this.isStarted = false;
+  }
+}
+
+// ==========================================================================
+// Shared Router Instance
+// ==========================================================================
+
+// Tests require() the class; in the page, components register their views
+// before App starts the router
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ROUTER_CONFIG, Router };
+} else {
+  window.routerInstance = new Router();
+}
@@ -0,0 +1,420 @@
+/**
+ * Services Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Services Configuration
+// ==========================================================================
+
+const SERVICES_CONFIG = {
+  // Prices are in pesos; data/services.json sets the peso value of a dollar
+  SOURCE_URL: 'data/services.json',
+  CURRENCIES: ['ARS', 'USD'],
+  MAX_EXTRA_HOURS: 6,
+  LOCALE: 'es-AR' // Used until translations load
+};
+
+// ==========================================================================
+// Services Helpers
+// ==========================================================================
+
+/**
+ * Quote in pesos for a package plus extra hours and add-ons; add-ons the
+ * package already includes cost nothing. Null for an unknown package.
+ */
+function calculateEstimate(services, { packageId, extraHours = 0, addOns = [] }) {
+  const selected = services.packages.find(pkg => pkg.id === packageId);
+  if (!selected) return null;
+
+  const hours = Math.max(0, Math.min(SERVICES_CONFIG.MAX_EXTRA_HOURS, Math.floor(extraHours) || 0));
+  const extras = services.addOns.filter(addOn => addOns.includes(addOn.id) && !selected.includes.includes(addOn.id));
+
+  return {
+    package: selected,
+    extraHours: hours,
+    addOns: extras,
+    total: selected.price + hours * services.extraHourPrice + extras.reduce((sum, addOn) => sum + addOn.price, 0)
+  };
+}
+
+/**
+ * A price in pesos in `currency`; dollars at `usdRate` pesos each, rounded
+ * to whole dollars
+ */
+function convertPrice(amount, currency, usdRate) {
+  return currency === 'USD' ? Math.round(amount / usdRate) : amount;
+}
+
+// ==========================================================================
+// Services Class
+// ==========================================================================
+
+/**
+ * Package cards and a price estimator from `data/services.json`. Every change
+ * to the estimate is announced as a `services:estimate` event, which carries
+ * it into the WhatsApp and email buttons (see js/contact-links.js).
+ */
+class Services {
+  constructor() {
+    this.container = document.querySelector('.services');
+    this.packageList = document.querySelector('.services__packages');
+    this.form = document.querySelector('.estimator');
+    this.addOnList = document.querySelector('.estimator__addons-list');
+    this.hourPrice = document.querySelector('.estimator__hour-price');
+    this.total = document.querySelector('.estimator__total');
+    this.breakdown = document.querySelector('.estimator__breakdown');
+    this.note = document.querySelector('.estimator__note');
+
+    this.services = null;
+    this.currency = SERVICES_CONFIG.CURRENCIES[0];
+    // Add-ons the visitor ticked, kept while a package includes them
+    this.selectedAddOns = new Set();
+
+    this.createFormatters();
+
+    this.handleChange = this.handleChange.bind(this);
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handlePackageClick = this.handlePackageClick.bind(this);
+    this.handleLanguageChange = this.handleLanguageChange.bind(this);
+
+    this.ready = this.init();
+  }
+
+  async init() {
+    if (!this.container || !this.form) return;
+
+    try {
+      await this.loadServices();
+    } catch (error) {
+      console.error('Failed to load services:', error);
+      return;
+    }
+
+    if (this.services.packages.length === 0) return;
+
+    this.form.addEventListener('change', this.handleChange);
+    this.form.addEventListener('input', this.handleChange);
+    this.form.addEventListener('submit', this.handleSubmit);
+    this.packageList.addEventListener('click', this.handlePackageClick);
+    document.addEventListener('i18n:change', this.handleLanguageChange);
+
+    this.render();
+    this.container.hidden = false;
+  }
+
+  async loadServices() {
+    const response = await fetch(SERVICES_CONFIG.SOURCE_URL);
+    if (!response.ok) {
+      throw new Error(`Services request failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    const isPriced = item => item && item.id && item.name && Number.isFinite(item.price);
+    const isRate = value => Number.isFinite(value) && value > 0;
+
+    // Every estimate needs both rates, so without them nothing can be priced
+    if (!isRate(data.usdRate) || !isRate(data.extraHourPrice)) {
+      throw new Error('Services data needs a positive usdRate and extraHourPrice');
+    }
+
+    // Skip what can't be priced rather than show NaN
+    this.services = {
+      usdRate: data.usdRate,
+      extraHourPrice: data.extraHourPrice,
+      packages: (data.packages || []).filter(isPriced).map(pkg => Object.assign({ includes: [] }, pkg)),
+      addOns: (data.addOns || []).filter(isPriced)
+    };
+  }
+
+  createFormatters() {
+    this.locale = window.i18nInstance ? window.i18nInstance.getLocale() : SERVICES_CONFIG.LOCALE;
+    this.priceFormatters = {};
+
+    SERVICES_CONFIG.CURRENCIES.forEach(currency => {
+      this.priceFormatters[currency] = new Intl.NumberFormat(this.locale, { style: 'currency', currency, maximumFractionDigits: 0 });
+    });
+  }
+
+  formatPrice(amount, currency = this.currency) {
+    return this.priceFormatters[currency].format(convertPrice(amount, currency, this.services.usdRate));
+  }
+
+  getPackageText(pkg, field) {
+    return translate(`services.packages.${pkg.id}.${field}`, null, pkg[field]);
+  }
+
+  getAddOnName(addOn) {
+    return translate(`services.addOns.${addOn.id}`, null, addOn.name);
+  }
+
+  getSelection() {
+    return {
+      packageId: this.form.elements.package.value,
+      extraHours: Number(this.form.elements.extraHours.value),
+      addOns: Array.from(this.selectedAddOns)
+    };
+  }
+
+  // ==========================================================================
+  // Rendering
+  // ==========================================================================
+
+  render() {
+    this.renderPackages();
+    this.renderPackageOptions();
+    this.renderAddOns();
+
+    const rate = this.formatPrice(this.services.usdRate, 'ARS');
+    this.note.textContent = translate('services.estimator.note', { rate }, `Valor orientativo: el presupuesto final depende de la fecha y el lugar. Dólares a ${rate}.`);
+
+    this.update();
+  }
+
+  renderPackages() {
+    const fragment = document.createDocumentFragment();
+
+    this.services.packages.forEach(pkg => {
+      fragment.appendChild(this.createPackage(pkg));
+    });
+
+    this.packageList.replaceChildren(fragment);
+  }
+
+  createPackage(pkg) {
+    const name = this.getPackageText(pkg, 'name');
+    const card = document.createElement('li');
+    card.className = 'services__package';
+    card.dataset.packageId = pkg.id;
+
+    const title = document.createElement('h3');
+    title.className = 'services__name';
+    title.textContent = name;
+
+    const description = document.createElement('p');
+    description.className = 'services__description';
+    description.textContent = this.getPackageText(pkg, 'description');
+
+    const price = document.createElement('p');
+    price.className = 'services__price';
+    price.textContent = translate('services.from', { price: this.formatPrice(pkg.price) }, `Desde ${this.formatPrice(pkg.price)}`);
+
+    const features = document.createElement('ul');
+    features.className = 'services__features';
+
+    const items = [
+      translate('services.hours', { hours: pkg.hours }, `${pkg.hours} horas de cobertura`),
+      translate('services.photos', { photos: pkg.photos }, `${pkg.photos} fotos editadas`),
+      translate('services.delivery', { days: pkg.deliveryDays }, `Entrega en ${pkg.deliveryDays} días`)
+    ];
+
+    const included = this.services.addOns
+      .filter(addOn => pkg.includes.includes(addOn.id))
+      .map(addOn => this.getAddOnName(addOn))
+      .join(', ');
+    if (included) {
+      items.push(translate('services.includes', { addOns: included }, `Incluye: ${included}`));
+    }
+
+    items.forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      features.appendChild(item);
+    });
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn--secondary services__choose';
+    button.dataset.packageId = pkg.id;
+    button.textContent = translate('services.choose', { package: name }, `Cotizar ${name}`);
+
+    card.append(title, description, price, features, button);
+
+    return card;
+  }
+
+  renderPackageOptions() {
+    const select = this.form.elements.package;
+    const value = select.value;
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = translate('services.estimator.packagePlaceholder', null, 'Elegí un paquete');
+
+    const options = this.services.packages.map(pkg => {
+      const option = document.createElement('option');
+      option.value = pkg.id;
+      option.textContent = this.getPackageText(pkg, 'name');
+      return option;
+    });
+
+    select.replaceChildren(placeholder, ...options);
+    select.value = value;
+  }
+
+  renderAddOns() {
+    const fragment = document.createDocumentFragment();
+
+    this.services.addOns.forEach(addOn => {
+      const label = document.createElement('label');
+      label.className = 'estimator__option';
+
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = 'addOns';
+      input.value = addOn.id;
+
+      const name = document.createElement('span');
+      name.textContent = this.getAddOnName(addOn);
+
+      const price = document.createElement('span');
+      price.className = 'estimator__option-price';
+
+      label.append(input, name, price);
+      fragment.appendChild(label);
+    });
+
+    this.addOnList.replaceChildren(fragment);
+  }
+
+  /**
+   * Reflect the current selection and currency everywhere; the add-on
+   * checkboxes are updated in place so they keep focus
+   */
+  update() {
+    const estimate = calculateEstimate(this.services, this.getSelection());
+    const included = estimate ? estimate.package.includes : [];
+
+    this.packageList.querySelectorAll('.services__package').forEach(card => {
+      card.classList.toggle('is-active', Boolean(estimate) && card.dataset.packageId === estimate.package.id);
+    });
+
+    this.addOnList.querySelectorAll('.estimator__option').forEach(option => {
+      const input = option.querySelector('input');
+      const addOn = this.services.addOns.find(item => item.id === input.value);
+      const isIncluded = included.includes(addOn.id);
+
+      input.checked = isIncluded || this.selectedAddOns.has(addOn.id);
+      input.disabled = isIncluded;
+      option.querySelector('.estimator__option-price').textContent = isIncluded
+        ? translate('services.estimator.included', null, 'Incluido')
+        : `+ ${this.formatPrice(addOn.price)}`;
+    });
+
+    const hourPrice = this.formatPrice(this.services.extraHourPrice);
+    this.hourPrice.textContent = translate('services.estimator.hourPrice', { price: hourPrice }, `${hourPrice} por hora`);
+
+    if (!estimate) {
+      this.total.textContent = translate('services.estimator.empty', null, 'Elegí un paquete para ver el estimado');
+      this.breakdown.replaceChildren();
+      this.dispatchEstimate(null);
+      return;
+    }
+
+    const lines = this.getLines(estimate);
+    const total = this.formatPrice(estimate.total);
+
+    this.total.textContent = translate('services.estimator.total', { total }, `Total estimado: ${total}`);
+    this.breakdown.replaceChildren(...lines.map(line => {
+      const item = document.createElement('li');
+      item.textContent = `${line.label}: ${this.formatPrice(line.price)}`;
+      return item;
+    }));
+
+    const name = this.getPackageText(estimate.package, 'name');
+    const summary = lines.map(line => line.label).join(' + ');
+    this.dispatchEstimate({
+      packageId: estimate.package.id,
+      total: convertPrice(estimate.total, this.currency, this.services.usdRate),
+      currency: this.currency,
+      text: translate('services.estimator.message', { summary, total }, `Presupuesto estimado: ${summary} (${total}).`),
+      subject: translate('services.estimator.emailSubject', { package: name }, `Presupuesto: paquete ${name}`)
+    });
+  }
+
+  /**
+   * The estimate's priced lines: the package, the extra hours, then each add-on
+   */
+  getLines(estimate) {
+    const lines = [{ label: this.getPackageText(estimate.package, 'name'), price: estimate.package.price }];
+
+    if (estimate.extraHours > 0) {
+      lines.push({
+        label: translate('services.estimator.extraHours', { hours: estimate.extraHours }, `${estimate.extraHours} h extra`),
+        price: estimate.extraHours * this.services.extraHourPrice
+      });
+    }
+
+    estimate.addOns.forEach(addOn => {
+      lines.push({ label: this.getAddOnName(addOn), price: addOn.price });
+    });
+
+    return lines;
+  }
+
+  dispatchEstimate(estimate) {
+    document.dispatchEvent(new CustomEvent('services:estimate', {
+      detail: { estimate }
+    }));
+  }
+
+  // ==========================================================================
+  // Events
+  // ==========================================================================
+
+  handleChange(e) {
+    const { name, value, checked } = e.target;
+
+    if (name === 'addOns') {
+      if (checked) {
+        this.selectedAddOns.add(value);
+      } else {
+        this.selectedAddOns.delete(value);
+      }
+    } else if (name === 'currency') {
+      this.currency = value;
+      this.renderPackages();
+    }
+
+    this.update();
+  }
+
+  handleSubmit(e) {
+    // Enter in the hours field would otherwise reload the page
+    e.preventDefault();
+  }
+
+  /**
+   * A card's button picks its package in the estimator and moves there
+   */
+  handlePackageClick(e) {
+    const button = e.target.closest('.services__choose');
+    if (!button) return;
+
+    const select = this.form.elements.package;
+    select.value = button.dataset.packageId;
+    this.update();
+    select.focus();
+  }
+
+  handleLanguageChange() {
+    this.createFormatters();
+    this.render();
+  }
+
+  destroy() {
+    if (!this.container || !this.form) return;
+
+    this.form.removeEventListener('change', this.handleChange);
+    this.form.removeEventListener('input', this.handleChange);
+    this.form.removeEventListener('submit', this.handleSubmit);
+    this.packageList.removeEventListener('click', this.handlePackageClick);
+    document.removeEventListener('i18n:change', this.handleLanguageChange);
+  }
+}
+
+// Tests require() the class; the page creates it from App in js/main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SERVICES_CONFIG, calculateEstimate, convertPrice, Services };
+}
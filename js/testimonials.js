@@ -0,0 +1,364 @@
+/**
+ * Testimonials Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Testimonials Configuration
+// ==========================================================================
+
+const TESTIMONIALS_CONFIG = {
+  SOURCE_URL: 'data/testimonials.json',
+  INTERVAL: 7000,
+  MAX_RATING: 5,
+  REDUCED_MOTION_QUERY: '(prefers-reduced-motion: reduce)',
+  LOCALE: 'es-AR' // Used until translations load
+};
+
+// ==========================================================================
+// Testimonials Class
+// ==========================================================================
+
+/**
+ * Carousel of client testimonials from `data/testimonials.json`, filtered by
+ * the portfolio categories. Rotates on its own until the visitor hovers it,
+ * moves focus into it or presses pause; never with reduced motion.
+ */
+class Testimonials {
+  constructor(gallery, optimizer) {
+    this.gallery = gallery;
+    this.optimizer = optimizer;
+    this.container = document.querySelector('.testimonials');
+    this.carousel = document.querySelector('.testimonials__carousel');
+    this.filtersContainer = document.querySelector('.testimonials__filters');
+    this.track = document.querySelector('.testimonials__track');
+    this.prevButton = document.querySelector('.testimonials__nav--prev');
+    this.nextButton = document.querySelector('.testimonials__nav--next');
+    this.rotationButton = document.querySelector('.testimonials__rotation');
+
+    this.testimonials = [];
+    this.activeFilter = PORTFOLIO_FILTER_ALL;
+    this.currentIndex = 0;
+    this.timer = null;
+    this.motionQuery = window.matchMedia(TESTIMONIALS_CONFIG.REDUCED_MOTION_QUERY);
+    this.autoplay = !this.motionQuery.matches;
+    // Hover and focus pause the rotation only while they last
+    this.pauseReasons = new Set();
+
+    this.createFormatter();
+
+    this.handleFilterClick = this.handleFilterClick.bind(this);
+    this.handleRotationClick = this.handleRotationClick.bind(this);
+    this.handleMotionChange = this.handleMotionChange.bind(this);
+    this.handleLanguageChange = this.handleLanguageChange.bind(this);
+    this.handleFocusOut = this.handleFocusOut.bind(this);
+    this.showPrevious = () => this.step(-1);
+    this.showNext = () => this.step(1);
+    this.pauseOnHover = () => this.pause('hover');
+    this.resumeOnLeave = () => this.resume('hover');
+    this.pauseOnFocus = () => this.pause('focus');
+
+    this.ready = this.init();
+  }
+
+  async init() {
+    if (!this.container || !this.track) return;
+
+    try {
+      await this.loadTestimonials();
+    } catch (error) {
+      console.error('Failed to load testimonials:', error);
+      return;
+    }
+
+    if (this.testimonials.length === 0) return;
+
+    this.filtersContainer.addEventListener('click', this.handleFilterClick);
+    this.prevButton.addEventListener('click', this.showPrevious);
+    this.nextButton.addEventListener('click', this.showNext);
+    this.rotationButton.addEventListener('click', this.handleRotationClick);
+    this.carousel.addEventListener('mouseenter', this.pauseOnHover);
+    this.carousel.addEventListener('mouseleave', this.resumeOnLeave);
+    this.carousel.addEventListener('focusin', this.pauseOnFocus);
+    this.carousel.addEventListener('focusout', this.handleFocusOut);
+    this.motionQuery.addEventListener('change', this.handleMotionChange);
+    document.addEventListener('i18n:change', this.handleLanguageChange);
+
+    this.renderFilters();
+    this.render();
+    this.container.hidden = false;
+  }
+
+  async loadTestimonials() {
+    const response = await fetch(TESTIMONIALS_CONFIG.SOURCE_URL);
+    if (!response.ok) {
+      throw new Error(`Testimonials request failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    // scripts/seo.js validates the file at build time; here, skip what can't be shown
+    this.testimonials = (data.testimonials || []).filter(testimonial => {
+      return testimonial.name && testimonial.quote && this.gallery.getCategory(testimonial.category);
+    });
+  }
+
+  createFormatter() {
+    const locale = window.i18nInstance ? window.i18nInstance.getLocale() : TESTIMONIALS_CONFIG.LOCALE;
+    this.dateFormatter = new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric' });
+  }
+
+  /**
+   * Testimonials for the active filter, in file order
+   */
+  getVisible() {
+    return this.activeFilter === PORTFOLIO_FILTER_ALL
+      ? this.testimonials
+      : this.testimonials.filter(testimonial => testimonial.category === this.activeFilter);
+  }
+
+  getQuote(testimonial) {
+    return translate(`testimonials.quotes.${testimonial.id}`, null, testimonial.quote);
+  }
+
+  // ==========================================================================
+  // Rendering
+  // ==========================================================================
+
+  /**
+   * One filter per portfolio category that has testimonials, in the
+   * portfolio's order and with its titles
+   */
+  renderFilters() {
+    const categories = this.gallery.categories
+      .filter(category => this.testimonials.some(testimonial => testimonial.category === category.id));
+    const filters = [PORTFOLIO_FILTER_ALL].concat(categories.map(category => category.id));
+    const fragment = document.createDocumentFragment();
+
+    filters.forEach(filter => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'testimonials__filter';
+      button.dataset.filter = filter;
+      button.textContent = this.gallery.getFilterTitle(filter);
+      button.setAttribute('aria-pressed', String(filter === this.activeFilter));
+      fragment.appendChild(button);
+    });
+
+    this.filtersContainer.replaceChildren(fragment);
+    this.filtersContainer.hidden = categories.length < 2;
+  }
+
+  render() {
+    const visible = this.getVisible();
+    const fragment = document.createDocumentFragment();
+
+    visible.forEach((testimonial, index) => {
+      fragment.appendChild(this.createSlide(testimonial, index, visible.length));
+    });
+
+    this.track.replaceChildren(fragment);
+
+    if (this.optimizer) {
+      this.optimizer.lazyLoadImages(this.track.querySelectorAll('.testimonial__image'));
+    }
+
+    // A lone testimonial has nothing to rotate to
+    const single = visible.length < 2;
+    [this.prevButton, this.nextButton, this.rotationButton].forEach(button => {
+      button.hidden = single;
+    });
+
+    this.show(Math.min(this.currentIndex, visible.length - 1));
+  }
+
+  createSlide(testimonial, index, total) {
+    // A div: the carousel pattern's group role isn't allowed on a <figure>
+    const slide = document.createElement('div');
+    slide.className = 'testimonial';
+    slide.dataset.testimonialId = testimonial.id;
+    slide.setAttribute('role', 'group');
+    slide.setAttribute('aria-roledescription', translate('testimonials.slide', null, 'testimonio'));
+    slide.setAttribute('aria-label', translate('testimonials.slideLabel', { index: index + 1, total }, `${index + 1} de ${total}`));
+
+    const quote = document.createElement('blockquote');
+    quote.className = 'testimonial__quote';
+    const text = document.createElement('p');
+    text.textContent = this.getQuote(testimonial);
+    quote.appendChild(text);
+
+    const author = document.createElement('div');
+    author.className = 'testimonial__author';
+
+    const photo = testimonial.photo ? this.gallery.getPhoto(testimonial.photo) : null;
+    if (photo) {
+      author.appendChild(this.gallery.createImage(photo, IMAGE_LAYOUTS.testimonial, 'testimonial__image'));
+    }
+
+    const name = document.createElement('span');
+    name.className = 'testimonial__name';
+    name.textContent = testimonial.name;
+
+    const details = document.createElement('span');
+    details.className = 'testimonial__details';
+    const category = this.gallery.getCategoryText(this.gallery.getCategory(testimonial.category), 'title');
+    const [year, month, day] = testimonial.date.split('-').map(Number);
+    details.textContent = `${category} · ${this.dateFormatter.format(new Date(year, month - 1, day))}`;
+
+    const meta = document.createElement('span');
+    meta.className = 'testimonial__meta';
+    meta.append(name, details);
+
+    author.appendChild(meta);
+    slide.append(quote, this.createRating(testimonial.rating), author);
+
+    return slide;
+  }
+
+  createRating(value) {
+    const max = TESTIMONIALS_CONFIG.MAX_RATING;
+    const rating = Math.max(0, Math.min(max, Math.round(value) || 0));
+    const element = document.createElement('p');
+
+    element.className = 'testimonial__rating';
+    element.setAttribute('role', 'img');
+    element.setAttribute('aria-label', translate('testimonials.rating', { rating, max }, `${rating} de ${max} estrellas`));
+
+    for (let star = 1; star <= max; star++) {
+      const icon = document.createElement('span');
+      icon.className = `testimonial__star${star <= rating ? ' testimonial__star--filled' : ''}`;
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = '★';
+      element.appendChild(icon);
+    }
+
+    return element;
+  }
+
+  // ==========================================================================
+  // Navigation
+  // ==========================================================================
+
+  show(index) {
+    const slides = Array.from(this.track.querySelectorAll('.testimonial'));
+    if (slides.length === 0) return;
+
+    this.currentIndex = (index + slides.length) % slides.length;
+    slides.forEach((slide, slideIndex) => {
+      slide.hidden = slideIndex !== this.currentIndex;
+    });
+
+    this.updateRotation();
+  }
+
+  /**
+   * Manual moves restart the rotation's countdown
+   */
+  step(delta) {
+    this.stopTimer();
+    this.show(this.currentIndex + delta);
+  }
+
+  handleFilterClick(e) {
+    const button = e.target.closest('.testimonials__filter');
+    if (!button || button.dataset.filter === this.activeFilter) return;
+
+    this.activeFilter = button.dataset.filter;
+    this.filtersContainer.querySelectorAll('.testimonials__filter').forEach(filter => {
+      filter.setAttribute('aria-pressed', String(filter === button));
+    });
+
+    this.stopTimer();
+    this.currentIndex = 0;
+    this.render();
+  }
+
+  // ==========================================================================
+  // Rotation
+  // ==========================================================================
+
+  /**
+   * Run the timer only while rotating is wanted and nothing pauses it;
+   * announce slide changes only while it's stopped
+   */
+  updateRotation() {
+    const slideCount = this.track.querySelectorAll('.testimonial').length;
+    const shouldRotate = this.autoplay && this.pauseReasons.size === 0 && slideCount > 1;
+
+    if (shouldRotate && this.timer === null) {
+      this.timer = setInterval(() => this.show(this.currentIndex + 1), TESTIMONIALS_CONFIG.INTERVAL);
+    } else if (!shouldRotate) {
+      this.stopTimer();
+    }
+
+    this.track.setAttribute('aria-live', this.timer === null ? 'polite' : 'off');
+
+    const label = this.autoplay
+      ? translate('testimonials.pause', null, 'Pausar testimonios')
+      : translate('testimonials.play', null, 'Reproducir testimonios');
+    this.rotationButton.setAttribute('aria-label', label);
+    this.rotationButton.dataset.state = this.autoplay ? 'playing' : 'paused';
+  }
+
+  stopTimer() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  pause(reason) {
+    this.pauseReasons.add(reason);
+    this.updateRotation();
+  }
+
+  resume(reason) {
+    this.pauseReasons.delete(reason);
+    this.updateRotation();
+  }
+
+  handleFocusOut(e) {
+    if (!this.carousel.contains(e.relatedTarget)) {
+      this.resume('focus');
+    }
+  }
+
+  handleRotationClick() {
+    this.autoplay = !this.autoplay;
+    // The button itself has focus; an explicit play shouldn't wait for it to leave
+    this.pauseReasons.delete('focus');
+    this.updateRotation();
+  }
+
+  handleMotionChange() {
+    this.autoplay = !this.motionQuery.matches;
+    this.updateRotation();
+  }
+
+  handleLanguageChange() {
+    this.createFormatter();
+    this.renderFilters();
+    this.render();
+  }
+
+  destroy() {
+    this.stopTimer();
+    if (!this.container || !this.track) return;
+
+    this.filtersContainer.removeEventListener('click', this.handleFilterClick);
+    this.prevButton.removeEventListener('click', this.showPrevious);
+    this.nextButton.removeEventListener('click', this.showNext);
+    this.rotationButton.removeEventListener('click', this.handleRotationClick);
+    this.carousel.removeEventListener('mouseenter', this.pauseOnHover);
+    this.carousel.removeEventListener('mouseleave', this.resumeOnLeave);
+    this.carousel.removeEventListener('focusin', this.pauseOnFocus);
+    this.carousel.removeEventListener('focusout', this.handleFocusOut);
+    this.motionQuery.removeEventListener('change', this.handleMotionChange);
+    document.removeEventListener('i18n:change', this.handleLanguageChange);
+  }
+}
+
+// Tests require() the class; the page creates it from App in js/main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TESTIMONIALS_CONFIG, Testimonials };
+}
@@ -0,0 +1,173 @@
+/**
+ * Theme Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Theme Configuration
+// ==========================================================================
+
+// The inline script in index.html's <head> repeats STORAGE_KEY and THEMES
+const THEME_CONFIG = {
+  STORAGE_KEY: 'oriana:theme',
+  THEMES: ['light', 'dark'],
+  DEFAULT_THEME: 'light',
+  DARK_QUERY: '(prefers-color-scheme: dark)',
+  META_SELECTOR: 'meta[name="theme-color"]'
+};
+
+// ==========================================================================
+// Theme Helpers
+// ==========================================================================
+
+/**
+ * The active palette, as set on <html data-theme>
+ */
+function getCurrentTheme() {
+  return document.documentElement.dataset.theme || THEME_CONFIG.DEFAULT_THEME;
+}
+
+// ==========================================================================
+// Theme Class
+// ==========================================================================
+
+/**
+ * Light and dark palettes from css/variables.css. A saved choice wins;
+ * otherwise the theme follows the system setting, also when it changes
+ * during the visit.
+ */
+class ThemeManager {
+  constructor() {
+    this.root = document.documentElement;
+    this.meta = document.querySelector(THEME_CONFIG.META_SELECTOR);
+    this.darkQuery = window.matchMedia(THEME_CONFIG.DARK_QUERY);
+    this.toggle = null;
+    this.theme = this.detectTheme();
+
+    this.handleToggleClick = this.handleToggleClick.bind(this);
+    this.handleSystemChange = this.handleSystemChange.bind(this);
+    this.updateToggle = this.updateToggle.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    this.applyTheme(this.theme);
+    this.darkQuery.addEventListener('change', this.handleSystemChange);
+
+    const bindToggle = () => {
+      this.toggle = document.querySelector('.theme-toggle');
+      if (this.toggle) {
+        this.toggle.addEventListener('click', this.handleToggleClick);
+        this.updateToggle();
+      }
+    };
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', bindToggle);
+    } else {
+      bindToggle();
+    }
+
+    // The toggle's label is translated copy
+    document.addEventListener('i18n:change', this.updateToggle);
+  }
+
+  getSavedTheme() {
+    try {
+      const saved = localStorage.getItem(THEME_CONFIG.STORAGE_KEY);
+      return THEME_CONFIG.THEMES.includes(saved) ? saved : null;
+    } catch (error) {
+      // Storage can be unavailable (private mode)
+      return null;
+    }
+  }
+
+  getSystemTheme() {
+    return this.darkQuery.matches ? 'dark' : THEME_CONFIG.DEFAULT_THEME;
+  }
+
+  /**
+   * Saved choice first, then the system setting
+   */
+  detectTheme() {
+    return this.getSavedTheme() || this.getSystemTheme();
+  }
+
+  setTheme(theme, { persist = true } = {}) {
+    if (!THEME_CONFIG.THEMES.includes(theme)) {
+      throw new Error(`Unsupported theme: ${theme}`);
+    }
+
+    const previousTheme = this.theme;
+    this.theme = theme;
+
+    if (persist) {
+      try {
+        localStorage.setItem(THEME_CONFIG.STORAGE_KEY, theme);
+      } catch (error) {
+        // The choice still applies to this visit
+      }
+    }
+
+    this.applyTheme(theme);
+
+    if (theme !== previousTheme) {
+      document.dispatchEvent(new CustomEvent('theme:change', {
+        detail: { theme, previousTheme }
+      }));
+    }
+  }
+
+  /**
+   * Switch the palette and the browser UI color, which each palette sets
+   * in `--theme-color`
+   */
+  applyTheme(theme) {
+    this.root.dataset.theme = theme;
+
+    if (this.meta) {
+      const color = getComputedStyle(this.root).getPropertyValue('--theme-color').trim();
+      if (color) {
+        this.meta.content = color;
+      }
+    }
+
+    this.updateToggle();
+  }
+
+  getNextTheme() {
+    const index = THEME_CONFIG.THEMES.indexOf(this.theme);
+    return THEME_CONFIG.THEMES[(index + 1) % THEME_CONFIG.THEMES.length];
+  }
+
+  updateToggle() {
+    if (!this.toggle) return;
+
+    this.toggle.setAttribute('aria-label', translate(`header.themeToggle.${this.getNextTheme()}`, null, 'Cambiar tema'));
+  }
+
+  handleToggleClick() {
+    this.setTheme(this.getNextTheme());
+  }
+
+  handleSystemChange() {
+    // An explicit choice isn't overridden
+    if (this.getSavedTheme()) return;
+
+    this.setTheme(this.getSystemTheme(), { persist: false });
+  }
+
+  destroy() {
+    if (this.toggle) {
+      this.toggle.removeEventListener('click', this.handleToggleClick);
+    }
+
+    this.darkQuery.removeEventListener('change', this.handleSystemChange);
+    document.removeEventListener('i18n:change', this.updateToggle);
+  }
+}
+
+window.themeInstance = new ThemeManager();
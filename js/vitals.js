@@ -0,0 +1,377 @@
+/**
+ * Web Vitals Component - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+// ==========================================================================
+// Web Vitals Configuration
+// ==========================================================================
+
+const VITALS_CONFIG = {
+  DEBUG_PARAM: 'vitals',
+  // Interactions shorter than this never decide INP, so the browser skips them
+  EVENT_DURATION_THRESHOLD: 40,
+  // CLS groups shifts into session windows: 1s between shifts, 5s at most
+  SESSION_GAP: 1000,
+  SESSION_MAX: 5000,
+  // Longest interactions kept to estimate the 98th percentile for INP
+  MAX_INTERACTIONS: 10,
+  LONG_TASK_BUDGET: 50,
+  // Containers named in front of the element a metric is attributed to
+  ANCHOR_SELECTOR: '.polaroid, .portfolio__item, section[id], header, footer'
+};
+
+const VITALS_STATE_CLASSES = ['is-loading', 'loaded', 'active', 'is-active', 'animated'];
+
+// Good / needs-improvement limits, as published on web.dev
+const VITALS_THRESHOLDS = {
+  LCP: [2500, 4000],
+  INP: [200, 500],
+  CLS: [0.1, 0.25],
+  TTFB: [800, 1800]
+};
+
+// ==========================================================================
+// Web Vitals Helpers
+// ==========================================================================
+
+function rateMetric(name, value) {
+  const thresholds = VITALS_THRESHOLDS[name];
+  if (!thresholds) return null;
+
+  if (value <= thresholds[0]) return 'good';
+  return value <= thresholds[1] ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * `tag#id.class` for one element, leaving out state classes
+ */
+function describeNode(node) {
+  const classes = Array.from(node.classList).filter(name => !VITALS_STATE_CLASSES.includes(name)).slice(0, 2);
+  return node.tagName.toLowerCase() + (node.id ? `#${node.id}` : '') + classes.map(name => `.${name}`).join('');
+}
+
+/**
+ * A short, readable description of the element a metric points at: the
+ * element under its nearest landmark, e.g. `div.polaroid.polaroid--1
+ * img.polaroid__image`, plus the photo id for manifest photos
+ */
+function describeElement(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+
+  const anchor = element.parentElement && element.parentElement.closest(VITALS_CONFIG.ANCHOR_SELECTOR);
+  const photo = element.closest('[data-photo-id]');
+
+  return [
+    anchor ? describeNode(anchor) : null,
+    describeNode(element),
+    photo ? `[${photo.dataset.photoId}]` : null
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Send each metric to the analytics batch as a `web_vital` event
+ */
+function analyticsVitalsSink(metric) {
+  trackEvent('web_vital', {
+    name: metric.name,
+    value: metric.value,
+    rating: metric.rating,
+    element: metric.element
+  });
+}
+
+// ==========================================================================
+// Web Vitals Class
+// ==========================================================================
+
+/**
+ * Measures LCP, INP, CLS, TTFB and long tasks on real visits with
+ * PerformanceObserver. Values go to every sink each time the page is hidden,
+ * for metrics that changed since they were last sent; `?vitals=debug` also
+ * shows them live in an on-screen overlay.
+ */
+class WebVitals {
+  constructor(sinks = [analyticsVitalsSink]) {
+    this.sinks = [...sinks];
+    this.debug = new URLSearchParams(window.location.search).get(VITALS_CONFIG.DEBUG_PARAM) === 'debug';
+    this.metrics = {};
+    // Value last sent per metric; CLS and INP can still grow after a report
+    this.reported = new Map();
+    this.observers = [];
+    this.overlay = null;
+
+    this.interactions = new Map();
+    this.clsSession = { value: 0, entries: [] };
+
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.finalizeLcp = this.finalizeLcp.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    if (typeof PerformanceObserver === 'undefined') return;
+
+    if (this.debug) {
+      this.addSink(metric => console.info('[vitals]', metric.name, metric.value, metric.rating || '', metric.element || ''));
+      this.createOverlay();
+    }
+
+    this.observe('largest-contentful-paint', entries => this.handleLcp(entries));
+    this.observe('layout-shift', entries => this.handleLayoutShifts(entries));
+    this.observe('event', entries => this.handleInteractions(entries), {
+      durationThreshold: VITALS_CONFIG.EVENT_DURATION_THRESHOLD
+    });
+    // Browsers without Event Timing still report the first interaction
+    this.observe('first-input', entries => this.handleFirstInput(entries));
+    this.observe('longtask', entries => this.handleLongTasks(entries));
+    this.observe('navigation', entries => this.handleNavigation(entries));
+
+    // LCP stops changing once the visitor interacts
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.addEventListener(type, this.finalizeLcp, { once: true, capture: true });
+    });
+    // Capturing on window runs before Analytics flushes its batch on the document
+    window.addEventListener('visibilitychange', this.handleVisibilityChange, true);
+  }
+
+  addSink(sink) {
+    this.sinks.push(sink);
+  }
+
+  observe(type, callback, options = {}) {
+    if (!PerformanceObserver.supportedEntryTypes || !PerformanceObserver.supportedEntryTypes.includes(type)) return;
+
+    const observer = new PerformanceObserver(list => callback(list.getEntries()));
+    observer.observe({ type, buffered: true, ...options });
+    this.observers.push(observer);
+  }
+
+  /**
+   * Record the current value and refresh the debug overlay
+   */
+  update(name, value, details = {}, element = null) {
+    const metric = {
+      name,
+      value: name === 'CLS' ? Number(value.toFixed(4)) : Math.round(value),
+      rating: rateMetric(name, value),
+      element: describeElement(element),
+      ...details
+    };
+
+    this.metrics[name] = metric;
+
+    if (this.overlay) {
+      this.renderOverlay();
+    }
+
+    return metric;
+  }
+
+  /**
+   * Send a metric to every sink, unless it hasn't changed since it was last sent
+   */
+  report(name) {
+    const metric = this.metrics[name];
+    if (!metric || this.reported.get(name) === metric.value) return;
+
+    this.reported.set(name, metric.value);
+    this.sinks.forEach(sink => {
+      try {
+        sink(metric);
+      } catch (error) {
+        console.error('Web vitals sink failed:', error);
+      }
+    });
+  }
+
+  // ==========================================================================
+  // Metrics
+  // ==========================================================================
+
+  handleLcp(entries) {
+    if (this.reported.has('LCP')) return;
+
+    const entry = entries[entries.length - 1];
+    this.update('LCP', entry.startTime, { url: entry.url || null }, entry.element);
+  }
+
+  finalizeLcp() {
+    this.report('LCP');
+  }
+
+  /**
+   * CLS is the largest session window of shifts not caused by input; the
+   * element is the biggest shift source within that window
+   */
+  handleLayoutShifts(entries) {
+    entries.forEach(entry => {
+      if (entry.hadRecentInput) return;
+
+      const session = this.clsSession;
+      const first = session.entries[0];
+      const last = session.entries[session.entries.length - 1];
+      const continues = last &&
+        entry.startTime - last.startTime < VITALS_CONFIG.SESSION_GAP &&
+        entry.startTime - first.startTime < VITALS_CONFIG.SESSION_MAX;
+
+      if (continues) {
+        session.value += entry.value;
+        session.entries.push(entry);
+      } else {
+        this.clsSession = { value: entry.value, entries: [entry] };
+      }
+
+      const current = this.metrics.CLS;
+      if (!current || this.clsSession.value > current.value) {
+        const largest = this.clsSession.entries.reduce((a, b) => (b.value > a.value ? b : a));
+        const source = (largest.sources || []).find(item => item.node);
+
+        this.update('CLS', this.clsSession.value, {}, source && source.node);
+      }
+    });
+  }
+
+  /**
+   * INP is the slowest interaction, skipping one for every 50 so a single
+   * outlier on a long visit doesn't decide it
+   */
+  handleInteractions(entries) {
+    entries.forEach(entry => {
+      if (!entry.interactionId) return;
+
+      const existing = this.interactions.get(entry.interactionId);
+      if (existing && existing.duration >= entry.duration) return;
+
+      this.interactions.set(entry.interactionId, entry);
+    });
+
+    const slowest = Array.from(this.interactions.values()).sort((a, b) => b.duration - a.duration);
+    this.interactions = new Map(slowest.slice(0, VITALS_CONFIG.MAX_INTERACTIONS).map(entry => [entry.interactionId, entry]));
+
+    const candidate = slowest[Math.min(slowest.length - 1, Math.floor(this.interactionCount() / 50))];
+    if (!candidate) return;
+
+    this.update('INP', candidate.duration, { eventType: candidate.name }, candidate.target);
+  }
+
+  /**
+   * The first input's delay and handling, as INP until Event Timing reports
+   * an interaction (browsers without it never do)
+   */
+  handleFirstInput(entries) {
+    const [entry] = entries;
+    if (!entry || this.interactions.size > 0) return;
+
+    this.update('INP', entry.duration, { eventType: entry.name }, entry.target);
+  }
+
+  interactionCount() {
+    return performance.interactionCount || this.interactions.size;
+  }
+
+  /**
+   * Time to first byte of the page itself, from the navigation entry
+   */
+  handleNavigation(entries) {
+    const [navigation] = entries;
+    if (!navigation) return;
+
+    const ttfb = Math.max(0, navigation.responseStart - (navigation.activationStart || 0));
+    this.update('TTFB', ttfb);
+    this.report('TTFB');
+  }
+
+  /**
+   * Long tasks have no element; the value is their count, with the time they
+   * blocked the main thread beyond LONG_TASK_BUDGET
+   */
+  handleLongTasks(entries) {
+    const current = this.metrics.LongTasks || { value: 0, blockingTime: 0, longest: 0 };
+
+    const blockingTime = entries.reduce((total, entry) => (
+      total + Math.max(0, entry.duration - VITALS_CONFIG.LONG_TASK_BUDGET)
+    ), current.blockingTime);
+    const longest = entries.reduce((max, entry) => Math.max(max, entry.duration), current.longest);
+
+    this.update('LongTasks', current.value + entries.length, {
+      blockingTime: Math.round(blockingTime),
+      longest: Math.round(longest)
+    });
+  }
+
+  handleVisibilityChange() {
+    if (document.visibilityState !== 'hidden') return;
+
+    Object.keys(this.metrics).forEach(name => this.report(name));
+  }
+
+  // ==========================================================================
+  // Debug Overlay
+  // ==========================================================================
+
+  createOverlay() {
+    this.overlay = document.createElement('aside');
+    this.overlay.className = 'vitals-overlay';
+    this.overlay.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(this.overlay);
+    this.renderOverlay();
+  }
+
+  renderOverlay() {
+    const names = ['LCP', 'INP', 'CLS', 'TTFB', 'LongTasks'];
+
+    this.overlay.innerHTML = '';
+
+    names.forEach(name => {
+      const metric = this.metrics[name];
+      const row = document.createElement('div');
+      row.className = `vitals-overlay__row${metric && metric.rating ? ` vitals-overlay__row--${metric.rating}` : ''}`;
+
+      const label = document.createElement('span');
+      label.className = 'vitals-overlay__name';
+      label.textContent = name;
+
+      const value = document.createElement('span');
+      value.className = 'vitals-overlay__value';
+      value.textContent = metric ? this.formatValue(metric) : '–';
+
+      row.append(label, value);
+
+      if (metric && metric.element) {
+        const element = document.createElement('span');
+        element.className = 'vitals-overlay__element';
+        element.textContent = metric.element;
+        row.appendChild(element);
+      }
+
+      this.overlay.appendChild(row);
+    });
+  }
+
+  formatValue(metric) {
+    if (metric.name === 'CLS') return metric.value.toFixed(3);
+    if (metric.name === 'LongTasks') return `${metric.value} (${metric.blockingTime} ms)`;
+    return `${metric.value} ms`;
+  }
+
+  destroy() {
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.removeEventListener(type, this.finalizeLcp, { capture: true });
+    });
+    window.removeEventListener('visibilitychange', this.handleVisibilityChange, true);
+
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+  }
+}
+
+window.vitalsInstance = new WebVitals();
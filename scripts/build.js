@@ -0,0 +1,294 @@
+/**
+ * Production Build
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * Bundles and minifies the stylesheets and scripts referenced by index.html,
+ * fingerprints them for long-term caching, inlines the hero's critical CSS,
+ * stamps the service worker and writes the deployable site to dist/. The copy
+ * in content/site.json and the SEO tags from content/seo.json are rendered into
+ * the sources first; sitemap.xml and robots.txt are generated. The journal's
+ * pages and feed (scripts/journal.js) go to dist/journal/ with their own
+ * script bundle and the page's stylesheet.
+ *
+ * Usage: npm run build
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const esbuild = require('esbuild');
+const { ContentError, renderContent } = require('./content');
+const { renderSeo, renderSitemap, renderRobots } = require('./seo');
+const { renderJournal } = require('./journal');
+
+const ROOT = path.resolve(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+const ASSETS_DIR = 'assets';
+const HASH_LENGTH = 10;
+
+// Copied to dist/ unchanged; data files are fetched by fixed URLs at runtime
+const STATIC_ENTRIES = ['data', 'public', 'favicon.ico', 'offline.html'];
+
+// Component blocks painted above the fold; BEM elements and modifiers of these
+// blocks count too (e.g. `hero__title`, `polaroid--1`)
+const CRITICAL_BLOCKS = ['container', 'header', 'nav', 'logo', 'lang-toggle', 'theme-toggle', 'menu-toggle', 'hero', 'polaroid', 'bottom-nav'];
+
+const PRECACHE_VERSION_PATTERN = /const PRECACHE_VERSION = '[^']*';/;
+const PRECACHE_URLS_PATTERN = /const PRECACHE_URLS = \[[^\]]*\];/;
+
+const STYLESHEET_PATTERN = /^[ \t]*<link rel="stylesheet" href="(css\/[\w-]+\.css)">[ \t]*\n/gm;
+const SCRIPT_PATTERN = /^[ \t]*<script src="(js\/[\w-]+\.js)"><\/script>[ \t]*\n/gm;
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, HASH_LENGTH);
+}
+
+/**
+ * Write `<name>.<hash>.<ext>` under dist/assets and return its public path
+ */
+function writeAsset(name, extension, content) {
+  const file = `${ASSETS_DIR}/${name}.${contentHash(content)}.${extension}`;
+  fs.writeFileSync(path.join(DIST, file), content);
+  return file;
+}
+
+/**
+ * Source files in document order, read from the tags matching `pattern`
+ */
+function collectReferences(html, pattern) {
+  return Array.from(html.matchAll(pattern), match => match[1]);
+}
+
+// ==========================================================================
+// Critical CSS
+// ==========================================================================
+
+/**
+ * Split a stylesheet into top-level `{ prelude, body }` blocks, skipping
+ * over braces inside strings
+ */
+function splitBlocks(css) {
+  const blocks = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  let bodyStart = 0;
+
+  for (let i = 0; i < css.length; i++) {
+    const char = css[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '{') {
+      if (depth === 0) bodyStart = i;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        blocks.push({
+          prelude: css.slice(start, bodyStart).trim(),
+          body: css.slice(bodyStart + 1, i)
+        });
+        start = i + 1;
+      }
+    } else if (char === ';' && depth === 0) {
+      // Block-less at-rules such as @import or @charset
+      blocks.push({ prelude: css.slice(start, i).trim(), body: null });
+      start = i + 1;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Reset rules (no class in the selector) and rules for the critical blocks
+ */
+function isCriticalSelector(selectorList) {
+  return selectorList.split(',').some(selector => {
+    const classes = Array.from(selector.matchAll(/\.([\w-]+)/g), match => match[1]);
+
+    return classes.length === 0 || classes.some(className => (
+      CRITICAL_BLOCKS.some(block => (
+        className === block || className.startsWith(`${block}__`) || className.startsWith(`${block}--`)
+      ))
+    ));
+  });
+}
+
+function extractCriticalRules(css) {
+  return splitBlocks(css).map(({ prelude, body }) => {
+    if (body === null) return '';
+
+    if (prelude.startsWith('@media') || prelude.startsWith('@supports')) {
+      const inner = extractCriticalRules(body);
+      return inner ? `${prelude}{${inner}}` : '';
+    }
+
+    // Keyframes are kept separately, once a critical rule uses them
+    if (prelude.startsWith('@')) return '';
+
+    return isCriticalSelector(prelude) ? `${prelude}{${body}}` : '';
+  }).join('');
+}
+
+function extractCriticalCss(css) {
+  const rules = extractCriticalRules(css);
+
+  const keyframes = splitBlocks(css).filter(({ prelude }) => {
+    const match = prelude.match(/^@(?:-webkit-)?keyframes\s+([\w-]+)/);
+    return match && new RegExp(`\\b${match[1]}\\b`).test(rules);
+  }).map(({ prelude, body }) => `${prelude}{${body}}`);
+
+  return rules + keyframes.join('');
+}
+
+// ==========================================================================
+// Build Steps
+// ==========================================================================
+
+async function buildStyles(files) {
+  const source = files.map(readSource).join('\n');
+  const { code } = await esbuild.transform(source, { loader: 'css', minify: true });
+
+  return {
+    file: writeAsset('app', 'css', code),
+    critical: extractCriticalCss(code)
+  };
+}
+
+/**
+ * The scripts share one global scope in the page, so concatenating them in
+ * document order keeps their behavior. Debug `console.log` calls are dropped.
+ */
+async function buildScripts(files, name = 'app') {
+  const source = files.map(readSource).join('\n');
+  const { code } = await esbuild.transform(source, {
+    loader: 'js',
+    minify: true,
+    pure: ['console.log']
+  });
+
+  return { file: writeAsset(name, 'js', code) };
+}
+
+function rewriteHtml(html, styles, scripts) {
+  let stylesInserted = false;
+  let scriptsInserted = false;
+
+  return html
+    .replace(STYLESHEET_PATTERN, (tag) => {
+      if (stylesInserted) return '';
+      stylesInserted = true;
+
+      const indent = tag.match(/^[ \t]*/)[0];
+      return [
+        `${indent}<style>${styles.critical}</style>`,
+        `${indent}<link rel="preload" href="${styles.file}" as="style" onload="this.onload=null;this.rel='stylesheet'">`,
+        `${indent}<noscript><link rel="stylesheet" href="${styles.file}"></noscript>`
+      ].join('\n') + '\n';
+    })
+    .replace(SCRIPT_PATTERN, (tag) => {
+      if (scriptsInserted) return '';
+      scriptsInserted = true;
+
+      const indent = tag.match(/^[ \t]*/)[0];
+      return `${indent}<script src="${scripts.file}"></script>\n`;
+    });
+}
+
+/**
+ * Point the service worker's precache at the bundles instead of the source
+ * files and version it by the precached content, so every deploy that
+ * changes the shell installs a new worker (and shows the update toast)
+ */
+function buildServiceWorker(styles, scripts) {
+  const source = readSource('sw.js');
+  const sourceUrls = Array.from(source.match(PRECACHE_URLS_PATTERN)[0].matchAll(/'([^']+)'/g), match => match[1]);
+  const urls = sourceUrls
+    .filter(url => !url.startsWith('css/') && !url.startsWith('js/'))
+    .concat(styles.file, scripts.file);
+
+  const hash = crypto.createHash('sha256');
+  urls.filter(url => !url.endsWith('/')).forEach(url => {
+    hash.update(fs.readFileSync(path.join(DIST, url)));
+  });
+  const version = hash.digest('hex').slice(0, HASH_LENGTH);
+
+  const worker = source
+    .replace(PRECACHE_VERSION_PATTERN, `const PRECACHE_VERSION = '${version}';`)
+    .replace(PRECACHE_URLS_PATTERN, `const PRECACHE_URLS = ${JSON.stringify(urls, null, 2).replace(/"/g, '\'')};`);
+
+  fs.writeFileSync(path.join(DIST, 'sw.js'), worker);
+  return version;
+}
+
+/**
+ * Journal pages use the page's stylesheet bundle and a bundle of their own
+ * scripts; returns the number of pages written
+ */
+async function buildJournal(journal, styles) {
+  const pages = journal.files.filter(({ file }) => file.endsWith('.html'));
+  const scripts = pages.length > 0
+    ? await buildScripts(collectReferences(pages[0].content, SCRIPT_PATTERN), 'journal')
+    : null;
+
+  journal.files.forEach(({ file, content }) => {
+    const output = path.join(DIST, file);
+
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, file.endsWith('.html') ? rewriteHtml(content, styles, scripts) : content);
+  });
+
+  return pages.length;
+}
+
+function copyStatic() {
+  STATIC_ENTRIES.forEach(entry => {
+    const source = path.join(ROOT, entry);
+    if (fs.existsSync(source)) {
+      fs.cpSync(source, path.join(DIST, entry), { recursive: true });
+    }
+  });
+}
+
+async function build() {
+  // index.html and the catalogs are copied from the sources, so render first
+  renderContent();
+  const { model: seo } = renderSeo();
+  const journal = renderJournal(seo);
+
+  fs.rmSync(DIST, { recursive: true, force: true });
+  fs.mkdirSync(path.join(DIST, ASSETS_DIR), { recursive: true });
+
+  const html = readSource('index.html');
+  const styles = await buildStyles(collectReferences(html, STYLESHEET_PATTERN));
+  const scripts = await buildScripts(collectReferences(html, SCRIPT_PATTERN));
+
+  fs.writeFileSync(path.join(DIST, 'index.html'), rewriteHtml(html, styles, scripts));
+  copyStatic();
+  const journalPages = await buildJournal(journal, styles);
+  fs.writeFileSync(path.join(DIST, 'sitemap.xml'), renderSitemap(seo, journal.sitemap));
+  fs.writeFileSync(path.join(DIST, 'robots.txt'), renderRobots(seo));
+  const workerVersion = buildServiceWorker(styles, scripts);
+
+  console.log(`Built dist/ with ${styles.file} (${styles.critical.length} bytes inlined), ${scripts.file}, ${journalPages} journal pages and service worker ${workerVersion}`);
+}
+
+build().catch(error => {
+  console.error('Build failed:', error instanceof ContentError ? error.message : error);
+  process.exit(1);
+});
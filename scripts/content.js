@@ -0,0 +1,481 @@
+/**
+ * Content Generator
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * Renders the editable copy in content/site.json (hero title, about text,
+ * stats, services marquee and contact details) into index.html and the
+ * translation catalogs in data/i18n/. Each generated block in index.html sits
+ * between `<!-- content:<name> -->` and `<!-- /content:<name> -->` markers;
+ * everything outside them is left as is.
+ *
+ * Usage: npm run content
+ * `npm run build` renders the content first; `npm run preview` re-renders on
+ * every save.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT_FILE = 'content/site.json';
+const HTML_FILE = 'index.html';
+const CATALOG_FILE = 'data/i18n/{lang}.json';
+
+// Same as I18N_CONFIG in js/i18n.js; the default language is what index.html shows
+const LANGS = ['es', 'en'];
+const DEFAULT_LANG = 'es';
+
+const INDENT = '    ';
+const WRAP_WIDTH = 90;
+const SERVICE_SEPARATOR = ' • ';
+
+const REGION_PATTERN = /^([ \t]*)<!-- (\w+):([\w-]+) -->\n[\s\S]*?^[ \t]*<!-- \/\2:\3 -->$/gm;
+const INQUIRY_FORM_PATTERN = /<form class="inquiry"[^>]*>/;
+
+const STAT_ID_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+const WHATSAPP_PATTERN = /^\d{8,15}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INSTAGRAM_PATTERN = /^[A-Za-z0-9._]{1,30}$/;
+
+// ==========================================================================
+// Errors
+// ==========================================================================
+
+/**
+ * Every problem found in the content file, one `path: message` per line
+ */
+class ContentError extends Error {
+  constructor(problems, file = CONTENT_FILE) {
+    const count = `${problems.length} problem${problems.length === 1 ? '' : 's'}`;
+    super(`${file} has ${count}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ContentError';
+    this.problems = problems;
+  }
+}
+
+// ==========================================================================
+// Validation
+// ==========================================================================
+
+function describeValue(value) {
+  if (value === undefined) return 'nothing';
+  if (Array.isArray(value)) return value.length === 0 ? 'an empty list' : 'a list';
+  if (value === null) return 'null';
+  return typeof value === 'object' ? 'an object' : JSON.stringify(value);
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Collects problems while walking the content; every check names the
+ * field's path, e.g. `stats[2].label.en`
+ */
+class Validator {
+  constructor() {
+    this.problems = [];
+  }
+
+  fail(field, message) {
+    this.problems.push(`${field}: ${message}`);
+  }
+
+  object(value, field, keys) {
+    if (!isObject(value)) {
+      this.fail(field, `expected an object, got ${describeValue(value)}`);
+      return false;
+    }
+
+    Object.keys(value).filter(key => !keys.includes(key)).forEach(key => {
+      this.fail(`${field}.${key}`, `unknown field (expected ${keys.join(', ')})`);
+    });
+
+    return true;
+  }
+
+  text(value, field) {
+    if (!isText(value)) {
+      this.fail(field, `expected text, got ${describeValue(value)}`);
+      return false;
+    }
+
+    return true;
+  }
+
+  textList(value, field) {
+    if (!Array.isArray(value) || value.length === 0) {
+      this.fail(field, `expected a list of texts, got ${describeValue(value)}`);
+      return false;
+    }
+
+    return value.map((item, index) => this.text(item, `${field}[${index}]`)).every(Boolean);
+  }
+
+  pattern(value, field, pattern, description) {
+    if (typeof value !== 'string' || !pattern.test(value)) {
+      this.fail(field, `expected ${description}, got ${describeValue(value)}`);
+    }
+  }
+
+  /**
+   * One value per language, each checked by `check(value, field)`
+   */
+  translated(value, field, check) {
+    if (!this.object(value, field, LANGS)) return;
+
+    LANGS.forEach(lang => {
+      if (value[lang] === undefined) {
+        this.fail(`${field}.${lang}`, 'missing translation');
+      } else {
+        check(value[lang], `${field}.${lang}`);
+      }
+    });
+  }
+}
+
+/**
+ * Throws a ContentError listing every problem; returns the content otherwise
+ */
+function validateContent(content) {
+  const validator = new Validator();
+
+  if (!validator.object(content, 'content', ['hero', 'about', 'stats', 'services', 'contact'])) {
+    throw new ContentError(validator.problems);
+  }
+
+  const { hero, about, stats, services, contact } = content;
+
+  if (validator.object(hero, 'hero', ['title'])) {
+    validator.translated(hero.title, 'hero.title', (lines, field) => validator.textList(lines, field));
+
+    const counts = LANGS.map(lang => (Array.isArray(hero.title[lang]) ? hero.title[lang].length : null));
+    if (counts.every(count => count !== null) && new Set(counts).size > 1) {
+      validator.fail('hero.title', `every language needs the same number of lines (${LANGS.map((lang, index) => `${lang}: ${counts[index]}`).join(', ')})`);
+    }
+  }
+
+  if (validator.object(about, 'about', ['text'])) {
+    validator.translated(about.text, 'about.text', (text, field) => {
+      if (validator.text(text, field) && (text.match(/\*/g) || []).length % 2 !== 0) {
+        validator.fail(field, 'unclosed *highlight*');
+      }
+    });
+  }
+
+  if (!Array.isArray(stats) || stats.length === 0) {
+    validator.fail('stats', `expected a list of stats, got ${describeValue(stats)}`);
+  } else {
+    const ids = new Set();
+
+    stats.forEach((stat, index) => {
+      const field = `stats[${index}]`;
+      if (!validator.object(stat, field, ['id', 'value', 'suffix', 'label'])) return;
+
+      validator.pattern(stat.id, `${field}.id`, STAT_ID_PATTERN, 'a camelCase id like "sessions"');
+      if (ids.has(stat.id)) {
+        validator.fail(`${field}.id`, `"${stat.id}" is used by another stat`);
+      }
+      ids.add(stat.id);
+
+      if (!Number.isInteger(stat.value) || stat.value < 0) {
+        validator.fail(`${field}.value`, `expected a whole number (put "K+" and the like in suffix), got ${describeValue(stat.value)}`);
+      }
+
+      if (stat.suffix !== undefined && (typeof stat.suffix !== 'string' || /\d/.test(stat.suffix))) {
+        validator.fail(`${field}.suffix`, `expected text without digits, got ${describeValue(stat.suffix)}`);
+      }
+
+      validator.translated(stat.label, `${field}.label`, (label, labelField) => validator.text(label, labelField));
+    });
+  }
+
+  validator.translated(services, 'services', (list, field) => validator.textList(list, field));
+
+  if (validator.object(contact, 'contact', ['whatsapp', 'email', 'instagram'])) {
+    if (validator.object(contact.whatsapp, 'contact.whatsapp', ['number', 'message'])) {
+      validator.pattern(contact.whatsapp.number, 'contact.whatsapp.number', WHATSAPP_PATTERN, 'the number with country code and digits only, like "5491123456789"');
+      validator.text(contact.whatsapp.message, 'contact.whatsapp.message');
+    }
+
+    validator.pattern(contact.email, 'contact.email', EMAIL_PATTERN, 'an email address');
+    validator.pattern(contact.instagram, 'contact.instagram', INSTAGRAM_PATTERN, 'an Instagram username without @');
+  }
+
+  if (validator.problems.length > 0) {
+    throw new ContentError(validator.problems);
+  }
+
+  return content;
+}
+
+/**
+ * Read a content file and check it with `validate`
+ */
+function loadContent(file = path.join(ROOT, CONTENT_FILE), validate = validateContent) {
+  const relative = path.relative(ROOT, file);
+  let content;
+
+  try {
+    content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ContentError([error.code === 'ENOENT' ? 'file not found' : `invalid JSON (${error.message})`], relative);
+  }
+
+  try {
+    return validate(content);
+  } catch (error) {
+    throw error instanceof ContentError ? new ContentError(error.problems, relative) : error;
+  }
+}
+
+// ==========================================================================
+// Rendering
+// ==========================================================================
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escaped text with `*words*` as highlights
+ */
+function renderHighlights(text) {
+  return escapeHtml(text).replace(/\*([^*]+)\*/g, '<span class="highlight">$1</span>');
+}
+
+function renderServices(services) {
+  return services.join(SERVICE_SEPARATOR) + SERVICE_SEPARATOR;
+}
+
+/**
+ * Break `html` into lines of at most `width` characters, between words but
+ * never inside a tag
+ */
+function wrapWords(html, width) {
+  return html.split(/\s+(?![^<]*>)/).reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+
+    if (last && `${last} ${word}`.length <= width) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+
+    return lines;
+  }, []);
+}
+
+/**
+ * Markup for each `content:<name>` region, in the default language; the
+ * other languages come from the catalogs at runtime. Lines are relative to
+ * the region's indentation.
+ */
+const REGIONS = {
+  'hero-title': content => content.hero.title[DEFAULT_LANG].map((line, index) => (
+    `<span class="hero__title-line" data-i18n="hero.line${index + 1}">${escapeHtml(line)}</span>`
+  )),
+
+  // Rendered twice so the marquee loops without a gap
+  services: content => {
+    const span = `<span class="marquee__text" data-i18n="marquee.text">${escapeHtml(renderServices(content.services[DEFAULT_LANG]))}</span>`;
+    return [span, span];
+  },
+
+  stats: content => content.stats.flatMap(stat => {
+    const suffix = stat.suffix || '';
+    const suffixAttribute = suffix ? ` data-count-suffix="${escapeHtml(suffix)}"` : '';
+
+    return [
+      '<div class="stat" data-animate="fade-up" data-animate-delay="200">',
+      `${INDENT}<span class="stat__number" data-count-to="${stat.value}"${suffixAttribute}>${stat.value}${escapeHtml(suffix)}</span>`,
+      `${INDENT}<span class="stat__label" data-i18n="stats.${stat.id}">${escapeHtml(stat.label[DEFAULT_LANG])}</span>`,
+      '</div>'
+    ];
+  }),
+
+  'about-text': content => [
+    '<p class="about__text" data-i18n-html="about.text">',
+    ...wrapWords(renderHighlights(content.about.text[DEFAULT_LANG]), WRAP_WIDTH).map(line => `${INDENT}${line}`),
+    '</p>'
+  ],
+
+  'contact-links': content => {
+    const { whatsapp, email, instagram } = content.contact;
+
+    return [
+      `<a href="https://wa.me/${whatsapp.number}?text=${escapeHtml(encodeURIComponent(whatsapp.message))}"`,
+      '   class="btn btn--whatsapp"',
+      '   target="_blank"',
+      '   rel="noopener">',
+      `${INDENT}WhatsApp`,
+      '</a>',
+      `<a href="mailto:${escapeHtml(email)}" class="btn btn--primary">`,
+      `${INDENT}Email`,
+      '</a>',
+      `<a href="https://instagram.com/${instagram}"`,
+      '   class="btn btn--secondary"',
+      '   target="_blank"',
+      '   rel="noopener">',
+      `${INDENT}Instagram`,
+      '</a>'
+    ];
+  }
+};
+
+/**
+ * Replace every `<!-- <prefix>:<name> -->` region of `html` with
+ * `regions[name](data)`; regions with other prefixes are left alone
+ */
+function renderRegions(html, prefix, regions, data) {
+  const found = new Set();
+
+  const rendered = html.replace(REGION_PATTERN, (match, indent, regionPrefix, name) => {
+    if (regionPrefix !== prefix) return match;
+
+    const render = regions[name];
+    if (!render) {
+      throw new Error(`${HTML_FILE} has an unknown ${prefix} region "${name}" (known: ${Object.keys(regions).join(', ')})`);
+    }
+
+    found.add(name);
+    const lines = render(data).map(line => (line ? `${indent}${line}` : line));
+    return [`${indent}<!-- ${prefix}:${name} -->`, ...lines, `${indent}<!-- /${prefix}:${name} -->`].join('\n');
+  });
+
+  const missing = Object.keys(regions).filter(name => !found.has(name));
+  if (missing.length > 0) {
+    throw new Error(`${HTML_FILE} is missing the ${prefix} region${missing.length === 1 ? '' : 's'} ${missing.join(', ')}`);
+  }
+
+  return rendered;
+}
+
+/**
+ * index.html with every region and contact attribute rendered from `content`
+ */
+function renderHtml(html, content) {
+  const { whatsapp, email } = content.contact;
+
+  return renderRegions(html, 'content', REGIONS, content)
+    // The inquiry form's WhatsApp and mailto adapters read these
+    .replace(INQUIRY_FORM_PATTERN, tag => tag
+      .replace(/ data-whatsapp="[^"]*"/, ` data-whatsapp="${whatsapp.number}"`)
+      .replace(/ data-email="[^"]*"/, ` data-email="${escapeHtml(email)}"`));
+}
+
+/**
+ * Catalog for `lang` with the content's copy; other keys keep their order
+ */
+function renderCatalog(catalog, content, lang) {
+  const lines = content.hero.title[lang];
+  const hero = {};
+
+  lines.forEach((line, index) => {
+    hero[`line${index + 1}`] = line;
+  });
+  Object.keys(catalog.hero || {}).filter(key => !/^line\d+$/.test(key)).forEach(key => {
+    hero[key] = catalog.hero[key];
+  });
+
+  const stats = {};
+  content.stats.forEach(stat => {
+    stats[stat.id] = stat.label[lang];
+  });
+
+  return Object.assign({}, catalog, {
+    hero,
+    about: Object.assign({}, catalog.about, { text: renderHighlights(content.about.text[lang]) }),
+    marquee: Object.assign({}, catalog.marquee, { text: renderServices(content.services[lang]) }),
+    stats
+  });
+}
+
+// ==========================================================================
+// Generator
+// ==========================================================================
+
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * Pass index.html and each catalog through the given renderers and write the
+ * files that changed; returns their names
+ */
+function writeSources({ html, catalog }) {
+  const outputs = {
+    [HTML_FILE]: html(readSource(HTML_FILE))
+  };
+
+  LANGS.forEach(lang => {
+    const file = CATALOG_FILE.replace('{lang}', lang);
+    outputs[file] = `${JSON.stringify(catalog(JSON.parse(readSource(file)), lang), null, 2)}\n`;
+  });
+
+  return Object.keys(outputs).filter(file => {
+    if (outputs[file] === readSource(file)) return false;
+
+    fs.writeFileSync(path.join(ROOT, file), outputs[file]);
+    return true;
+  });
+}
+
+/**
+ * Render the content file into index.html and the catalogs; returns the
+ * files that changed
+ */
+function renderContent({ contentFile } = {}) {
+  const content = loadContent(contentFile);
+
+  return writeSources({
+    html: html => renderHtml(html, content),
+    catalog: (catalog, lang) => renderCatalog(catalog, content, lang)
+  });
+}
+
+function run() {
+  const changed = renderContent();
+
+  console.log(changed.length > 0
+    ? `Rendered ${CONTENT_FILE} into ${changed.join(', ')}`
+    : `${CONTENT_FILE} is already rendered`);
+}
+
+if (require.main === module) {
+  try {
+    run();
+  } catch (error) {
+    console.error(error instanceof ContentError ? error.message : error);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  ROOT,
+  CONTENT_FILE,
+  HTML_FILE,
+  LANGS,
+  DEFAULT_LANG,
+  ContentError,
+  Validator,
+  validateContent,
+  loadContent,
+  escapeHtml,
+  renderRegions,
+  renderHtml,
+  renderCatalog,
+  readSource,
+  writeSources,
+  renderContent
+};
@@ -0,0 +1,739 @@
+/**
+ * Journal Generator
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * Renders the Markdown posts in content/journal/ into static pages that share
+ * index.html's head assets, header and footer: a paginated index, a page per
+ * category and a page per post, plus an Atom feed. Each post starts with
+ * front matter between `---` lines:
+ *
+ *   ---
+ *   title: La boda de Lucía y Martín
+ *   date: 2026-03-14
+ *   category: casamientos
+ *   cover: casamientos-01
+ *   gallery:
+ *     - casamientos-01
+ *     - lifestyle-02
+ *   description: Optional; the first paragraph otherwise
+ *   ---
+ *
+ * The category and photos are ids from data/photos.json, and the file name is
+ * the post's URL (`la-boda.md` → /journal/la-boda/). The title is the page's
+ * `<h1>`, so sections in the body start at `##`. Nothing is written to
+ * the repository: `npm run build` writes the pages into dist/journal/ and
+ * lists them in the sitemap, and `npm run preview` serves them from memory.
+ *
+ * Usage: npm run journal
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  ROOT,
+  HTML_FILE,
+  DEFAULT_LANG,
+  ContentError,
+  Validator,
+  escapeHtml,
+  readSource
+} = require('./content');
+const {
+  PHOTOS_FILE,
+  DATE_PATTERN,
+  IMAGE_QUALITY,
+  buildImageUrl,
+  loadSite
+} = require('./seo');
+const { renderMarkdown } = require('./markdown');
+
+const JOURNAL_DIR = 'content/journal';
+
+// Public paths, relative to the site root (see GENERATED_PATHS in scripts/seo.js)
+const OUTPUT_DIR = 'journal';
+const FEED_FILE = `${OUTPUT_DIR}/feed.xml`;
+const CATEGORY_DIR = 'categoria';
+const PAGE_DIR = 'pagina';
+
+const POSTS_PER_PAGE = 6;
+const FEED_ENTRIES = 20;
+const EXCERPT_LENGTH = 160;
+
+const FIELDS = ['title', 'date', 'category', 'cover', 'gallery', 'description'];
+
+// The pages only need the header's menu, language and theme toggles
+const SCRIPTS = ['js/error-reporter.js', 'js/i18n.js', 'js/theme.js', 'js/analytics.js', 'js/header.js'];
+
+const IMAGE_WIDTHS = [480, 960, 1440];
+const SHARE_IMAGE = { width: 1200, height: 630 };
+
+const INDENT = '    ';
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const FRONT_MATTER_PATTERN = /^---[ \t]*\n([\s\S]*?)\n---[ \t]*(?:\n|$)/;
+const FIELD_PATTERN = /^([A-Za-z]\w*):(?:[ \t]+(.*))?$/;
+const LIST_ITEM_PATTERN = /^[ \t]+-[ \t]+(.+)$/;
+
+// The parts of index.html every journal page shares
+const LAYOUT_PATTERNS = {
+  head: /^[\s\S]*?(?=^[ \t]*<!-- SEO:)/m,
+  assets: /^[ \t]*<!-- Preload critical fonts -->\n[\s\S]*?(?=^<\/head>)/m,
+  header: /^[ \t]*<!-- Header -->\n[\s\S]*?(?=^[ \t]*<main\b)/m,
+  footer: /^[ \t]*<!-- Footer -->\n[\s\S]*?<\/footer>\n/m
+};
+
+// ==========================================================================
+// Posts
+// ==========================================================================
+
+/**
+ * A front matter value: quotes are dropped and `[a, b]` is a list
+ */
+function parseValue(raw) {
+  const value = raw.trim();
+  const quoted = value.match(/^(["'])(.*)\1$/);
+  if (quoted) return quoted[2];
+
+  const list = value.match(/^\[(.*)\]$/);
+  if (list) return list[1].trim() ? list[1].split(',').map(parseValue) : [];
+
+  return value;
+}
+
+/**
+ * Split a post into its front matter (`field: value` lines and indented
+ * `- item` lists) and its Markdown body
+ */
+function parseFrontMatter(source, file) {
+  const text = source.replace(/\r\n?/g, '\n');
+  const match = text.match(FRONT_MATTER_PATTERN);
+
+  if (!match) {
+    throw new ContentError(['expected front matter between "---" lines at the top'], file);
+  }
+
+  const data = {};
+  const problems = [];
+  let list = null;
+
+  match[1].split('\n').forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    // The front matter starts on the file's second line
+    const lineNumber = index + 2;
+    const item = line.match(LIST_ITEM_PATTERN);
+    const field = line.match(FIELD_PATTERN);
+
+    if (item && list) {
+      list.push(parseValue(item[1]));
+    } else if (field && field[1] in data) {
+      problems.push(`line ${lineNumber}: ${field[1]} is already set`);
+    } else if (field) {
+      list = field[2] && field[2].trim() ? null : [];
+      data[field[1]] = list || parseValue(field[2]);
+    } else {
+      problems.push(`line ${lineNumber}: expected "field: value" or an indented "- item", got ${JSON.stringify(line)}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ContentError(problems, file);
+  }
+
+  return { data, body: text.slice(match[0].length) };
+}
+
+/**
+ * Throws a ContentError listing every problem; the category and photos must
+ * be in `manifest`
+ */
+function validatePost(data, body, manifest, file) {
+  const validator = new Validator();
+  const checkPhoto = (id, field) => {
+    if (!manifest.photos.some(photo => photo.id === id)) {
+      validator.fail(field, `expected the id of a photo in ${PHOTOS_FILE}, got ${JSON.stringify(id)}`);
+    }
+  };
+
+  Object.keys(data).filter(key => !FIELDS.includes(key)).forEach(key => {
+    validator.fail(key, `unknown field (expected ${FIELDS.join(', ')})`);
+  });
+
+  validator.text(data.title, 'title');
+  validator.pattern(data.date, 'date', DATE_PATTERN, 'a date like "2026-03-14"');
+
+  if (!manifest.categories.some(category => category.id === data.category)) {
+    validator.fail('category', `expected the id of a category in ${PHOTOS_FILE}, got ${JSON.stringify(data.category)}`);
+  }
+
+  checkPhoto(data.cover, 'cover');
+
+  if (data.gallery !== undefined && validator.textList(data.gallery, 'gallery')) {
+    data.gallery.forEach((id, index) => checkPhoto(id, `gallery[${index}]`));
+  }
+
+  if (data.description !== undefined) {
+    validator.text(data.description, 'description');
+  }
+
+  if (!body.trim()) {
+    validator.fail('body', 'expected the post\'s text after the front matter');
+  }
+
+  if (validator.problems.length > 0) {
+    throw new ContentError(validator.problems, file);
+  }
+
+  return data;
+}
+
+/**
+ * Text of rendered markup, e.g. for a description built from the first
+ * paragraph
+ */
+function toPlainText(html) {
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * `text` cut at a word boundary to at most `length` characters
+ */
+function truncate(text, length) {
+  if (text.length <= length) return text;
+
+  const cut = text.slice(0, length - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).replace(/[\s.,;:]+$/, '')}…`;
+}
+
+/**
+ * Read and check every post in `dir`, newest first
+ */
+function loadJournal(manifest, { dir = path.join(ROOT, JOURNAL_DIR) } = {}) {
+  if (!fs.existsSync(dir)) return [];
+
+  const photos = new Map(manifest.photos.map(photo => [photo.id, photo]));
+
+  return fs.readdirSync(dir).filter(name => name.endsWith('.md')).map(name => {
+    const file = path.relative(ROOT, path.join(dir, name));
+    const slug = path.basename(name, '.md');
+
+    if (!SLUG_PATTERN.test(slug)) {
+      throw new ContentError([`expected a file name of lowercase words and hyphens, like "la-boda-de-lucia.md", got "${name}"`], file);
+    }
+
+    const { data, body } = parseFrontMatter(fs.readFileSync(path.join(dir, name), 'utf8'), file);
+    validatePost(data, body, manifest, file);
+
+    const html = renderMarkdown(body);
+    const firstParagraph = html.match(/<p>([\s\S]*?)<\/p>/);
+
+    return {
+      slug,
+      file,
+      path: `${OUTPUT_DIR}/${slug}/`,
+      title: data.title,
+      date: data.date,
+      category: manifest.categories.find(category => category.id === data.category),
+      cover: photos.get(data.cover),
+      gallery: (data.gallery || []).map(id => photos.get(id)),
+      description: data.description || truncate(toPlainText(firstParagraph ? firstParagraph[1] : html), EXCERPT_LENGTH),
+      html
+    };
+  }).sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+}
+
+// ==========================================================================
+// Layout
+// ==========================================================================
+
+/**
+ * The head's leading tags and assets, the header and the footer of
+ * index.html, so the journal can't drift from the page
+ */
+function extractLayout(html) {
+  const layout = {};
+
+  Object.keys(LAYOUT_PATTERNS).forEach(part => {
+    const match = html.match(LAYOUT_PATTERNS[part]);
+    if (!match) {
+      throw new Error(`${HTML_FILE} is missing the ${part} the journal pages share`);
+    }
+    layout[part] = match[0];
+  });
+
+  return layout;
+}
+
+/**
+ * Indent every line by `depth` levels, except inside `<pre>` where the
+ * whitespace is the content
+ */
+function indent(lines, depth) {
+  const prefix = INDENT.repeat(depth);
+  let inPre = false;
+
+  return lines.join('\n').split('\n').map(line => {
+    const indented = line && !inPre ? `${prefix}${line}` : line;
+
+    if (line.includes('<pre>')) inPre = true;
+    if (line.includes('</pre>')) inPre = false;
+
+    return indented;
+  });
+}
+
+function renderDocument(layout, head, main) {
+  return [
+    layout.head.replace(/\n+$/, '\n'),
+    `${INDENT}<!-- Journal pages live under /${OUTPUT_DIR}/; relative URLs resolve from the site root -->`,
+    `${INDENT}<base href="/">`,
+    '',
+    ...indent(head, 1),
+    '',
+    `${layout.assets}</head>`,
+    '<body>',
+    `${layout.header}${INDENT}<main id="main" class="journal">`,
+    ...indent(main, 2),
+    `${INDENT}</main>`,
+    '',
+    `${layout.footer}`,
+    `${INDENT}<!-- JavaScript -->`,
+    ...SCRIPTS.map(script => `${INDENT}<script src="${script}"></script>`),
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+// ==========================================================================
+// Rendering
+// ==========================================================================
+
+/**
+ * Copy for the pages' own UI in the default language; the other languages
+ * come from the catalogs at runtime through `data-i18n`
+ */
+function getCopy(model) {
+  return model.catalogs[DEFAULT_LANG].journal;
+}
+
+function formatDate(date, model) {
+  return new Intl.DateTimeFormat(model.catalogs[DEFAULT_LANG].meta.locale, {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  }).format(new Date(`${date}T00:00:00Z`));
+}
+
+function photoUrl(photo, model, params) {
+  return buildImageUrl(photo.src, Object.assign({}, params, { q: IMAGE_QUALITY }), model.seo.url);
+}
+
+function renderImage(photo, model, { className, sizes, eager = false }) {
+  const srcset = IMAGE_WIDTHS.map(width => `${photoUrl(photo, model, { w: width })} ${width}w`).join(', ');
+  const loading = eager ? 'fetchpriority="high"' : 'loading="lazy"';
+
+  return `<img class="${className}" src="${escapeHtml(photoUrl(photo, model, { w: IMAGE_WIDTHS[1] }))}" srcset="${escapeHtml(srcset)}" sizes="${sizes}" width="${photo.width}" height="${photo.height}" alt="${escapeHtml(photo.alt)}" ${loading} decoding="async">`;
+}
+
+function renderMeta(model, { title, description, url, type, image, extra = [], jsonLd }) {
+  const { seo } = model;
+  const imageUrl = photoUrl(image, model, { w: SHARE_IMAGE.width, h: SHARE_IMAGE.height, fit: 'crop' });
+  const copy = getCopy(model);
+
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    `<meta name="author" content="${escapeHtml(seo.person.name)}">`,
+    '<meta name="robots" content="index, follow">',
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(`${copy.title} | ${seo.person.name}`)}" href="${FEED_FILE}">`,
+    '',
+    '<!-- Open Graph para redes sociales -->',
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    `<meta property="og:description" content="${escapeHtml(description)}">`,
+    `<meta property="og:type" content="${type}">`,
+    `<meta property="og:url" content="${escapeHtml(url)}">`,
+    `<meta property="og:site_name" content="${escapeHtml(seo.business.name)}">`,
+    `<meta property="og:image" content="${escapeHtml(imageUrl)}">`,
+    `<meta property="og:image:width" content="${SHARE_IMAGE.width}">`,
+    `<meta property="og:image:height" content="${SHARE_IMAGE.height}">`,
+    `<meta property="og:image:alt" content="${escapeHtml(image.alt)}">`,
+    `<meta property="og:locale" content="${escapeHtml(model.catalogs[DEFAULT_LANG].meta.ogLocale)}">`,
+    ...extra,
+    '',
+    '<!-- Twitter Cards -->',
+    '<meta name="twitter:card" content="summary_large_image">',
+    `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}">`,
+    `<meta name="twitter:image" content="${escapeHtml(imageUrl)}">`,
+    `<meta name="twitter:image:alt" content="${escapeHtml(image.alt)}">`,
+    ...(jsonLd ? [
+      '',
+      '<script type="application/ld+json">',
+      // `</` would end the script element early
+      ...JSON.stringify(jsonLd, null, 2).replace(/<\//g, '<\\/').split('\n'),
+      '</script>'
+    ] : [])
+  ];
+}
+
+function categoryPath(category) {
+  return `${OUTPUT_DIR}/${CATEGORY_DIR}/${category.id}/`;
+}
+
+/**
+ * Path of page `page` of a listing starting at `base`
+ */
+function pagePath(base, page) {
+  return page === 1 ? base : `${base}${PAGE_DIR}/${page}/`;
+}
+
+function renderPostMeta(post, model, className, tagClassName) {
+  return `<p class="${className}"><time datetime="${post.date}">${escapeHtml(formatDate(post.date, model))}</time> · <a href="${categoryPath(post.category)}" class="${tagClassName}">${escapeHtml(post.category.title)}</a></p>`;
+}
+
+function renderCard(post, model) {
+  return [
+    '<li class="journal__post">',
+    `${INDENT}<article class="journal__card">`,
+    `${INDENT}${INDENT}${renderImage(post.cover, model, { className: 'journal__card-image', sizes: '(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw' })}`,
+    `${INDENT}${INDENT}<div class="journal__card-body">`,
+    `${INDENT}${INDENT}${INDENT}${renderPostMeta(post, model, 'journal__card-meta', 'journal__card-tag')}`,
+    `${INDENT}${INDENT}${INDENT}<h2 class="journal__card-title"><a href="${post.path}">${escapeHtml(post.title)}</a></h2>`,
+    `${INDENT}${INDENT}${INDENT}<p class="journal__card-excerpt">${escapeHtml(post.description)}</p>`,
+    `${INDENT}${INDENT}</div>`,
+    `${INDENT}</article>`,
+    '</li>'
+  ];
+}
+
+function renderPagination(base, page, pages, copy) {
+  if (pages < 2) return [];
+
+  const numbers = Array.from({ length: pages }, (value, index) => {
+    const number = index + 1;
+    const current = number === page ? ' aria-current="page"' : '';
+    return `${INDENT}${INDENT}<li><a href="${pagePath(base, number)}" class="journal__page"${current}>${number}</a></li>`;
+  });
+
+  return [
+    `<nav class="journal__pagination" aria-label="${escapeHtml(copy.paginationLabel)}" data-i18n-attr="aria-label: journal.paginationLabel">`,
+    ...(page > 1 ? [`${INDENT}<a href="${pagePath(base, page - 1)}" class="journal__page-link journal__page-link--newer" rel="prev" data-i18n="journal.newer">${escapeHtml(copy.newer)}</a>`] : []),
+    `${INDENT}<ol class="journal__pages">`,
+    ...numbers,
+    `${INDENT}</ol>`,
+    ...(page < pages ? [`${INDENT}<a href="${pagePath(base, page + 1)}" class="journal__page-link journal__page-link--older" rel="next" data-i18n="journal.older">${escapeHtml(copy.older)}</a>`] : []),
+    '</nav>'
+  ];
+}
+
+/**
+ * One page of the index, or of a category's listing when `category` is set
+ */
+function renderListPage(model, layout, { posts, categories, category, page, pages }) {
+  const copy = getCopy(model);
+  const base = category ? categoryPath(category) : `${OUTPUT_DIR}/`;
+  const url = `${model.home}${pagePath(base, page)}`;
+  const titleParts = [category ? category.title : null, page > 1 ? copy.pageTitle.replace('{page}', page) : null, copy.title, model.seo.person.name];
+  const description = category ? category.description : copy.intro;
+  const shown = posts.slice((page - 1) * POSTS_PER_PAGE, page * POSTS_PER_PAGE);
+
+  const tags = [{ href: `${OUTPUT_DIR}/`, active: !category, label: `data-i18n="journal.all">${escapeHtml(copy.all)}` }]
+    .concat(categories.map(item => ({
+      href: categoryPath(item),
+      active: category === item,
+      label: `lang="es">${escapeHtml(item.title)}`
+    })))
+    .map(tag => `${INDENT}${INDENT}<li><a href="${tag.href}" class="journal__tag"${tag.active ? ' aria-current="page"' : ''} ${tag.label}</a></li>`);
+
+  const jsonLd = !category && page === 1 ? {
+    '@context': 'https://schema.org',
+    '@type': 'Blog',
+    '@id': `${url}#blog`,
+    name: `${copy.title} | ${model.seo.person.name}`,
+    description,
+    url,
+    inLanguage: DEFAULT_LANG,
+    author: { '@id': `${model.home}#person` },
+    blogPost: posts.map(post => ({
+      '@type': 'BlogPosting',
+      headline: post.title,
+      url: `${model.home}${post.path}`,
+      datePublished: post.date
+    }))
+  } : null;
+
+  const head = renderMeta(model, {
+    title: titleParts.filter(Boolean).join(' | '),
+    description,
+    url,
+    type: 'website',
+    image: posts.length > 0 ? shown[0].cover : model.shareImage.photo,
+    jsonLd
+  });
+
+  const main = [
+    '<div class="container">',
+    `${INDENT}<header class="journal__header">`,
+    `${INDENT}${INDENT}<h1 class="journal__title" data-i18n="journal.title">${escapeHtml(copy.title)}</h1>`,
+    category
+      ? `${INDENT}${INDENT}<p class="journal__intro" lang="es">${escapeHtml(category.description)}</p>`
+      : `${INDENT}${INDENT}<p class="journal__intro" data-i18n="journal.intro">${escapeHtml(copy.intro)}</p>`,
+    `${INDENT}${INDENT}<a href="${FEED_FILE}" class="journal__feed" data-i18n="journal.feed">${escapeHtml(copy.feed)}</a>`,
+    `${INDENT}</header>`,
+    '',
+    `${INDENT}<nav class="journal__categories" aria-label="${escapeHtml(copy.categoriesLabel)}" data-i18n-attr="aria-label: journal.categoriesLabel">`,
+    `${INDENT}${INDENT}<ul class="journal__tags">`,
+    ...tags,
+    `${INDENT}${INDENT}</ul>`,
+    `${INDENT}</nav>`,
+    '',
+    ...(shown.length > 0 ? [
+      `${INDENT}<ul class="journal__posts" lang="es">`,
+      ...indent(shown.flatMap(post => renderCard(post, model)), 2),
+      `${INDENT}</ul>`
+    ] : [
+      `${INDENT}<p class="journal__empty" data-i18n="journal.empty">${escapeHtml(copy.empty)}</p>`
+    ]),
+    ...(pages > 1 ? ['', ...indent(renderPagination(base, page, pages, copy), 1)] : []),
+    '</div>'
+  ];
+
+  return { file: `${pagePath(base, page)}index.html`, content: renderDocument(layout, head, main) };
+}
+
+function renderPostLink(post, rel, label, copy) {
+  return [
+    `<a href="${post.path}" class="post__nav-link post__nav-link--${rel}" rel="${rel}">`,
+    `${INDENT}<span class="post__nav-label" data-i18n="journal.${label}">${escapeHtml(copy[label])}</span>`,
+    `${INDENT}<span class="post__nav-title" lang="es">${escapeHtml(post.title)}</span>`,
+    '</a>'
+  ];
+}
+
+/**
+ * A post's page; `newer` and `older` are its neighbours in the index
+ */
+function renderPostPage(model, layout, post, { newer, older }) {
+  const copy = getCopy(model);
+  const url = `${model.home}${post.path}`;
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    '@id': `${url}#post`,
+    headline: post.title,
+    description: post.description,
+    datePublished: post.date,
+    url,
+    mainEntityOfPage: url,
+    inLanguage: DEFAULT_LANG,
+    articleSection: post.category.title,
+    image: [post.cover].concat(post.gallery).filter((photo, index, list) => list.indexOf(photo) === index)
+      .map(photo => photoUrl(photo, model, { w: IMAGE_WIDTHS[2] })),
+    author: { '@type': 'Person', '@id': `${model.home}#person`, name: model.seo.person.name },
+    publisher: { '@id': `${model.home}#business` },
+    isPartOf: { '@type': 'Blog', '@id': `${model.home}${OUTPUT_DIR}/#blog` }
+  };
+
+  const head = renderMeta(model, {
+    title: `${post.title} | ${copy.title} | ${model.seo.person.name}`,
+    description: post.description,
+    url,
+    type: 'article',
+    image: post.cover,
+    extra: [
+      `<meta property="article:published_time" content="${post.date}">`,
+      `<meta property="article:section" content="${escapeHtml(post.category.title)}">`
+    ],
+    jsonLd
+  });
+
+  const gallery = post.gallery.length > 0 ? [
+    '',
+    `${INDENT}<section class="post__gallery" aria-labelledby="postGalleryTitle">`,
+    `${INDENT}${INDENT}<h2 class="post__gallery-title" id="postGalleryTitle" data-i18n="journal.gallery">${escapeHtml(copy.gallery)}</h2>`,
+    `${INDENT}${INDENT}<ul class="post__gallery-grid" lang="es">`,
+    ...post.gallery.flatMap(photo => [
+      `${INDENT}${INDENT}${INDENT}<li>`,
+      `${INDENT}${INDENT}${INDENT}${INDENT}<figure class="post__photo">`,
+      `${INDENT}${INDENT}${INDENT}${INDENT}${INDENT}${renderImage(photo, model, { className: 'post__photo-image', sizes: '(min-width: 768px) 50vw, 100vw' })}`,
+      `${INDENT}${INDENT}${INDENT}${INDENT}${INDENT}<figcaption class="post__photo-caption">${escapeHtml(photo.caption)}</figcaption>`,
+      `${INDENT}${INDENT}${INDENT}${INDENT}</figure>`,
+      `${INDENT}${INDENT}${INDENT}</li>`
+    ]),
+    `${INDENT}${INDENT}</ul>`,
+    `${INDENT}</section>`
+  ] : [];
+
+  const neighbours = newer || older ? [
+    '',
+    `${INDENT}<nav class="post__nav" aria-label="${escapeHtml(copy.postNavLabel)}" data-i18n-attr="aria-label: journal.postNavLabel">`,
+    ...(newer ? indent(renderPostLink(newer, 'prev', 'newerPost', copy), 2) : []),
+    ...(older ? indent(renderPostLink(older, 'next', 'olderPost', copy), 2) : []),
+    `${INDENT}</nav>`
+  ] : [];
+
+  const main = [
+    '<div class="container">',
+    `${INDENT}<a href="${OUTPUT_DIR}/" class="post__back" data-i18n="journal.back">${escapeHtml(copy.back)}</a>`,
+    '',
+    `${INDENT}<article class="post" lang="es">`,
+    `${INDENT}${INDENT}<header class="post__header">`,
+    `${INDENT}${INDENT}${INDENT}${renderPostMeta(post, model, 'post__meta', 'post__tag')}`,
+    `${INDENT}${INDENT}${INDENT}<h1 class="post__title">${escapeHtml(post.title)}</h1>`,
+    `${INDENT}${INDENT}</header>`,
+    `${INDENT}${INDENT}<figure class="post__cover">`,
+    `${INDENT}${INDENT}${INDENT}${renderImage(post.cover, model, { className: 'post__cover-image', sizes: '(min-width: 1024px) 960px, 100vw', eager: true })}`,
+    `${INDENT}${INDENT}${INDENT}<figcaption class="post__cover-caption">${escapeHtml(post.cover.caption)}</figcaption>`,
+    `${INDENT}${INDENT}</figure>`,
+    `${INDENT}${INDENT}<div class="post__body">`,
+    ...indent([post.html], 3),
+    `${INDENT}${INDENT}</div>`,
+    `${INDENT}</article>`,
+    ...gallery,
+    ...neighbours,
+    '</div>'
+  ];
+
+  return { file: `${post.path}index.html`, content: renderDocument(layout, head, main) };
+}
+
+/**
+ * Atom feed of the newest posts with their full text; relative links in the
+ * posts resolve against the site through `xml:base`
+ */
+function renderFeed(model, posts) {
+  const copy = getCopy(model);
+  const feedUrl = `${model.home}${FEED_FILE}`;
+  const updated = posts.length > 0 ? posts[0].date : model.lastModified;
+  const timestamp = date => `${date}T00:00:00Z`;
+
+  const entries = posts.slice(0, FEED_ENTRIES).flatMap(post => {
+    const url = `${model.home}${post.path}`;
+    const cover = `<p><img src="${escapeHtml(photoUrl(post.cover, model, { w: IMAGE_WIDTHS[1] }))}" alt="${escapeHtml(post.cover.alt)}"></p>`;
+
+    return [
+      '  <entry>',
+      `    <title>${escapeHtml(post.title)}</title>`,
+      `    <link href="${escapeHtml(url)}"/>`,
+      `    <id>${escapeHtml(url)}</id>`,
+      `    <published>${timestamp(post.date)}</published>`,
+      `    <updated>${timestamp(post.date)}</updated>`,
+      `    <category term="${post.category.id}" label="${escapeHtml(post.category.title)}"/>`,
+      `    <summary>${escapeHtml(post.description)}</summary>`,
+      `    <content type="html">${escapeHtml(`${cover}\n${post.html}`)}</content>`,
+      '  </entry>'
+    ];
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${DEFAULT_LANG}" xml:base="${escapeHtml(model.home)}">`,
+    `  <title>${escapeHtml(`${copy.title} | ${model.seo.person.name}`)}</title>`,
+    `  <subtitle>${escapeHtml(copy.intro)}</subtitle>`,
+    `  <link href="${escapeHtml(feedUrl)}" rel="self" type="application/atom+xml"/>`,
+    `  <link href="${escapeHtml(`${model.home}${OUTPUT_DIR}/`)}" rel="alternate" type="text/html"/>`,
+    `  <id>${escapeHtml(`${model.home}${OUTPUT_DIR}/`)}</id>`,
+    `  <updated>${timestamp(updated)}</updated>`,
+    '  <author>',
+    `    <name>${escapeHtml(model.seo.person.name)}</name>`,
+    `    <uri>${escapeHtml(model.home)}</uri>`,
+    '  </author>',
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Sitemap entries for renderSitemap in scripts/seo.js: the index, each
+ * category's first page and every post with its photos
+ */
+function buildSitemap(model, posts, categories) {
+  const latest = list => (list.length > 0 ? list[0].date : model.lastModified);
+
+  return [{ url: `${model.home}${OUTPUT_DIR}/`, lastModified: latest(posts) }]
+    .concat(categories.map(category => ({
+      url: `${model.home}${categoryPath(category)}`,
+      lastModified: latest(posts.filter(post => post.category === category))
+    })))
+    .concat(posts.map(post => ({
+      url: `${model.home}${post.path}`,
+      lastModified: post.date,
+      images: [post.cover].concat(post.gallery)
+        .filter((photo, index, list) => list.indexOf(photo) === index)
+        .map(photo => photoUrl(photo, model, { w: IMAGE_WIDTHS[2] }))
+    })));
+}
+
+// ==========================================================================
+// Generator
+// ==========================================================================
+
+/**
+ * Every journal file, as `{ file, content }` with paths relative to the site
+ * root, and the sitemap entries; `model` is loadSite's from scripts/seo.js
+ */
+function renderJournal(model, { dir, html = readSource(HTML_FILE) } = {}) {
+  const manifest = { categories: model.categories, photos: model.photos.map(({ photo }) => photo) };
+  const posts = loadJournal(manifest, { dir });
+  const layout = extractLayout(html);
+
+  // Only categories with posts get a page, in the portfolio's order
+  const categories = model.categories.filter(category => posts.some(post => post.category === category));
+
+  const listing = (list, category) => {
+    const pages = Math.max(1, Math.ceil(list.length / POSTS_PER_PAGE));
+    return Array.from({ length: pages }, (value, index) => (
+      renderListPage(model, layout, { posts: list, categories, category, page: index + 1, pages })
+    ));
+  };
+
+  const files = listing(posts, null)
+    .concat(categories.flatMap(category => listing(posts.filter(post => post.category === category), category)))
+    .concat(posts.map((post, index) => renderPostPage(model, layout, post, { newer: posts[index - 1], older: posts[index + 1] })))
+    .concat({ file: FEED_FILE, content: renderFeed(model, posts) });
+
+  return { posts, files, sitemap: buildSitemap(model, posts, categories) };
+}
+
+function run() {
+  const { posts, files } = renderJournal(loadSite());
+
+  console.log(`${JOURNAL_DIR} has ${posts.length} post${posts.length === 1 ? '' : 's'}; the build writes:`);
+  files.forEach(({ file }) => console.log(`  ${file}`));
+}
+
+if (require.main === module) {
+  try {
+    run();
+  } catch (error) {
+    console.error(error instanceof ContentError ? error.message : error);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  JOURNAL_DIR,
+  OUTPUT_DIR,
+  FEED_FILE,
+  POSTS_PER_PAGE,
+  SCRIPTS,
+  parseFrontMatter,
+  validatePost,
+  loadJournal,
+  extractLayout,
+  renderJournal
+};
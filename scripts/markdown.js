@@ -0,0 +1,191 @@
+/**
+ * Markdown Renderer
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * The subset of Markdown the journal posts in content/journal/ use:
+ * headings, paragraphs, block quotes, lists, rules, fenced code, and inline
+ * emphasis, code, links and images. Raw HTML is escaped, never passed
+ * through, and links only keep web, mailto and site-relative URLs.
+ */
+
+'use strict';
+
+const { escapeHtml } = require('./content');
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const FENCE_PATTERN = /^ {0,3}```/;
+const QUOTE_PATTERN = /^ {0,3}> ?/;
+const UNORDERED_PATTERN = /^ {0,3}[-*+]\s+/;
+const ORDERED_PATTERN = /^ {0,3}\d+[.)]\s+/;
+const CONTINUATION_PATTERN = /^\s{2,}\S/;
+
+const IMAGE_PATTERN = /!\[([^\]]*)\]\(\s*(\S+?)(?:\s+"([^"]*)")?\s*\)/g;
+const LINK_PATTERN = /\[([^\]]+)\]\(\s*(\S+?)(?:\s+"([^"]*)")?\s*\)/g;
+
+// Stands in for finished markup while the rest of a line is formatted
+const TOKEN = '\u0000';
+
+const SAFE_URL_PATTERN = /^(?:https?:\/\/|mailto:|#|\/|\.{0,2}\/|[\w-]+(?:[/.#?]|$))/i;
+
+// ==========================================================================
+// Inline
+// ==========================================================================
+
+/**
+ * The URL if it's safe to link to, else null (e.g. `javascript:`)
+ */
+function safeUrl(url) {
+  return SAFE_URL_PATTERN.test(url) ? url : null;
+}
+
+/**
+ * Inline Markdown in `text` as HTML; a line ending in two spaces or a
+ * backslash breaks the line
+ */
+function renderInline(text) {
+  const tokens = [];
+  const keep = html => {
+    tokens.push(html);
+    return `${TOKEN}${tokens.length - 1}${TOKEN}`;
+  };
+  const title = value => (value ? ` title="${escapeHtml(value)}"` : '');
+
+  // Code, images and link tags are set aside so emphasis can't reach inside
+  // them; link labels stay in the text and are formatted with it
+  const marked = text
+    .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${escapeHtml(code)}</code>`))
+    .replace(IMAGE_PATTERN, (match, alt, url, imageTitle) => {
+      const src = safeUrl(url);
+      return src ? keep(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${title(imageTitle)} loading="lazy" decoding="async">`) : alt;
+    })
+    .replace(LINK_PATTERN, (match, label, url, linkTitle) => {
+      const href = safeUrl(url);
+      return href ? `${keep(`<a href="${escapeHtml(href)}"${title(linkTitle)}>`)}${label}${keep('</a>')}` : label;
+    });
+
+  return escapeHtml(marked)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/g, (match, stars, underscores) => `<strong>${stars || underscores}</strong>`)
+    // Underscores only at word edges, so snake_case stays as it is
+    .replace(/\*(?=\S)([\s\S]*?\S)\*|(^|\W)_(?=\S)([\s\S]*?\S)_(?=\W|$)/g, (match, stars, before, underscores) => (
+      stars ? `<em>${stars}</em>` : `${before}<em>${underscores}</em>`
+    ))
+    .replace(/(?: {2,}|\\)\n/g, '<br>\n')
+    .replace(new RegExp(`${TOKEN}(\\d+)${TOKEN}`, 'g'), (match, index) => tokens[index]);
+}
+
+// ==========================================================================
+// Blocks
+// ==========================================================================
+
+function isBlockStart(line) {
+  return HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) || FENCE_PATTERN.test(line) ||
+    QUOTE_PATTERN.test(line) || UNORDERED_PATTERN.test(line) || ORDERED_PATTERN.test(line);
+}
+
+/**
+ * A list starting at `lines[start]`; items continue on indented lines
+ */
+function readList(lines, start, pattern) {
+  const items = [];
+  let index = start;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (pattern.test(line)) {
+      items.push(line.replace(pattern, ''));
+    } else if (line.trim() && CONTINUATION_PATTERN.test(line) && items.length > 0) {
+      items[items.length - 1] += `\n${line.trim()}`;
+    } else if (!line.trim() && index + 1 < lines.length && pattern.test(lines[index + 1])) {
+      // A blank line between items keeps the list going
+    } else {
+      break;
+    }
+
+    index++;
+  }
+
+  return { items, end: index };
+}
+
+/**
+ * Markdown `source` as HTML. Headings move down `headingOffset` levels, for
+ * text written with `#` headings under a page that already has its `<h1>`.
+ */
+function renderMarkdown(source, { headingOffset = 0 } = {}) {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index++;
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = Math.min(6, heading[1].length + headingOffset);
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      index++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push('<hr>');
+      index++;
+      continue;
+    }
+
+    if (FENCE_PATTERN.test(line)) {
+      const code = [];
+      index++;
+
+      while (index < lines.length && !FENCE_PATTERN.test(lines[index])) {
+        code.push(lines[index]);
+        index++;
+      }
+
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      index++;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+
+      while (index < lines.length && lines[index].trim() && (QUOTE_PATTERN.test(lines[index]) || !isBlockStart(lines[index]))) {
+        quoted.push(lines[index].replace(QUOTE_PATTERN, ''));
+        index++;
+      }
+
+      blocks.push(`<blockquote>\n${renderMarkdown(quoted.join('\n'), { headingOffset })}\n</blockquote>`);
+      continue;
+    }
+
+    const listPattern = UNORDERED_PATTERN.test(line) ? UNORDERED_PATTERN : ORDERED_PATTERN.test(line) ? ORDERED_PATTERN : null;
+    if (listPattern) {
+      const { items, end } = readList(lines, index, listPattern);
+      const tag = listPattern === UNORDERED_PATTERN ? 'ul' : 'ol';
+
+      blocks.push(`<${tag}>\n${items.map(item => `<li>${renderInline(item)}</li>`).join('\n')}\n</${tag}>`);
+      index = end;
+      continue;
+    }
+
+    const paragraph = [];
+    while (index < lines.length && lines[index].trim() && (paragraph.length === 0 || !isBlockStart(lines[index]))) {
+      paragraph.push(lines[index].replace(/^\s+/, ''));
+      index++;
+    }
+
+    blocks.push(`<p>${renderInline(paragraph.join('\n').trimEnd())}</p>`);
+  }
+
+  return blocks.join('\n');
+}
+
+module.exports = { renderInline, renderMarkdown };
@@ -0,0 +1,89 @@
+/**
+ * Mock Inquiry Server
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * Local stand-in for the inquiry endpoint. Point the form at it with
+ * data-adapter="endpoint" data-endpoint="http://localhost:8787/inquiries"
+ *
+ * Also collects error reports; set the error-endpoint meta in index.html to
+ * http://localhost:8787/errors
+ *
+ * Usage: node scripts/mock-inquiry-server.js [port]
+ * Set MOCK_STATUS=500 to simulate a failing backend.
+ */
+
+'use strict';
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+const STATUS = Number(process.env.MOCK_STATUS) || 201;
+const REQUIRED_FIELDS = ['name', 'email', 'eventType', 'date', 'location', 'message'];
+
+let nextId = 1;
+let nextReportId = 1;
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body ? JSON.stringify(body) : undefined);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  if (req.method !== 'POST' || (req.url !== '/inquiries' && req.url !== '/errors')) {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => {
+    raw += chunk;
+  });
+
+  if (req.url === '/errors') {
+    req.on('end', () => {
+      console.log(`Error report #${nextReportId++}:`, raw);
+      send(res, 204);
+    });
+    return;
+  }
+
+  req.on('end', () => {
+    let inquiry;
+
+    try {
+      inquiry = JSON.parse(raw);
+    } catch (error) {
+      send(res, 400, { error: 'Body must be JSON' });
+      return;
+    }
+
+    const missing = REQUIRED_FIELDS.filter(field => !inquiry[field]);
+    if (missing.length > 0) {
+      send(res, 422, { error: `Missing fields: ${missing.join(', ')}` });
+      return;
+    }
+
+    if (STATUS >= 400) {
+      send(res, STATUS, { error: 'Simulated failure' });
+      return;
+    }
+
+    const id = nextId++;
+    console.log(`Inquiry #${id}:`, inquiry);
+    send(res, STATUS, { ok: true, id });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock inquiry server listening on http://localhost:${PORT}/inquiries`);
+});
@@ -0,0 +1,147 @@
+/**
+ * Content Preview
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * Serves the site from the repository root and re-renders content/site.json
+ * and content/seo.json into index.html and the catalogs on every save. The
+ * journal's pages are rendered from content/journal/ and served from memory.
+ * If a file has problems they're printed and the last good render stays in
+ * place; reload the page to see changes.
+ *
+ * Usage: npm run preview [-- port]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { CONTENT_FILE, ContentError, renderContent } = require('./content');
+const { SEO_FILE, renderSeo } = require('./seo');
+const { JOURNAL_DIR, renderJournal } = require('./journal');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.argv[2]) || 8080;
+const RENDER_DELAY = 100;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.webmanifest': 'application/manifest+json'
+};
+
+let renderTimeout = null;
+
+// Journal files by path, e.g. `journal/feed.xml`
+let journalFiles = new Map();
+
+function render() {
+  try {
+    const contentChanged = renderContent();
+    const { model, changed: seoChanged } = renderSeo();
+    const changed = new Set([...contentChanged, ...seoChanged]);
+    const journal = renderJournal(model);
+
+    journalFiles = new Map(journal.files.map(({ file, content }) => [file, content]));
+    console.log(changed.size > 0 ? `Rendered ${[...changed].join(', ')}` : 'Nothing to render');
+    console.log(`Rendered ${journal.posts.length} journal posts`);
+  } catch (error) {
+    console.error(error instanceof ContentError ? error.message : error);
+    console.error('Keeping the last good render');
+  }
+}
+
+function send(res, status, body, type = 'text/plain; charset=utf-8') {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+/**
+ * A rendered journal file for the request path, or undefined
+ */
+function findJournalFile(pathname) {
+  const file = pathname.slice(1);
+  return journalFiles.get(file) || journalFiles.get(path.posix.join(file, 'index.html'));
+}
+
+const server = http.createServer((req, res) => {
+  let pathname;
+
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    // A malformed escape like `%E0%A4%A`
+    send(res, 400, 'Bad request');
+    return;
+  }
+
+  const journalFile = req.method === 'GET' ? findJournalFile(pathname) : undefined;
+
+  if (journalFile !== undefined) {
+    send(res, 200, journalFile, CONTENT_TYPES[pathname.endsWith('.xml') ? '.xml' : '.html']);
+    return;
+  }
+
+  let file = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+
+  // Keep requests inside the repository
+  if (!file.startsWith(ROOT + path.sep) || req.method !== 'GET') {
+    send(res, 404, 'Not found');
+    return;
+  }
+
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    file = path.join(file, 'index.html');
+  }
+
+  fs.readFile(file, (error, body) => {
+    if (error) {
+      send(res, 404, 'Not found');
+      return;
+    }
+
+    send(res, 200, body, CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream');
+  });
+});
+
+render();
+
+// Watch the folder: editors that save by replacing the file would end a
+// watch on the file itself. They also save in several writes; render once
+// they settle.
+const WATCHED_FILES = [CONTENT_FILE, SEO_FILE];
+
+function scheduleRender() {
+  clearTimeout(renderTimeout);
+  renderTimeout = setTimeout(render, RENDER_DELAY);
+}
+
+fs.watch(path.dirname(path.join(ROOT, CONTENT_FILE)), (event, filename) => {
+  if (WATCHED_FILES.some(file => path.basename(file) === filename)) {
+    scheduleRender();
+  }
+});
+
+if (fs.existsSync(path.join(ROOT, JOURNAL_DIR))) {
+  fs.watch(path.join(ROOT, JOURNAL_DIR), (event, filename) => {
+    if (filename && filename.endsWith('.md')) {
+      scheduleRender();
+    }
+  });
+}
+
+server.listen(PORT, () => {
+  console.log(`Previewing on http://localhost:${PORT}, watching ${WATCHED_FILES.join(', ')} and ${JOURNAL_DIR}/`);
+});
@@ -0,0 +1,653 @@
+/**
+ * SEO Generator
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * Renders content/seo.json into the meta, Open Graph and Twitter tags and the
+ * schema.org graph (Person, LocalBusiness and an ImageGallery of the
+ * portfolio) in index.html, between `<!-- seo:<name> -->` markers, and into
+ * the `meta` and `jsonLd` keys of the translation catalogs. Contact details
+ * come from content/site.json, the photos from data/photos.json and the
+ * business's reviews and rating from data/testimonials.json.
+ *
+ * sitemap.xml and robots.txt are written by `npm run build` into dist/; the
+ * sitemap's lastmod is the date of the last commit that touched the page, and
+ * the journal's pages (scripts/journal.js) are listed after it. Every local
+ * file the page references must exist.
+ *
+ * Usage: npm run seo
+ */
+
+'use strict';
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const {
+  ROOT,
+  CONTENT_FILE,
+  HTML_FILE,
+  LANGS,
+  DEFAULT_LANG,
+  ContentError,
+  Validator,
+  loadContent,
+  escapeHtml,
+  renderRegions,
+  readSource,
+  writeSources
+} = require('./content');
+
+const SEO_FILE = 'content/seo.json';
+const PHOTOS_FILE = 'data/photos.json';
+const TESTIMONIALS_FILE = 'data/testimonials.json';
+const MANIFEST_FILE = 'public/favicon/site.webmanifest';
+
+// A commit touching any of these changes what crawlers see
+const PAGE_SOURCES = [HTML_FILE, 'content', 'data'];
+
+// Written by the build rather than kept in the repository (see scripts/journal.js)
+const GENERATED_PATHS = ['journal/'];
+
+// Same quality as IMAGE_CONFIG in js/images.js
+const IMAGE_QUALITY = 75;
+const IMAGE_WIDTH = 1600;
+const SHARE_IMAGE = { width: 1200, height: 630 };
+
+// Same scale as TESTIMONIALS_CONFIG.MAX_RATING in js/testimonials.js
+const RATING = { worst: 1, best: 5 };
+
+const URL_PATTERN = /^https:\/\/[^\s/]+$/;
+const HTTPS_PATTERN = /^https:\/\/\S+$/;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const ROBOTS_PATH_PATTERN = /^\/\S*$/;
+const DATE_PATTERN = /^\d{4}-(?:0[1-9]|1[0-2])-(?:0[1-9]|[12]\d|3[01])$/;
+
+const ASSET_PATTERN = /\s(?:href|src)="([^"]+)"/g;
+const EXTERNAL_PATTERN = /^(?:[a-z]+:|\/\/|#)/i;
+
+// ==========================================================================
+// Validation
+// ==========================================================================
+
+function validateNumber(validator, value, field, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    validator.fail(field, `expected a number from ${min} to ${max}, got ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * Throws a ContentError listing every problem; `photos` is the manifest the
+ * share image is picked from
+ */
+function validateSeo(seo, photos) {
+  const validator = new Validator();
+  const translatedText = (value, field) => validator.translated(value, field, (text, textField) => validator.text(text, textField));
+
+  if (!validator.object(seo, 'seo', ['url', 'meta', 'person', 'business', 'gallery', 'robots'])) {
+    throw new ContentError(validator.problems, SEO_FILE);
+  }
+
+  const { meta, person, business, gallery, robots } = seo;
+
+  validator.pattern(seo.url, 'url', URL_PATTERN, 'the site\'s https:// address without a trailing slash');
+
+  if (validator.object(meta, 'meta', ['title', 'description', 'keywords', 'ogTitle', 'ogDescription', 'twitterTitle', 'twitterDescription', 'image'])) {
+    ['title', 'description', 'ogTitle', 'ogDescription', 'twitterTitle', 'twitterDescription'].forEach(key => {
+      translatedText(meta[key], `meta.${key}`);
+    });
+    validator.textList(meta.keywords, 'meta.keywords');
+
+    if (!photos.some(photo => photo.id === meta.image)) {
+      validator.fail('meta.image', `expected the id of a photo in ${PHOTOS_FILE}, got ${JSON.stringify(meta.image)}`);
+    }
+  }
+
+  if (validator.object(person, 'person', ['name', 'jobTitle', 'description', 'knowsAbout', 'sameAs'])) {
+    validator.text(person.name, 'person.name');
+    translatedText(person.jobTitle, 'person.jobTitle');
+    translatedText(person.description, 'person.description');
+    validator.translated(person.knowsAbout, 'person.knowsAbout', (list, field) => validator.textList(list, field));
+
+    if (!Array.isArray(person.sameAs)) {
+      validator.fail('person.sameAs', `expected a list of profile URLs, got ${JSON.stringify(person.sameAs)}`);
+    } else {
+      person.sameAs.forEach((url, index) => validator.pattern(url, `person.sameAs[${index}]`, HTTPS_PATTERN, 'an https:// URL'));
+    }
+  }
+
+  if (validator.object(business, 'business', ['name', 'description', 'locality', 'country', 'geo', 'serviceRadius', 'openingHours', 'priceRange'])) {
+    validator.text(business.name, 'business.name');
+    translatedText(business.description, 'business.description');
+    validator.text(business.locality, 'business.locality');
+    validator.pattern(business.country, 'business.country', COUNTRY_PATTERN, 'a two-letter country code like "AR"');
+
+    if (validator.object(business.geo, 'business.geo', ['latitude', 'longitude'])) {
+      validateNumber(validator, business.geo.latitude, 'business.geo.latitude', -90, 90);
+      validateNumber(validator, business.geo.longitude, 'business.geo.longitude', -180, 180);
+    }
+
+    if (!Number.isInteger(business.serviceRadius) || business.serviceRadius <= 0) {
+      validator.fail('business.serviceRadius', `expected a whole number of meters, got ${JSON.stringify(business.serviceRadius)}`);
+    }
+
+    validator.text(business.openingHours, 'business.openingHours');
+    validator.text(business.priceRange, 'business.priceRange');
+  }
+
+  if (validator.object(gallery, 'gallery', ['name', 'description'])) {
+    translatedText(gallery.name, 'gallery.name');
+    translatedText(gallery.description, 'gallery.description');
+  }
+
+  if (validator.object(robots, 'robots', ['disallow'])) {
+    if (!Array.isArray(robots.disallow)) {
+      validator.fail('robots.disallow', `expected a list of paths, got ${JSON.stringify(robots.disallow)}`);
+    } else {
+      robots.disallow.forEach((rule, index) => validator.pattern(rule, `robots.disallow[${index}]`, ROBOTS_PATH_PATTERN, 'a path starting with /'));
+    }
+  }
+
+  if (validator.problems.length > 0) {
+    throw new ContentError(validator.problems, SEO_FILE);
+  }
+
+  return seo;
+}
+
+/**
+ * Throws a ContentError listing every problem; testimonials must use a
+ * portfolio category and, if they have one, a photo from `manifest`
+ */
+function validateTestimonials(data, manifest) {
+  const validator = new Validator();
+  const ids = new Set();
+
+  if (validator.object(data, 'data', ['testimonials']) && !Array.isArray(data.testimonials)) {
+    validator.fail('testimonials', `expected a list, got ${JSON.stringify(data.testimonials)}`);
+  }
+
+  if (validator.problems.length > 0) {
+    throw new ContentError(validator.problems, TESTIMONIALS_FILE);
+  }
+
+  data.testimonials.forEach((testimonial, index) => {
+    const field = `testimonials[${index}]`;
+
+    if (!validator.object(testimonial, field, ['id', 'name', 'category', 'date', 'quote', 'rating', 'photo'])) return;
+
+    if (validator.text(testimonial.id, `${field}.id`)) {
+      if (ids.has(testimonial.id)) {
+        validator.fail(`${field}.id`, `${JSON.stringify(testimonial.id)} is already used`);
+      }
+      ids.add(testimonial.id);
+    }
+
+    validator.text(testimonial.name, `${field}.name`);
+    validator.text(testimonial.quote, `${field}.quote`);
+
+    if (!manifest.categories.some(category => category.id === testimonial.category)) {
+      validator.fail(`${field}.category`, `expected the id of a category in ${PHOTOS_FILE}, got ${JSON.stringify(testimonial.category)}`);
+    }
+
+    validator.pattern(testimonial.date, `${field}.date`, DATE_PATTERN, 'a date like "2026-03-14"');
+
+    if (!Number.isInteger(testimonial.rating) || testimonial.rating < RATING.worst || testimonial.rating > RATING.best) {
+      validator.fail(`${field}.rating`, `expected a whole number from ${RATING.worst} to ${RATING.best}, got ${JSON.stringify(testimonial.rating)}`);
+    }
+
+    if ('photo' in testimonial && !manifest.photos.some(photo => photo.id === testimonial.photo)) {
+      validator.fail(`${field}.photo`, `expected the id of a photo in ${PHOTOS_FILE}, got ${JSON.stringify(testimonial.photo)}`);
+    }
+  });
+
+  if (validator.problems.length > 0) {
+    throw new ContentError(validator.problems, TESTIMONIALS_FILE);
+  }
+
+  return data;
+}
+
+/**
+ * Local files referenced by index.html and the web manifest that don't exist,
+ * plus remote photos that aren't served over https
+ */
+function findMissingAssets(html, manifest, photos) {
+  const problems = [];
+  const check = (file, reference, base = '') => {
+    if (EXTERNAL_PATTERN.test(reference)) return;
+
+    const asset = path.posix.join(base, reference.split(/[?#]/)[0]);
+    if (GENERATED_PATHS.some(generated => `${asset}/`.startsWith(generated))) return;
+
+    if (!fs.existsSync(path.join(ROOT, asset))) {
+      problems.push(`${file}: ${asset} doesn't exist`);
+    }
+  };
+
+  for (const [, reference] of html.matchAll(ASSET_PATTERN)) {
+    check(HTML_FILE, reference);
+  }
+
+  (manifest.icons || []).forEach(icon => check(MANIFEST_FILE, icon.src, path.posix.dirname(MANIFEST_FILE)));
+
+  photos.forEach(photo => {
+    if (/^[a-z]+:/i.test(photo.src) && !HTTPS_PATTERN.test(photo.src)) {
+      problems.push(`${PHOTOS_FILE}: ${photo.id} isn't served over https (${photo.src})`);
+    } else {
+      check(PHOTOS_FILE, photo.src);
+    }
+  });
+
+  return problems;
+}
+
+// ==========================================================================
+// Site Model
+// ==========================================================================
+
+/**
+ * Append sizing parameters to a photo URL, like buildImageUrl in js/images.js
+ */
+function buildImageUrl(src, params, siteUrl) {
+  const url = new URL(src, `${siteUrl}/`);
+
+  Object.keys(params).forEach(key => {
+    url.searchParams.set(key, params[key]);
+  });
+
+  return url.href;
+}
+
+/**
+ * Photo caption or alt in `lang`: the catalog's translation, else the manifest
+ */
+function getPhotoText(photo, field, catalog) {
+  const translation = catalog.photos && catalog.photos[photo.id];
+  return (translation && translation[field]) || photo[field];
+}
+
+/**
+ * Everything the renderers need, with the translated fields resolved for
+ * every language
+ */
+function buildSite({ seo, site, manifest, testimonials, catalogs, lastModified }) {
+  const photos = manifest.categories.reduce((list, category) => {
+    return list.concat(manifest.photos.filter(photo => photo.category === category.id));
+  }, []);
+  const sharePhoto = manifest.photos.find(photo => photo.id === seo.meta.image);
+
+  return {
+    seo,
+    contact: site.contact,
+    catalogs,
+    lastModified,
+    categories: manifest.categories,
+    testimonials: testimonials.testimonials,
+    home: `${seo.url}/`,
+    photos: photos.map(photo => ({
+      photo,
+      url: buildImageUrl(photo.src, { w: Math.min(IMAGE_WIDTH, photo.width || IMAGE_WIDTH), q: IMAGE_QUALITY }, seo.url)
+    })),
+    shareImage: {
+      photo: sharePhoto,
+      url: buildImageUrl(sharePhoto.src, { w: SHARE_IMAGE.width, h: SHARE_IMAGE.height, fit: 'crop', q: IMAGE_QUALITY }, seo.url)
+    }
+  };
+}
+
+/**
+ * A testimonial's quote in `lang`: the catalog's translation, else the data
+ * file (see getQuote in js/testimonials.js)
+ */
+function getQuote(testimonial, catalog) {
+  const quotes = catalog.testimonials && catalog.testimonials.quotes;
+  return (quotes && quotes[testimonial.id]) || testimonial.quote;
+}
+
+/**
+ * The business's AggregateRating and Reviews; none without testimonials
+ */
+function buildReviews(testimonials, catalog) {
+  if (testimonials.length === 0) return {};
+
+  const total = testimonials.reduce((sum, testimonial) => sum + testimonial.rating, 0);
+  const rating = value => ({
+    '@type': 'Rating',
+    ratingValue: value,
+    bestRating: RATING.best,
+    worstRating: RATING.worst
+  });
+
+  return {
+    aggregateRating: Object.assign(rating(Math.round(total / testimonials.length * 10) / 10), {
+      '@type': 'AggregateRating',
+      reviewCount: testimonials.length
+    }),
+    review: testimonials.map(testimonial => ({
+      '@type': 'Review',
+      author: { '@type': 'Person', name: testimonial.name },
+      datePublished: testimonial.date,
+      reviewBody: getQuote(testimonial, catalog),
+      reviewRating: rating(testimonial.rating)
+    }))
+  };
+}
+
+/**
+ * The schema.org graph in `lang`: Person, LocalBusiness with its reviews,
+ * then the gallery
+ */
+function buildGraph(model, lang) {
+  const { seo, contact, home } = model;
+  const { person, business, gallery } = seo;
+  const catalog = model.catalogs[lang];
+  const ids = {
+    person: `${home}#person`,
+    business: `${home}#business`,
+    gallery: `${home}#portfolio`
+  };
+  const address = {
+    '@type': 'PostalAddress',
+    addressLocality: business.locality,
+    addressCountry: business.country
+  };
+  const geo = {
+    '@type': 'GeoCoordinates',
+    latitude: business.geo.latitude,
+    longitude: business.geo.longitude
+  };
+
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'Person',
+        '@id': ids.person,
+        name: person.name,
+        jobTitle: person.jobTitle[lang],
+        description: person.description[lang],
+        url: home,
+        address,
+        worksFor: { '@id': ids.business },
+        sameAs: [`https://instagram.com/${contact.instagram}`].concat(person.sameAs),
+        knowsAbout: person.knowsAbout[lang]
+      },
+      Object.assign({
+        '@type': 'LocalBusiness',
+        '@id': ids.business,
+        name: business.name,
+        description: business.description[lang],
+        url: home,
+        image: model.shareImage.url,
+        telephone: `+${contact.whatsapp.number}`,
+        email: contact.email,
+        address,
+        geo,
+        openingHours: business.openingHours,
+        priceRange: business.priceRange,
+        areaServed: {
+          '@type': 'GeoCircle',
+          geoMidpoint: geo,
+          geoRadius: business.serviceRadius
+        },
+        founder: { '@id': ids.person }
+      }, buildReviews(model.testimonials, catalog)),
+      {
+        '@type': 'ImageGallery',
+        '@id': ids.gallery,
+        name: gallery.name[lang],
+        description: gallery.description[lang],
+        url: ids.gallery,
+        author: { '@id': ids.person },
+        image: model.photos.map(({ photo, url }) => ({
+          '@type': 'ImageObject',
+          contentUrl: url,
+          width: photo.width,
+          height: photo.height,
+          caption: getPhotoText(photo, 'caption', catalog),
+          creator: { '@id': ids.person }
+        }))
+      }
+    ]
+  };
+}
+
+/**
+ * The graph's translated fields as `jsonLd.site` paths (see applyJsonLd in
+ * js/i18n.js)
+ */
+function getGraphTranslations(graph) {
+  const [person, business, gallery] = graph['@graph'];
+  const translations = {
+    '@graph.0.jobTitle': person.jobTitle,
+    '@graph.0.description': person.description,
+    '@graph.0.knowsAbout': person.knowsAbout,
+    '@graph.1.description': business.description,
+    '@graph.2.name': gallery.name,
+    '@graph.2.description': gallery.description
+  };
+
+  (business.review || []).forEach((review, index) => {
+    translations[`@graph.1.review.${index}.reviewBody`] = review.reviewBody;
+  });
+
+  gallery.image.forEach((image, index) => {
+    translations[`@graph.2.image.${index}.caption`] = image.caption;
+  });
+
+  return translations;
+}
+
+// ==========================================================================
+// Rendering
+// ==========================================================================
+
+/**
+ * Markup for each `seo:<name>` region, in the default language; the other
+ * languages come from the catalogs at runtime
+ */
+const REGIONS = {
+  meta: model => {
+    const { meta } = model.seo;
+    const { shareImage } = model;
+    const imageAlt = escapeHtml(getPhotoText(shareImage.photo, 'alt', model.catalogs[DEFAULT_LANG]));
+    const text = key => escapeHtml(meta[key][DEFAULT_LANG]);
+
+    return [
+      `<title data-i18n="meta.title">${text('title')}</title>`,
+      `<meta name="description" data-i18n-attr="content: meta.description" content="${text('description')}">`,
+      `<meta name="keywords" content="${escapeHtml(meta.keywords.join(', '))}">`,
+      `<meta name="author" content="${escapeHtml(model.seo.person.name)}">`,
+      '<meta name="robots" content="index, follow">',
+      `<link rel="canonical" href="${model.home}">`,
+      '',
+      '<!-- Open Graph para redes sociales -->',
+      `<meta property="og:title" data-i18n-attr="content: meta.ogTitle" content="${text('ogTitle')}">`,
+      `<meta property="og:description" data-i18n-attr="content: meta.ogDescription" content="${text('ogDescription')}">`,
+      '<meta property="og:type" content="website">',
+      `<meta property="og:url" content="${model.home}">`,
+      `<meta property="og:site_name" content="${escapeHtml(model.seo.business.name)}">`,
+      `<meta property="og:image" content="${escapeHtml(shareImage.url)}">`,
+      `<meta property="og:image:width" content="${SHARE_IMAGE.width}">`,
+      `<meta property="og:image:height" content="${SHARE_IMAGE.height}">`,
+      `<meta property="og:image:alt" data-i18n-attr="content: meta.imageAlt" content="${imageAlt}">`,
+      `<meta property="og:locale" data-i18n-attr="content: meta.ogLocale" content="${escapeHtml(model.catalogs[DEFAULT_LANG].meta.ogLocale)}">`,
+      '',
+      '<!-- Twitter Cards -->',
+      '<meta name="twitter:card" content="summary_large_image">',
+      `<meta name="twitter:title" data-i18n-attr="content: meta.twitterTitle" content="${text('twitterTitle')}">`,
+      `<meta name="twitter:description" data-i18n-attr="content: meta.twitterDescription" content="${text('twitterDescription')}">`,
+      `<meta name="twitter:image" content="${escapeHtml(shareImage.url)}">`,
+      `<meta name="twitter:image:alt" data-i18n-attr="content: meta.imageAlt" content="${imageAlt}">`
+    ];
+  },
+
+  'structured-data': model => [
+    '<script type="application/ld+json" data-i18n-jsonld="site">',
+    // `</` would end the script element early
+    ...JSON.stringify(buildGraph(model, DEFAULT_LANG), null, 2).replace(/<\//g, '<\\/').split('\n'),
+    '</script>'
+  ]
+};
+
+function renderHtml(html, model) {
+  return renderRegions(html, 'seo', REGIONS, model);
+}
+
+/**
+ * Catalog for `lang` with the SEO copy; `meta.locale` and `meta.ogLocale`
+ * stay as they are
+ */
+function renderCatalog(catalog, model, lang) {
+  const { meta } = model.seo;
+
+  return Object.assign({}, catalog, {
+    meta: Object.assign({}, catalog.meta, {
+      title: meta.title[lang],
+      description: meta.description[lang],
+      ogTitle: meta.ogTitle[lang],
+      ogDescription: meta.ogDescription[lang],
+      twitterTitle: meta.twitterTitle[lang],
+      twitterDescription: meta.twitterDescription[lang],
+      imageAlt: getPhotoText(model.shareImage.photo, 'alt', catalog)
+    }),
+    jsonLd: {
+      site: getGraphTranslations(buildGraph(model, lang))
+    }
+  });
+}
+
+/**
+ * The page with its photos, then `pages` (`{ url, lastModified, images }`,
+ * e.g. the journal's from scripts/journal.js)
+ */
+function renderSitemap(model, pages = []) {
+  const entries = [{ url: model.home, lastModified: model.lastModified, images: model.photos.map(({ url }) => url) }].concat(pages);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+    '        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+    ...entries.flatMap(entry => [
+      '  <url>',
+      `    <loc>${escapeHtml(entry.url)}</loc>`,
+      `    <lastmod>${entry.lastModified}</lastmod>`,
+      ...(entry.images || []).flatMap(image => [
+        '    <image:image>',
+        `      <image:loc>${escapeHtml(image)}</image:loc>`,
+        '    </image:image>'
+      ]),
+      '  </url>'
+    ]),
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+function renderRobots(model) {
+  return [
+    'User-agent: *',
+    'Allow: /',
+    ...model.seo.robots.disallow.map(rule => `Disallow: ${rule}`),
+    '',
+    `Sitemap: ${model.seo.url}/sitemap.xml`,
+    ''
+  ].join('\n');
+}
+
+// ==========================================================================
+// Generator
+// ==========================================================================
+
+/**
+ * Date of the last commit that touched the page, or today outside a git
+ * checkout
+ */
+function getLastModified() {
+  try {
+    const date = execFileSync('git', ['log', '-1', '--format=%cs', '--', ...PAGE_SOURCES], {
+      cwd: ROOT,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+
+    if (date) return date;
+  } catch (error) {
+    // Not a git checkout (e.g. an exported archive)
+  }
+
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Load and check every source the SEO output depends on
+ */
+function loadSite({ seoFile = path.join(ROOT, SEO_FILE) } = {}) {
+  const manifest = JSON.parse(readSource(PHOTOS_FILE));
+  const seo = loadContent(seoFile, content => validateSeo(content, manifest.photos));
+  const site = loadContent(path.join(ROOT, CONTENT_FILE));
+  const testimonials = loadContent(path.join(ROOT, TESTIMONIALS_FILE), content => validateTestimonials(content, manifest));
+  const catalogs = {};
+
+  LANGS.forEach(lang => {
+    catalogs[lang] = JSON.parse(readSource(`data/i18n/${lang}.json`));
+  });
+
+  const missing = findMissingAssets(readSource(HTML_FILE), JSON.parse(readSource(MANIFEST_FILE)), manifest.photos);
+  if (missing.length > 0) {
+    throw new ContentError(missing, 'The site');
+  }
+
+  return buildSite({ seo, site, manifest, testimonials, catalogs, lastModified: getLastModified() });
+}
+
+/**
+ * Render the SEO config into index.html and the catalogs; returns the model
+ * for renderSitemap and renderRobots, and the files that changed
+ */
+function renderSeo(options) {
+  const model = loadSite(options);
+  const changed = writeSources({
+    html: html => renderHtml(html, model),
+    catalog: (catalog, lang) => renderCatalog(catalog, model, lang)
+  });
+
+  return { model, changed };
+}
+
+function run() {
+  const { changed } = renderSeo();
+
+  console.log(changed.length > 0
+    ? `Rendered ${SEO_FILE} into ${changed.join(', ')}`
+    : `${SEO_FILE} is already rendered`);
+}
+
+if (require.main === module) {
+  try {
+    run();
+  } catch (error) {
+    console.error(error instanceof ContentError ? error.message : error);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SEO_FILE,
+  PHOTOS_FILE,
+  DATE_PATTERN,
+  IMAGE_QUALITY,
+  validateSeo,
+  validateTestimonials,
+  findMissingAssets,
+  buildImageUrl,
+  getPhotoText,
+  buildSite,
+  buildGraph,
+  renderHtml,
+  renderCatalog,
+  renderSitemap,
+  renderRobots,
+  loadSite,
+  renderSeo
+};
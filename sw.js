@@ -0,0 +1,210 @@
+/**
+ * Service Worker - Standalone File
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * Precaches the app shell so the portfolio opens without signal, keeps a
+ * size-limited cache of gallery images and falls back to offline.html for
+ * pages it can't reach. scripts/build.js stamps the version and swaps the
+ * source files below for the fingerprinted bundles.
+ */
+
+'use strict';
+
+// ==========================================================================
+// Service Worker Configuration
+// ==========================================================================
+
+const PRECACHE_VERSION = 'dev';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'offline.html',
+  'css/variables.css',
+  'css/base.css',
+  'css/header.css',
+  'css/components.css',
+  'css/layout.css',
+  'css/responsive.css',
+  'js/error-reporter.js',
+  'js/i18n.js',
+  'js/theme.js',
+  'js/analytics.js',
+  'js/vitals.js',
+  'js/router.js',
+  'js/header.js',
+  'js/images.js',
+  'js/gallery.js',
+  'js/lightbox.js',
+  'js/album.js',
+  'js/dates.js',
+  'js/inquiry.js',
+  'js/availability.js',
+  'js/contact-links.js',
+  'js/services.js',
+  'js/testimonials.js',
+  'js/client-gallery.js',
+  'js/offline.js',
+  'js/animations.js',
+  'js/main.js',
+  'data/photos.json',
+  'data/i18n/es.json',
+  'data/i18n/en.json',
+  'public/favicon/site.webmanifest',
+  'public/favicon/favicon-32x32.png',
+  'public/favicon/android-chrome-192x192.png'
+];
+
+const SW_CONFIG = {
+  CACHE_PREFIX: 'oriana-',
+  SHELL_CACHE: `oriana-shell-${PRECACHE_VERSION}`,
+  DATA_CACHE: 'oriana-data',
+  IMAGE_CACHE: 'oriana-images',
+  MAX_IMAGE_ENTRIES: 150,
+  OFFLINE_URL: 'offline.html'
+};
+
+// Unbuilt sources change on every save, so they are served network-first
+const IS_DEV_BUILD = PRECACHE_VERSION === 'dev';
+
+const PRECACHED = new Set(PRECACHE_URLS.map(url => new URL(url, self.registration.scope).href));
+
+// ==========================================================================
+// Caching Strategies
+// ==========================================================================
+
+function isCacheable(response) {
+  // Opaque responses hide their status, so an error could be kept for good
+  return response.ok;
+}
+
+/**
+ * Cross-origin photos are requested with CORS so their status can be checked
+ * before caching; a host without CORS still gets the photo shown, uncached
+ */
+async function fetchImage(request) {
+  if (new URL(request.url).origin === self.location.origin) {
+    return fetch(request);
+  }
+
+  try {
+    return await fetch(new Request(request.url, { mode: 'cors', credentials: 'omit' }));
+  } catch (error) {
+    return fetch(request);
+  }
+}
+
+/**
+ * Drop the oldest entries once a cache grows past `maxEntries`
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  const excess = keys.slice(0, Math.max(0, keys.length - maxEntries));
+
+  await Promise.all(excess.map(key => cache.delete(key)));
+}
+
+async function cacheFirst(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: cacheName === SW_CONFIG.SHELL_CACHE });
+  if (cached) return cached;
+
+  const response = await (cacheName === SW_CONFIG.IMAGE_CACHE ? fetchImage(request) : fetch(request));
+
+  if (isCacheable(response)) {
+    await cache.put(request, response.clone());
+
+    if (maxEntries) {
+      await trimCache(cache, maxEntries);
+    }
+  }
+
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+
+    if (isCacheable(response)) {
+      await cache.put(request, response.clone());
+    }
+
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+function handleShellRequest(request) {
+  return IS_DEV_BUILD
+    ? networkFirst(request, SW_CONFIG.SHELL_CACHE)
+    : cacheFirst(request, SW_CONFIG.SHELL_CACHE);
+}
+
+/**
+ * The shell page comes from the precache; any other page the visitor can't
+ * reach gets the offline fallback
+ */
+async function handleNavigation(request) {
+  const url = new URL(request.url);
+
+  try {
+    return PRECACHED.has(url.origin + url.pathname)
+      ? await handleShellRequest(request)
+      : await fetch(request);
+  } catch (error) {
+    return caches.match(new URL(SW_CONFIG.OFFLINE_URL, self.registration.scope).href);
+  }
+}
+
+// ==========================================================================
+// Lifecycle
+// ==========================================================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SW_CONFIG.SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(`${SW_CONFIG.CACHE_PREFIX}shell-`) && name !== SW_CONFIG.SHELL_CACHE)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// A new deploy waits until the page accepts the update toast
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (request.destination === 'image') {
+    event.respondWith(cacheFirst(request, SW_CONFIG.IMAGE_CACHE, SW_CONFIG.MAX_IMAGE_ENTRIES));
+  } else if (url.origin !== self.location.origin) {
+    return;
+  } else if (PRECACHED.has(url.origin + url.pathname)) {
+    event.respondWith(handleShellRequest(request));
+  } else if (url.pathname.endsWith('.json')) {
+    // Availability and client galleries: fresh when online, last copy offline
+    event.respondWith(networkFirst(request, SW_CONFIG.DATA_CACHE));
+  }
+});
@@ -0,0 +1,111 @@
+/**
+ * Accessibility Audit
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * Loads index.html with all its scripts and checks it against axe-core and
+ * the site's own rules (tests/helpers/a11y.js), in each language and with
+ * the navigation overlay open, then does the same for the journal's pages.
+ */
+
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSite } = require('../scripts/seo');
+const { renderJournal } = require('../scripts/journal');
+const { loadPage } = require('./helpers/page');
+const { runAxe, runSiteRules, formatReport } = require('./helpers/a11y');
+
+async function audit(page, label) {
+  const violations = [...await runAxe(page), ...runSiteRules(page)];
+
+  if (violations.length > 0) {
+    assert.fail(formatReport(violations, label));
+  }
+}
+
+function pressKey(page, key) {
+  page.document.activeElement.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+describe('accessibility', () => {
+  describe('in Spanish', () => {
+    let page;
+
+    before(async () => {
+      page = await loadPage({ lang: 'es' });
+    });
+
+    after(() => page.close());
+
+    it('has no violations on load', async () => {
+      await audit(page, 'es');
+    });
+
+    it('keeps aria-expanded in sync with the menu', () => {
+      const toggle = page.document.querySelector('.menu-toggle');
+      const overlay = page.document.getElementById('navOverlay');
+
+      assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+      assert.equal(toggle.getAttribute('aria-controls'), overlay.id);
+
+      toggle.click();
+      assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+      assert.equal(overlay.getAttribute('aria-hidden'), 'false');
+
+      pressKey(page, 'Escape');
+      assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+      assert.equal(overlay.getAttribute('aria-hidden'), 'true');
+
+      toggle.click();
+      page.document.querySelector('.nav-item').click();
+      assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    });
+
+    it('has no violations with the menu open', async () => {
+      const toggle = page.document.querySelector('.menu-toggle');
+
+      toggle.click();
+      try {
+        await audit(page, 'es, menu open');
+      } finally {
+        pressKey(page, 'Escape');
+      }
+    });
+  });
+
+  describe('in English', () => {
+    let page;
+
+    before(async () => {
+      page = await loadPage({ lang: 'en' });
+    });
+
+    after(() => page.close());
+
+    it('has no violations on load', async () => {
+      await audit(page, 'en');
+    });
+  });
+
+  describe('journal pages', () => {
+    const journal = renderJournal(loadSite());
+    const files = ['journal/index.html', `${journal.posts[0].path}index.html`];
+
+    files.forEach(file => {
+      it(`has no violations on ${file}`, async () => {
+        const page = await loadPage({
+          html: journal.files.find(entry => entry.file === file).content,
+          pathname: `/${file.replace(/index\.html$/, '')}`,
+          readyEvent: 'i18n:change'
+        });
+
+        try {
+          await audit(page, file);
+        } finally {
+          page.close();
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Animation Engine Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom } = require('./helpers/dom');
+const { ANIMATION_CONFIG, AnimationEngine } = require('../js/animations');
+
+const MARKUP = `
+  <div class="stat" data-animate="fade-up">
+    <span class="stat__number" data-count-to="10" data-count-suffix="K+">10K+</span>
+  </div>
+`;
+
+describe('AnimationEngine', () => {
+  let env;
+  let engine;
+  let stat;
+  let number;
+
+  beforeEach(() => {
+    env = setupDom(MARKUP);
+    mock.method(performance, 'now', () => 0);
+
+    stat = env.document.querySelector('.stat');
+    number = env.document.querySelector('.stat__number');
+  });
+
+  afterEach(() => {
+    engine.destroy();
+    mock.restoreAll();
+    env.cleanup();
+  });
+
+  function reveal(element) {
+    env.window.IntersectionObserver.trigger(element);
+  }
+
+  describe('counters', () => {
+    it('counts up to "10K+" keeping the suffix on every frame', () => {
+      engine = new AnimationEngine();
+      reveal(stat);
+      reveal(number);
+
+      assert.equal(stat.classList.contains(ANIMATION_CONFIG.ANIMATED_CLASS), true);
+      assert.equal(number.textContent, '0K+');
+
+      const frames = [0, 250, 500, 750].map(time => {
+        env.frames.flush(time);
+        return number.textContent;
+      });
+
+      assert.deepEqual(frames, ['0K+', '5K+', '8K+', '9K+']);
+      assert.ok(frames.every(text => /^\d+K\+$/.test(text)));
+
+      env.frames.flush(ANIMATION_CONFIG.COUNT_DURATION);
+      assert.equal(number.textContent, '10K+');
+      assert.equal(env.frames.size, 0);
+    });
+
+    it('restores the original text when stopped early', () => {
+      engine = new AnimationEngine();
+      reveal(number);
+      env.frames.flush(100);
+
+      engine.destroy();
+      assert.equal(number.textContent, '10K+');
+    });
+
+    it('waits for the delay of its animated container', () => {
+      stat.dataset.animateDelay = '200';
+      engine = new AnimationEngine();
+      reveal(number);
+
+      env.frames.flush(200);
+      assert.equal(number.textContent, '0K+');
+
+      // Halfway through, counted from the end of the delay
+      env.frames.flush(700);
+      assert.equal(number.textContent, '8K+');
+    });
+
+    it("doesn't count with reduced motion", () => {
+      env.window.matchMedia = query => ({
+        matches: query === ANIMATION_CONFIG.REDUCED_MOTION_QUERY,
+        addEventListener() {},
+        removeEventListener() {}
+      });
+      engine = new AnimationEngine();
+      reveal(number);
+
+      assert.equal(number.textContent, '10K+');
+      assert.equal(env.frames.size, 0);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * App Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom } = require('./helpers/dom');
+const { loadPage } = require('./helpers/page');
+const { App, ErrorHandler, Portfolio } = require('../js/main');
+
+// Components defined by the other scripts, in the order App creates them
+const EXTERNAL_COMPONENTS = ['AnimationEngine', 'Gallery', 'AlbumView', 'InquiryForm', 'ContactLinks', 'AvailabilityCalendar', 'Services', 'Testimonials', 'ClientGallery', 'OfflineSupport'];
+
+describe('App', () => {
+  let env;
+  let created;
+  let reporter;
+
+  /**
+   * Stand-in component that records its creation and destruction
+   */
+  function fakeComponent(name, methods = {}) {
+    return class {
+      constructor(...args) {
+        this.name = name;
+        this.args = args;
+        this.destroy = mock.fn();
+        Object.assign(this, methods);
+        created.push(this);
+      }
+    };
+  }
+
+  beforeEach(() => {
+    env = setupDom('<main><section class="portfolio"></section></main>');
+    created = [];
+    reporter = null;
+
+    EXTERNAL_COMPONENTS.forEach(name => {
+      global[name] = fakeComponent(name);
+    });
+
+    Object.assign(global, {
+      AnimationEngine: fakeComponent('AnimationEngine', { watch() {}, unwatch() {} }),
+      Gallery: fakeComponent('Gallery', {
+        ready: Promise.resolve(),
+        getPortfolioPhotos: () => [],
+        getCategory: () => null
+      }),
+      ErrorReporter: class {
+        constructor() {
+          this.reportError = mock.fn();
+          reporter = this;
+        }
+      },
+      Lightbox: class {
+        destroy() {}
+      },
+      PORTFOLIO_FILTER_ALL: 'all',
+      translate: (key, params, fallback) => fallback,
+      trackEvent: mock.fn()
+    });
+
+    env.window.i18nInstance = { ready: Promise.resolve() };
+    env.window.routerInstance = { start: mock.fn() };
+
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    EXTERNAL_COMPONENTS.concat('ErrorReporter', 'Lightbox', 'PORTFOLIO_FILTER_ALL', 'translate', 'trackEvent').forEach(name => {
+      delete global[name];
+    });
+    env.cleanup();
+  });
+
+  describe('init', () => {
+    it('creates every component, then starts the router', async () => {
+      const app = new App();
+      await app.ready;
+
+      assert.deepEqual(created.map(component => component.name), EXTERNAL_COMPONENTS);
+      assert.ok(app.components[0] instanceof ErrorHandler);
+      assert.ok(app.components.some(component => component instanceof Portfolio));
+      assert.ok(app.components.every(component => component.destroy));
+      assert.equal(env.window.routerInstance.start.mock.callCount(), 1);
+      assert.equal(env.document.body.classList.contains('loaded'), true);
+    });
+
+    it('waits for the DOM while the document is loading', async () => {
+      Object.defineProperty(env.document, 'readyState', { value: 'loading', configurable: true });
+
+      const app = new App();
+      assert.equal(app.components.length, 0);
+
+      env.document.dispatchEvent(new env.window.Event('DOMContentLoaded'));
+      await app.ready;
+
+      assert.equal(env.window.routerInstance.start.mock.callCount(), 1);
+    });
+
+    it('keeps the error handler when a component fails to start', async () => {
+      global.Gallery = fakeComponent('Gallery', { ready: Promise.reject(new Error('Manifest unavailable')) });
+
+      const app = new App();
+      await app.ready;
+
+      assert.ok(app.components[0] instanceof ErrorHandler);
+      assert.deepEqual(created.map(component => component.name), ['AnimationEngine', 'Gallery']);
+      assert.equal(env.window.routerInstance.start.mock.callCount(), 0);
+      assert.equal(env.document.body.classList.contains('loaded'), false);
+      assert.match(console.error.mock.calls[0].arguments[1].message, /Manifest unavailable/);
+    });
+  });
+
+  describe('destroy', () => {
+    it('destroys every component', async () => {
+      const app = new App();
+      await app.ready;
+      app.destroy();
+
+      created.forEach(component => {
+        assert.equal(component.destroy.mock.callCount(), 1, `${component.name} wasn't destroyed`);
+      });
+    });
+
+    it('stops reporting errors', async () => {
+      const app = new App();
+      await app.ready;
+
+      const error = new Error('Before destroy');
+      env.window.dispatchEvent(new env.window.ErrorEvent('error', { error, message: error.message }));
+      assert.equal(reporter.reportError.mock.callCount(), 1);
+
+      app.destroy();
+      env.window.dispatchEvent(new env.window.ErrorEvent('error', { error, message: error.message }));
+      assert.equal(reporter.reportError.mock.callCount(), 1);
+    });
+  });
+});
+
+describe('index.html', () => {
+  it('boots without script errors', async () => {
+    const page = await loadPage();
+
+    try {
+      assert.deepEqual(page.errors.map(error => error.message), []);
+      assert.ok(page.window.app, 'window.app is exposed on localhost');
+      await page.window.app.ready;
+
+      assert.equal(page.document.body.classList.contains('loaded'), true);
+      assert.doesNotThrow(() => page.window.app.destroy());
+    } finally {
+      page.close();
+    }
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Client Gallery Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom } = require('./helpers/dom');
+const { CLIENT_GALLERY_CONFIG, hashAccessCode, ClientGallery } = require('../js/client-gallery');
+
+const MARKUP = `
+  <section class="client-gallery" id="clientGallery" hidden>
+    <h2 class="client-gallery__title" tabindex="-1">Galería privada</h2>
+    <p class="client-gallery__description"></p>
+    <form class="client-gallery__access">
+      <input type="text" name="code">
+      <p class="client-gallery__error"></p>
+    </form>
+    <div class="client-gallery__toolbar" hidden>
+      <p class="client-gallery__count"></p>
+      <button type="button" class="client-gallery__export" data-format="csv">CSV</button>
+    </div>
+    <div class="client-gallery__grid" hidden></div>
+  </section>
+`;
+
+function manifest(title, ids) {
+  return { client: 'Familia', title, photos: ids.map(id => ({ id, src: `${id}.jpg`, alt: id })) };
+}
+
+/**
+ * A fetch whose responses the test releases one by one, per URL
+ */
+function createFetch() {
+  const pending = new Map();
+
+  const fetch = mock.fn(url => new Promise(resolve => pending.set(url, resolve)));
+  fetch.respond = async (code, body) => {
+    const url = `${CLIENT_GALLERY_CONFIG.MANIFEST_DIR}${await hashAccessCode(code)}.json`;
+    pending.get(url)(body ? { ok: true, status: 200, json: async () => body } : { ok: false, status: 404 });
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  return fetch;
+}
+
+describe('ClientGallery', () => {
+  let env;
+  let gallery;
+
+  beforeEach(() => {
+    env = setupDom(MARKUP);
+    Object.assign(global, {
+      translate: (key, params, fallback) => fallback,
+      IMAGE_LAYOUTS: { album: '' },
+      createResponsiveImage: (photo, { className, alt }) => {
+        const picture = env.document.createElement('picture');
+        picture.innerHTML = `<img class="${className}" src="${photo.src}" alt="${alt}">`;
+        return picture;
+      },
+      fetch: createFetch()
+    });
+
+    gallery = new ClientGallery({ register() {}, navigate() {} }, { lazyLoadImages() {} });
+  });
+
+  afterEach(() => {
+    gallery.destroy();
+    ['translate', 'IMAGE_LAYOUTS', 'createResponsiveImage', 'fetch'].forEach(name => {
+      delete global[name];
+    });
+    env.cleanup();
+  });
+
+  function shownIds() {
+    return Array.from(env.document.querySelectorAll('.client-gallery__item')).map(item => item.dataset.photoId);
+  }
+
+  async function waitForFetch(count) {
+    while (global.fetch.mock.callCount() < count) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  it('opens the gallery named after the code\'s hash', async () => {
+    const opening = gallery.open('lucia-y-martin');
+    await waitForFetch(1);
+    await global.fetch.respond('lucia-y-martin', manifest('Lucía y Martín', ['boda-01', 'boda-02']));
+    await opening;
+
+    assert.deepEqual(shownIds(), ['boda-01', 'boda-02']);
+    assert.equal(env.document.querySelector('.client-gallery__title').textContent, 'Lucía y Martín');
+  });
+
+  it('drops a gallery that loads after the visitor entered another code', async () => {
+    const first = gallery.open('primer-codigo');
+    await waitForFetch(1);
+    const second = gallery.open('segundo-codigo');
+    await waitForFetch(2);
+
+    await global.fetch.respond('segundo-codigo', manifest('Segunda', ['segunda-01']));
+    await global.fetch.respond('primer-codigo', manifest('Primera', ['primera-01']));
+    await Promise.all([first, second]);
+
+    assert.deepEqual(shownIds(), ['segunda-01']);
+    assert.equal(env.document.querySelector('.client-gallery__title').textContent, 'Segunda');
+  });
+
+  it('drops a gallery that loads after the visitor left', async () => {
+    const opening = gallery.open('lucia-y-martin');
+    await waitForFetch(1);
+    gallery.close();
+
+    await global.fetch.respond('lucia-y-martin', manifest('Lucía y Martín', ['boda-01']));
+    await opening;
+
+    assert.deepEqual(shownIds(), []);
+    assert.equal(gallery.manifest, null);
+    assert.equal(env.document.getElementById('clientGallery').hidden, true);
+  });
+});
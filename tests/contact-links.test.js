@@ -0,0 +1,94 @@
+/**
+ * Contact Links Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom } = require('./helpers/dom');
+const { parseLocalDate } = require('../js/dates');
+const { ContactLinks } = require('../js/contact-links');
+
+const WHATSAPP = 'https://wa.me/5491123456789?text=Hola%20Oriana!';
+const EMAIL = 'mailto:hola@orianacuello.com';
+
+// No availability calendar on the page: the links work on their own
+const MARKUP = `
+  <div class="contact__buttons">
+    <a href="${WHATSAPP}" class="btn btn--whatsapp">WhatsApp</a>
+    <a href="${EMAIL}" class="btn btn--primary">Email</a>
+  </div>
+`;
+
+const ESTIMATE = {
+  text: 'Presupuesto estimado: Esencial ($ 400.000).',
+  subject: 'Presupuesto: paquete Esencial'
+};
+
+describe('ContactLinks', () => {
+  let env;
+  let links;
+
+  beforeEach(() => {
+    env = setupDom(MARKUP);
+    Object.assign(global, {
+      parseLocalDate,
+      translate: (key, params, fallback) => fallback
+    });
+
+    links = new ContactLinks();
+  });
+
+  afterEach(() => {
+    links.destroy();
+    ['parseLocalDate', 'translate'].forEach(name => {
+      delete global[name];
+    });
+    env.cleanup();
+  });
+
+  function dispatch(type, detail) {
+    env.document.dispatchEvent(new env.window.CustomEvent(type, { detail }));
+  }
+
+  function getLinks() {
+    const whatsapp = env.document.querySelector('.btn--whatsapp');
+    const email = env.document.querySelector('.btn--primary');
+
+    return {
+      text: new URL(whatsapp.href).searchParams.get('text'),
+      email: new URLSearchParams(email.href.split('?')[1])
+    };
+  }
+
+  it('carries the estimate without a calendar on the page', () => {
+    dispatch('services:estimate', { estimate: ESTIMATE });
+
+    const { text, email } = getLinks();
+    assert.equal(text, `Hola Oriana!\n\n${ESTIMATE.text}`);
+    assert.equal(email.get('subject'), ESTIMATE.subject);
+    assert.equal(email.get('body'), text);
+  });
+
+  it('asks for the chosen date, followed by the estimate', () => {
+    dispatch('services:estimate', { estimate: ESTIMATE });
+    dispatch('availability:select', { date: '2026-11-14' });
+
+    const { text, email } = getLinks();
+    assert.match(text, /^Hola Oriana! Me gustaría saber si tenés disponible el sábado, 14 de noviembre de 2026\.\n\nPresupuesto estimado/);
+    assert.match(email.get('subject'), /^Consulta de disponibilidad: sábado, 14 de noviembre de 2026$/);
+  });
+
+  it('restores the original links when the estimate is withdrawn and on destroy', () => {
+    dispatch('services:estimate', { estimate: ESTIMATE });
+    dispatch('services:estimate', { estimate: null });
+    assert.equal(getLinks().text, 'Hola Oriana!');
+
+    dispatch('services:estimate', { estimate: ESTIMATE });
+    links.destroy();
+    assert.equal(env.document.querySelector('.btn--whatsapp').getAttribute('href'), WHATSAPP);
+    assert.equal(env.document.querySelector('.btn--primary').getAttribute('href'), EMAIL);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Content Generator Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ContentError, validateContent, loadContent, renderHtml, renderCatalog } = require('../scripts/content');
+
+const ROOT = path.resolve(__dirname, '..');
+const SITE = JSON.parse(fs.readFileSync(path.join(ROOT, 'content/site.json'), 'utf8'));
+const HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+function getProblems(content) {
+  try {
+    validateContent(content);
+  } catch (error) {
+    assert.ok(error instanceof ContentError);
+    return error.problems;
+  }
+  return [];
+}
+
+describe('content', () => {
+  let content;
+
+  beforeEach(() => {
+    content = structuredClone(SITE);
+  });
+
+  describe('validateContent', () => {
+    it('accepts content/site.json', () => {
+      assert.deepEqual(getProblems(content), []);
+    });
+
+    it('lists every problem with the path of its field', () => {
+      content.hero.title.en.pop();
+      content.about.text.es = 'Una *historia sin cerrar';
+      content.stats[1].id = content.stats[0].id;
+      content.stats[2].value = '10K';
+      delete content.stats[3].label.en;
+      content.services.en = [];
+      content.contact.whatsapp.number = '+54 9 11 2345-6789';
+      content.contact.email = 'hola@';
+      content.contact.phone = '1234';
+
+      assert.deepEqual(getProblems(content), [
+        'hero.title: every language needs the same number of lines (es: 3, en: 2)',
+        'about.text.es: unclosed *highlight*',
+        'stats[1].id: "sessions" is used by another stat',
+        'stats[2].value: expected a whole number (put "K+" and the like in suffix), got "10K"',
+        'stats[3].label.en: missing translation',
+        'services.en: expected a list of texts, got an empty list',
+        'contact.phone: unknown field (expected whatsapp, email, instagram)',
+        'contact.whatsapp.number: expected the number with country code and digits only, like "5491123456789", got "+54 9 11 2345-6789"',
+        'contact.email: expected an email address, got "hola@"'
+      ]);
+    });
+
+    it('formats the problems as one message', () => {
+      content.contact.instagram = '@orianacuello';
+
+      assert.throws(() => validateContent(content), {
+        name: 'ContentError',
+        message: 'content/site.json has 1 problem:\n  - contact.instagram: expected an Instagram username without @, got "@orianacuello"'
+      });
+    });
+  });
+
+  describe('loadContent', () => {
+    it('reports invalid JSON with the file name', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-'));
+      const file = path.join(dir, 'site.json');
+      fs.writeFileSync(file, '{ "hero": ');
+
+      try {
+        assert.throws(() => loadContent(file), error => {
+          assert.ok(error instanceof ContentError);
+          assert.match(error.message, /site\.json has 1 problem:\n {2}- invalid JSON/);
+          return true;
+        });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('renderHtml', () => {
+    it('matches the committed index.html', () => {
+      assert.equal(renderHtml(HTML, content), HTML);
+    });
+
+    it('renders stats, services and contact details', () => {
+      content.stats = [{ id: 'albums', value: 120, suffix: '+', label: { es: 'Álbumes', en: 'Albums' } }];
+      content.services.es = ['BODAS', 'RETRATOS'];
+      content.contact.whatsapp.number = '5491198765432';
+      content.contact.email = 'estudio@orianacuello.com';
+
+      const html = renderHtml(HTML, content);
+
+      assert.match(html, /<span class="stat__number" data-count-to="120" data-count-suffix="\+">120\+<\/span>\n\s+<span class="stat__label" data-i18n="stats.albums">Álbumes<\/span>/);
+      assert.equal(html.match(/data-count-to=/g).length, 1);
+      assert.equal(html.match(/>BODAS • RETRATOS • <\/span>/g).length, 2);
+      assert.match(html, /href="https:\/\/wa\.me\/5491198765432\?text=Hola%20Oriana!/);
+      assert.match(html, /href="mailto:estudio@orianacuello\.com"/);
+      assert.match(html, /<form class="inquiry"[^>]* data-whatsapp="5491198765432" data-email="estudio@orianacuello\.com"/);
+      assert.equal(renderHtml(html, content), html);
+    });
+
+    it('escapes markup and renders highlights', () => {
+      content.hero.title.es[0] = 'Fotos <b>&</b> más';
+      content.about.text.es = 'Retratos *con alma* & sin poses';
+
+      const html = renderHtml(HTML, content);
+
+      assert.match(html, /data-i18n="hero.line1">Fotos &lt;b&gt;&amp;&lt;\/b&gt; más</);
+      assert.match(html, /Retratos <span class="highlight">con alma<\/span> &amp; sin poses/);
+    });
+
+    it('fails when a region is missing', () => {
+      const html = HTML.replace('<!-- content:stats -->', '').replace('<!-- /content:stats -->', '');
+
+      assert.throws(() => renderHtml(html, content), /missing the content region stats/);
+    });
+  });
+
+  describe('renderCatalog', () => {
+    it('replaces the content keys and keeps the rest', () => {
+      const catalog = {
+        nav: { home: 'Home' },
+        hero: { line1: 'Old', line4: 'Stale', polaroid1: 'Portrait' },
+        stats: { oldStat: 'Old' },
+        about: { title: 'Every photo tells a story', text: 'Old' },
+        marquee: { text: 'OLD • ' }
+      };
+
+      const rendered = renderCatalog(catalog, content, 'en');
+
+      assert.deepEqual(Object.keys(rendered), ['nav', 'hero', 'stats', 'about', 'marquee']);
+      assert.deepEqual(rendered.hero, {
+        line1: 'The art',
+        line2: 'of seeing',
+        line3: 'differently',
+        polaroid1: 'Portrait'
+      });
+      assert.deepEqual(Object.keys(rendered.stats), ['sessions', 'events', 'photos', 'years']);
+      assert.equal(rendered.about.title, 'Every photo tells a story');
+      assert.match(rendered.about.text, /<span class="highlight">/);
+      assert.match(rendered.marquee.text, /^WEDDINGS • .* • $/);
+    });
+  });
+});
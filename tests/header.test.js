@@ -0,0 +1,288 @@
+/**
+ * Header Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, pressKey } = require('./helpers/dom');
+const { HEADER_CONFIG, Header } = require('../js/header');
+const { Router } = require('../js/router');
+
+const MARKUP = `
+  <header class="header" id="header">
+    <nav class="nav">
+      <a href="#home" class="logo">Oriana Cuello</a>
+      <a href="#portfolio" class="nav__link">Trabajos</a>
+      <button type="button" class="lang-toggle">EN</button>
+      <button type="button" class="menu-toggle" aria-controls="navOverlay" aria-expanded="false">Menú</button>
+    </nav>
+  </header>
+  <div class="nav-overlay" id="navOverlay" role="dialog" aria-hidden="true">
+    <div class="nav-images">
+      <img class="nav-image active" data-category="portfolio" alt="Retrato">
+      <img class="nav-image" data-category="about" alt="Estudio">
+      <img class="nav-image" data-category="contact" alt="Lifestyle">
+    </div>
+    <nav class="nav-menu">
+      <a href="#portfolio" class="nav-item" data-category="portfolio">Trabajos</a>
+      <a href="#sobre-mi" class="nav-item" data-category="about">Sobre mí</a>
+      <a href="#contacto" class="nav-item" data-category="contact">Contacto</a>
+    </nav>
+  </div>
+  <p class="sr-only" id="navStatus" role="status" aria-live="polite"></p>
+  <main id="main">
+    <section id="home"><button type="button" class="cta">Ver</button></section>
+    <section id="portfolio"></section>
+    <section id="sobre-mi"></section>
+    <section id="contacto"></section>
+  </main>
+`;
+
+describe('Header', () => {
+  let env;
+  let header;
+
+  beforeEach(() => {
+    env = setupDom(MARKUP);
+    global.translate = (key, params, fallback) => fallback;
+    global.trackEvent = mock.fn();
+    mock.timers.enable({ apis: ['setTimeout'] });
+
+    header = new Header();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    delete global.translate;
+    delete global.trackEvent;
+    delete env.window.routerInstance;
+    env.cleanup();
+  });
+
+  function scrollTo(y) {
+    Object.defineProperty(env.window, 'scrollY', { value: y, configurable: true });
+    env.window.dispatchEvent(new env.window.Event('scroll'));
+  }
+
+  describe('scroll state', () => {
+    it('marks the header as scrolled past the threshold', () => {
+      const element = env.document.getElementById('header');
+
+      scrollTo(HEADER_CONFIG.SCROLL_THRESHOLD);
+      assert.equal(element.classList.contains('scrolled'), false);
+
+      mock.timers.tick(HEADER_CONFIG.DEBOUNCE_DELAY);
+      scrollTo(HEADER_CONFIG.SCROLL_THRESHOLD + 1);
+      assert.equal(element.classList.contains('scrolled'), true);
+
+      mock.timers.tick(HEADER_CONFIG.DEBOUNCE_DELAY);
+      scrollTo(0);
+      assert.equal(element.classList.contains('scrolled'), false);
+    });
+
+    it('handles at most one scroll event per throttle window', () => {
+      const element = env.document.getElementById('header');
+
+      scrollTo(200);
+      assert.equal(element.classList.contains('scrolled'), true);
+
+      // Dropped: still inside the window opened by the first event
+      mock.timers.tick(HEADER_CONFIG.DEBOUNCE_DELAY - 1);
+      scrollTo(0);
+      assert.equal(element.classList.contains('scrolled'), true);
+
+      mock.timers.tick(1);
+      scrollTo(0);
+      assert.equal(element.classList.contains('scrolled'), false);
+    });
+  });
+
+  describe('menu', () => {
+    function getToggle() {
+      return env.document.querySelector('.menu-toggle');
+    }
+
+    function getOverlay() {
+      return env.document.getElementById('navOverlay');
+    }
+
+    it('opens as a modal dialog from the toggle', () => {
+      const toggle = getToggle();
+      toggle.focus();
+      toggle.click();
+
+      assert.equal(header.isMenuOpen, true);
+      assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+      assert.equal(toggle.getAttribute('aria-label'), 'Cerrar menú');
+      assert.equal(getOverlay().classList.contains('active'), true);
+      assert.equal(getOverlay().getAttribute('aria-hidden'), 'false');
+      assert.equal(getOverlay().hasAttribute('inert'), false);
+      assert.equal(env.document.body.classList.contains('no-scroll'), true);
+
+      // Focus moves in, the rest of the page is out of reach
+      assert.equal(env.document.activeElement, env.document.querySelector('.nav-item'));
+      assert.equal(env.document.getElementById('main').hasAttribute('inert'), true);
+      assert.equal(env.document.querySelector('.lang-toggle').hasAttribute('inert'), true);
+      assert.equal(toggle.hasAttribute('inert'), false);
+    });
+
+    it('closes from the toggle and gives focus back to it', () => {
+      const toggle = getToggle();
+      toggle.click();
+      toggle.click();
+
+      assert.equal(header.isMenuOpen, false);
+      assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+      assert.equal(toggle.getAttribute('aria-label'), 'Abrir menú');
+      assert.equal(getOverlay().classList.contains('active'), false);
+      assert.equal(getOverlay().hasAttribute('inert'), true);
+      assert.equal(env.document.body.classList.contains('no-scroll'), false);
+      assert.equal(env.document.getElementById('main').hasAttribute('inert'), false);
+      assert.equal(env.document.activeElement, toggle);
+    });
+
+    it('closes on Escape', () => {
+      getToggle().click();
+      pressKey(env.document.activeElement, 'Escape');
+
+      assert.equal(header.isMenuOpen, false);
+      assert.equal(getToggle().getAttribute('aria-expanded'), 'false');
+      assert.equal(env.document.activeElement, getToggle());
+    });
+
+    it('ignores Escape while closed', () => {
+      const cta = env.document.querySelector('.cta');
+      cta.focus();
+      pressKey(cta, 'Escape');
+
+      assert.equal(header.isMenuOpen, false);
+      assert.equal(env.document.activeElement, cta);
+    });
+
+    it('leaves inert elements from elsewhere inert on close', () => {
+      const main = env.document.getElementById('main');
+      main.setAttribute('inert', '');
+
+      getToggle().click();
+      getToggle().click();
+
+      assert.equal(main.hasAttribute('inert'), true);
+    });
+
+    it('moves between nav items with the arrow keys', () => {
+      getToggle().click();
+      const items = Array.from(env.document.querySelectorAll('.nav-item'));
+
+      pressKey(env.document.activeElement, 'ArrowDown');
+      assert.equal(env.document.activeElement, items[1]);
+
+      pressKey(env.document.activeElement, 'End');
+      assert.equal(env.document.activeElement, items[2]);
+
+      pressKey(env.document.activeElement, 'ArrowDown');
+      assert.equal(env.document.activeElement, items[0]);
+
+      pressKey(env.document.activeElement, 'ArrowUp');
+      assert.equal(env.document.activeElement, items[2]);
+
+      // Only the current item is in the tab order
+      assert.deepEqual(items.map(item => item.tabIndex), [-1, -1, 0]);
+    });
+
+    it('keeps Tab between the toggle and the current item', () => {
+      const toggle = getToggle();
+      toggle.click();
+      const item = env.document.activeElement;
+
+      const forward = pressKey(item, 'Tab');
+      assert.equal(forward.defaultPrevented, true);
+      assert.equal(env.document.activeElement, toggle);
+
+      pressKey(toggle, 'Tab', { shiftKey: true });
+      assert.equal(env.document.activeElement, item);
+    });
+
+    it('shows the preview of the focused item', () => {
+      getToggle().click();
+      pressKey(env.document.activeElement, 'ArrowDown');
+      mock.timers.tick(100);
+
+      const active = env.document.querySelectorAll('.nav-image.active');
+      assert.equal(active.length, 1);
+      assert.equal(active[0].dataset.category, 'about');
+    });
+
+    it('announces opening and closing', () => {
+      const status = env.document.getElementById('navStatus');
+      const frames = env.frames;
+
+      getToggle().click();
+      frames.flush();
+      assert.equal(status.textContent, 'Menú abierto');
+
+      getToggle().click();
+      assert.equal(status.textContent, '');
+      frames.flush();
+      assert.equal(status.textContent, 'Menú cerrado');
+    });
+  });
+
+  describe('smooth scroll', () => {
+    let router;
+
+    beforeEach(() => {
+      router = new Router();
+      env.window.routerInstance = router;
+
+      Object.defineProperty(env.window, 'scrollY', { value: 100, configurable: true });
+      Object.defineProperty(env.document.getElementById('header'), 'offsetHeight', { value: 80, configurable: true });
+      env.document.getElementById('portfolio').getBoundingClientRect = () => ({ top: 500 });
+    });
+
+    afterEach(() => {
+      router.destroy();
+    });
+
+    it('pushes the hash and scrolls to the section below the header', () => {
+      const scrollTo = mock.method(env.window, 'scrollTo');
+      const pushState = mock.method(env.window.history, 'pushState');
+
+      const link = env.document.querySelector('.nav__link');
+      const click = new env.window.MouseEvent('click', { bubbles: true, cancelable: true });
+      link.dispatchEvent(click);
+
+      assert.equal(click.defaultPrevented, true);
+      assert.equal(pushState.mock.callCount(), 1);
+      assert.equal(pushState.mock.calls[0].arguments[2], '#portfolio');
+      assert.equal(env.window.location.hash, '#portfolio');
+      assert.deepEqual(scrollTo.mock.calls[0].arguments[0], { top: 500 + 100 - 80, behavior: 'smooth' });
+    });
+
+    it('clears the hash in place when going back to the top', () => {
+      env.window.history.pushState(null, null, '#portfolio');
+      const scrollTo = mock.method(env.window, 'scrollTo');
+      const pushState = mock.method(env.window.history, 'pushState');
+
+      router.navigate('#');
+
+      assert.equal(pushState.mock.callCount(), 0);
+      assert.equal(env.window.location.hash, '');
+      assert.equal(env.window.location.href.endsWith('#'), false);
+      assert.deepEqual(scrollTo.mock.calls[0].arguments[0], { top: 0, behavior: 'smooth' });
+    });
+
+    it('closes the menu and focuses the section from an overlay link', () => {
+      env.document.querySelector('.menu-toggle').click();
+      env.document.querySelector('.nav-item[data-category="portfolio"]').click();
+
+      const section = env.document.getElementById('portfolio');
+      assert.equal(header.isMenuOpen, false);
+      assert.equal(env.window.location.hash, '#portfolio');
+      assert.equal(env.document.activeElement, section);
+      assert.equal(section.getAttribute('tabindex'), '-1');
+    });
+  });
+});
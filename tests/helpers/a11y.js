@@ -0,0 +1,183 @@
+/**
+ * Accessibility Audit Helpers
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * Runs axe-core inside a loaded page plus the site's own rules, and formats
+ * what they find as one readable report.
+ */
+
+'use strict';
+
+const axe = require('axe-core');
+
+// jsdom has no layout or painting, so contrast can't be measured
+const AXE_OPTIONS = {
+  resultTypes: ['violations'],
+  rules: {
+    'color-contrast': { enabled: false }
+  }
+};
+
+// Alt texts that describe nothing: "image", "Foto 3", "Portfolio Image"...
+const GENERIC_ALT = /^(?:(?:portfolio|nav|gallery|galer[ií]a)\s+)?(?:image|img|imagen|photo|picture|foto|untitled|sin t[ií]tulo)(?:\s*\d+)?$/i;
+const FILENAME_ALT = /\.(?:jpe?g|png|webp|avif|gif|svg)$/i;
+
+// Elements whose content isn't exposed to assistive technology
+const HIDDEN_SELECTOR = '[hidden], [aria-hidden="true"]';
+
+// Sectioning elements that stop a <header> from being the page banner
+const SECTIONING_SELECTOR = 'article, aside, main, nav, section';
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+function isExposed(element) {
+  return !element.closest(HIDDEN_SELECTOR);
+}
+
+/**
+ * Short, single-line markup of an element's start tag, for reports
+ */
+function describe(element) {
+  const html = element.outerHTML;
+  const tag = html.slice(0, html.indexOf('>') + 1) || html;
+  return tag.length > 120 ? `${tag.slice(0, 117)}...` : tag;
+}
+
+// ==========================================================================
+// Site Rules
+// ==========================================================================
+
+/**
+ * Each rule returns a list of `{ element, message }` failures for `document`
+ */
+const SITE_RULES = [
+  {
+    id: 'image-alt-meaningful',
+    help: 'Images need an alt: a description, or "" when decorative and hidden from assistive technology',
+    check(document) {
+      return Array.from(document.querySelectorAll('img')).flatMap(img => {
+        if (!img.hasAttribute('alt')) {
+          return [{ element: img, message: 'Missing alt attribute' }];
+        }
+
+        const alt = img.getAttribute('alt').trim();
+
+        if (!alt) {
+          const isDecorative = !isExposed(img) || ['presentation', 'none'].includes(img.getAttribute('role'));
+          return isDecorative ? [] : [{ element: img, message: 'Empty alt on an image that assistive technology can reach' }];
+        }
+
+        if (GENERIC_ALT.test(alt) || FILENAME_ALT.test(alt)) {
+          return [{ element: img, message: `Generic alt "${alt}"` }];
+        }
+
+        return [];
+      });
+    }
+  },
+  {
+    id: 'single-banner',
+    help: 'The page has exactly one banner landmark',
+    check(document) {
+      const banners = Array.from(document.querySelectorAll('header, [role="banner"]')).filter(element => {
+        const role = element.getAttribute('role');
+        if (role) return role === 'banner';
+
+        return !element.parentElement.closest(SECTIONING_SELECTOR);
+      });
+
+      if (banners.length === 1) return [];
+      if (banners.length === 0) {
+        return [{ element: document.body, message: 'No banner landmark' }];
+      }
+
+      return banners.map(element => ({ element, message: `One of ${banners.length} banner landmarks` }));
+    }
+  },
+  {
+    id: 'heading-order',
+    help: 'One h1, and heading levels only go one step deeper at a time',
+    check(document) {
+      const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).filter(isExposed);
+      const failures = [];
+      const h1s = headings.filter(heading => heading.tagName === 'H1');
+
+      if (h1s.length !== 1) {
+        failures.push({ element: h1s[1] || document.body, message: `${h1s.length} h1 elements` });
+      }
+
+      headings.reduce((previousLevel, heading) => {
+        const level = Number(heading.tagName[1]);
+
+        if (level > previousLevel + 1) {
+          failures.push({ element: heading, message: `h${level} follows h${previousLevel}` });
+        }
+
+        return level;
+      }, 0);
+
+      return failures;
+    }
+  }
+];
+
+// ==========================================================================
+// Audits
+// ==========================================================================
+
+/**
+ * axe-core violations in the page, in the report's shape
+ */
+async function runAxe(page) {
+  if (!page.window.axe) {
+    page.window.eval(axe.source);
+  }
+
+  const results = await page.window.axe.run(page.document, AXE_OPTIONS);
+
+  return results.violations.map(violation => ({
+    id: violation.id,
+    help: `${violation.help} (${violation.helpUrl.replace(/\?.*$/, '')})`,
+    failures: violation.nodes.map(node => ({
+      target: node.target.join(' '),
+      message: node.failureSummary.replace(/\s*\n\s*/g, ' ')
+    }))
+  }));
+}
+
+function runSiteRules(page) {
+  return SITE_RULES.map(rule => ({
+    id: rule.id,
+    help: rule.help,
+    failures: rule.check(page.document).map(({ element, message }) => ({
+      target: describe(element),
+      message
+    }))
+  })).filter(result => result.failures.length > 0);
+}
+
+/**
+ * Every problem on one page, e.g.
+ *
+ *   2 accessibility violations (menu open):
+ *
+ *   [single-banner] The page has exactly one banner landmark
+ *     - <div class="marquee" role="banner">: One of 2 banner landmarks
+ */
+function formatReport(violations, label) {
+  const count = violations.reduce((total, violation) => total + violation.failures.length, 0);
+  const lines = [`${count} accessibility violation${count === 1 ? '' : 's'}${label ? ` (${label})` : ''}:`];
+
+  violations.forEach(violation => {
+    lines.push('', `[${violation.id}] ${violation.help}`);
+    violation.failures.forEach(failure => {
+      lines.push(`  - ${failure.target}: ${failure.message}`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = { SITE_RULES, runAxe, runSiteRules, formatReport };
@@ -0,0 +1,150 @@
+/**
+ * Unit Test DOM
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * A jsdom document exposed through Node's globals, so the site's scripts can
+ * be require()d and run as they do in the page. Animation frames only run
+ * when a test flushes them.
+ */
+
+'use strict';
+
+const { JSDOM } = require('jsdom');
+
+// Node has its own versions of these; the scripts need jsdom's
+const OVERRIDDEN_GLOBALS = ['Event', 'EventTarget', 'CustomEvent', 'navigator'];
+
+/**
+ * Render `html` into a fresh document and install it as the global
+ * `window`/`document`. Returns the window, a frame queue and `cleanup()`,
+ * which restores the previous globals.
+ */
+function setupDom(html = '', { url = 'http://localhost/' } = {}) {
+  const dom = new JSDOM(`<!DOCTYPE html><html lang="es"><head></head><body>${html}</body></html>`, {
+    url,
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  const frames = createFrameQueue();
+
+  window.matchMedia = query => ({
+    matches: false,
+    media: query,
+    addEventListener() {},
+    removeEventListener() {},
+    addListener() {},
+    removeListener() {}
+  });
+  window.IntersectionObserver = createIntersectionObserver();
+  window.scrollTo = () => {};
+  window.requestAnimationFrame = frames.request;
+  window.cancelAnimationFrame = frames.cancel;
+
+  const names = Object.getOwnPropertyNames(window)
+    .filter(name => !(name in global) || OVERRIDDEN_GLOBALS.includes(name));
+  const previous = new Map();
+
+  names.concat('window', 'document').forEach(name => {
+    previous.set(name, Object.getOwnPropertyDescriptor(global, name));
+    Object.defineProperty(global, name, {
+      value: name === 'window' ? window : window[name],
+      configurable: true,
+      writable: true
+    });
+  });
+
+  return {
+    window,
+    document: window.document,
+    frames,
+    cleanup() {
+      previous.forEach((descriptor, name) => {
+        if (descriptor) {
+          Object.defineProperty(global, name, descriptor);
+        } else {
+          delete global[name];
+        }
+      });
+      window.close();
+    }
+  };
+}
+
+/**
+ * requestAnimationFrame stand-in: `flush(time)` runs the pending callbacks
+ * with that timestamp
+ */
+function createFrameQueue() {
+  let nextId = 1;
+  const pending = new Map();
+
+  return {
+    request(callback) {
+      pending.set(nextId, callback);
+      return nextId++;
+    },
+    cancel(id) {
+      pending.delete(id);
+    },
+    flush(time = 0) {
+      const callbacks = Array.from(pending.values());
+      pending.clear();
+      callbacks.forEach(callback => callback(time));
+    },
+    get size() {
+      return pending.size;
+    }
+  };
+}
+
+/**
+ * IntersectionObserver stand-in; `trigger(element)` reports an intersection
+ * change to every observer watching the element
+ */
+function createIntersectionObserver() {
+  const observers = new Set();
+
+  return class IntersectionObserver {
+    constructor(callback, options) {
+      this.callback = callback;
+      this.options = options;
+      this.elements = new Set();
+      observers.add(this);
+    }
+
+    observe(element) { this.elements.add(element); }
+    unobserve(element) { this.elements.delete(element); }
+    disconnect() { this.elements.clear(); }
+
+    static trigger(element, isIntersecting = true) {
+      observers.forEach(observer => {
+        if (observer.elements.has(element)) {
+          observer.callback([{ target: element, isIntersecting, intersectionRatio: isIntersecting ? 1 : 0 }], observer);
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Dispatch a touch event at (x, y); jsdom has no Touch constructor
+ */
+function touch(element, type, { x = 0, y = 0 } = {}) {
+  const event = new element.ownerDocument.defaultView.Event(type, { bubbles: true, cancelable: true });
+  const points = type === 'touchend' || type === 'touchcancel' ? [] : [{ clientX: x, clientY: y }];
+
+  Object.defineProperty(event, 'touches', { value: points });
+  Object.defineProperty(event, 'changedTouches', { value: [{ clientX: x, clientY: y }] });
+  element.dispatchEvent(event);
+
+  return event;
+}
+
+function pressKey(element, key, options = {}) {
+  const event = new element.ownerDocument.defaultView.KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, options));
+  element.dispatchEvent(event);
+
+  return event;
+}
+
+module.exports = { setupDom, touch, pressKey };
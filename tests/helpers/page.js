@@ -0,0 +1,190 @@
+/**
+ * Test Page Loader
+ * Professional Photography Portfolio - Oriana Cuello
+ *
+ * Loads index.html with its stylesheets and scripts into jsdom, serving the
+ * site's own files from disk. Remote resources (fonts, photos) resolve empty,
+ * so tests run offline.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { webcrypto } = require('crypto');
+const { JSDOM, VirtualConsole, requestInterceptor } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '../..');
+const ORIGIN = 'http://localhost';
+
+// Rendering finishes after the manifest and catalog fetches
+const READY_TIMEOUT = 3000;
+
+// ==========================================================================
+// Local Files
+// ==========================================================================
+
+/**
+ * Site file for a same-origin URL, or null
+ */
+function resolveLocal(url) {
+  const { origin, pathname } = new URL(url, ORIGIN);
+  if (origin !== ORIGIN) return null;
+
+  const file = path.join(ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+  return file.startsWith(ROOT) && fs.existsSync(file) && fs.statSync(file).isFile() ? file : null;
+}
+
+const CONTENT_TYPES = {
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.json': 'application/json'
+};
+
+/**
+ * Stylesheets and scripts come from disk; nothing reaches the network
+ */
+const serveLocal = requestInterceptor(request => {
+  const file = resolveLocal(request.url);
+  if (!file) return new Response('', { status: 404 });
+
+  return new Response(fs.readFileSync(file), {
+    headers: { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' }
+  });
+});
+
+/**
+ * Minimal `fetch` for the scripts' JSON and manifest requests
+ */
+function createFetch() {
+  return async (input, init = {}) => {
+    // Beacons (analytics, error reports) are accepted and dropped
+    const isRead = !init.method || init.method === 'GET';
+    const file = isRead ? resolveLocal(String(input)) : null;
+    const body = file ? fs.readFileSync(file, 'utf8') : '';
+    const status = isRead ? (file ? 200 : 404) : 204;
+
+    return {
+      ok: status < 300,
+      status,
+      json: async () => JSON.parse(body),
+      text: async () => body
+    };
+  };
+}
+
+// ==========================================================================
+// Browser Stubs
+// ==========================================================================
+
+/**
+ * APIs jsdom doesn't implement. Observers record what they watch so tests
+ * can trigger intersections by hand.
+ */
+function installStubs(window, { reducedMotion = false } = {}) {
+  window.matchMedia = query => ({
+    matches: reducedMotion && query.includes('reduce'),
+    media: query,
+    addEventListener() {},
+    removeEventListener() {},
+    addListener() {},
+    removeListener() {}
+  });
+
+  window.IntersectionObserver = class {
+    constructor(callback, options) {
+      this.callback = callback;
+      this.options = options;
+      this.elements = new Set();
+      window.__intersectionObservers.push(this);
+    }
+
+    observe(element) { this.elements.add(element); }
+    unobserve(element) { this.elements.delete(element); }
+    disconnect() { this.elements.clear(); }
+
+    trigger(element, isIntersecting = true) {
+      this.callback([{ target: element, isIntersecting, intersectionRatio: isIntersecting ? 1 : 0 }], this);
+    }
+  };
+  window.__intersectionObservers = [];
+
+  window.scrollTo = () => {};
+  window.Element.prototype.scrollIntoView = function() {};
+  window.fetch = createFetch();
+  Object.defineProperty(window, 'crypto', { value: webcrypto });
+}
+
+// ==========================================================================
+// Page Loader
+// ==========================================================================
+
+/**
+ * Load the page and wait until the gallery has rendered.
+ *
+ * `hash` is the initial URL hash, `lang` the saved language (the page
+ * otherwise follows jsdom's English locale), `storage` extra localStorage
+ * entries. Another page (e.g. a journal page from scripts/journal.js) can be
+ * passed as `html`, served at `pathname` and ready on `readyEvent`. Resolves
+ * with `{ window, document, errors, close }`, where `errors` collects uncaught
+ * script errors; rejects if `readyEvent` doesn't fire within READY_TIMEOUT.
+ */
+async function loadPage({
+  hash = '',
+  lang = 'es',
+  storage = {},
+  reducedMotion = false,
+  html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'),
+  pathname = '/',
+  readyEvent = 'gallery:rendered'
+} = {}) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+
+  // Only script errors count; CSS jsdom can't parse and missing remote
+  // resources are expected
+  virtualConsole.on('jsdomError', error => {
+    if (error.type === 'unhandled-exception') {
+      errors.push(error.cause);
+    }
+  });
+
+  const dom = new JSDOM(html, {
+    url: `${ORIGIN}${pathname}${hash}`,
+    runScripts: 'dangerously',
+    resources: { interceptors: [serveLocal] },
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      installStubs(window, { reducedMotion });
+
+      Object.entries(Object.assign({ 'oriana:lang': lang }, storage)).forEach(([key, value]) => {
+        window.localStorage.setItem(key, value);
+      });
+    }
+  });
+
+  const { window } = dom;
+
+  // A page that never gets ready fails here rather than in its assertions
+  await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      window.close();
+      reject(new Error(`Page ${pathname} didn't fire ${readyEvent} within ${READY_TIMEOUT}ms${errors.length > 0 ? `: ${errors.join('; ')}` : ''}`));
+    }, READY_TIMEOUT);
+    window.document.addEventListener(readyEvent, () => {
+      clearTimeout(timeout);
+      // Let listeners of the same event (lazy loading, header) run first
+      setTimeout(resolve, 0);
+    }, { once: true });
+  });
+
+  return {
+    window,
+    document: window.document,
+    errors,
+    close: () => window.close()
+  };
+}
+
+module.exports = { ROOT, loadPage };
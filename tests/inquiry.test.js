@@ -0,0 +1,98 @@
+/**
+ * Inquiry Form Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom } = require('./helpers/dom');
+const { InquiryForm } = require('../js/inquiry');
+
+const DATA = {
+  name: 'Lucía',
+  email: 'lucia@example.com',
+  eventType: 'Bodas',
+  date: '2027-03-14',
+  location: 'Tigre',
+  message: 'Queremos fotos de todo el día, desde los preparativos.'
+};
+
+describe('InquiryForm', () => {
+  let env;
+  let inquiry;
+
+  /**
+   * A form with `attributes` (adapter and contact details) and no draft
+   */
+  function create(attributes) {
+    env = setupDom(`
+      <form class="inquiry" ${attributes}>
+        <button type="submit">Enviar</button>
+      </form>
+      <p class="inquiry__status"></p>
+    `);
+    global.translate = (key, params, fallback) => fallback;
+    env.window.open = mock.fn();
+    inquiry = new InquiryForm();
+  }
+
+  function status() {
+    const element = env.document.querySelector('.inquiry__status');
+    return { text: element.textContent, type: element.dataset.type };
+  }
+
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    inquiry.destroy();
+    delete global.translate;
+    env.cleanup();
+    console.error.mock.restore();
+  });
+
+  it('opens WhatsApp with the number from data-whatsapp', async () => {
+    create('data-adapter="whatsapp" data-whatsapp="5491123456789"');
+
+    await inquiry.submit(DATA);
+
+    assert.equal(env.window.open.mock.callCount(), 1);
+    assert.match(env.window.open.mock.calls[0].arguments[0], /^https:\/\/wa\.me\/5491123456789\?text=Hola%20Oriana/);
+    assert.equal(status().type, 'success');
+  });
+
+  it('fails without data-whatsapp instead of opening wa.me/undefined', async () => {
+    create('data-adapter="whatsapp"');
+
+    await inquiry.submit(DATA);
+
+    assert.equal(env.window.open.mock.callCount(), 0);
+    assert.deepEqual(status(), { text: 'No pudimos enviar la consulta. Probá de nuevo o escribime por WhatsApp.', type: 'error' });
+  });
+
+  it('fails without data-email instead of opening mailto:undefined', async () => {
+    create('data-adapter="mailto"');
+
+    await inquiry.submit(DATA);
+
+    assert.equal(status().type, 'error');
+    assert.match(console.error.mock.calls[0].arguments[1].message, /No inquiry email configured/);
+  });
+
+  it('reports the failure when a failed endpoint has no email to fall back to', async () => {
+    create('data-adapter="endpoint" data-endpoint="/api/inquiry"');
+    global.fetch = mock.fn(async () => ({ ok: false, status: 500 }));
+
+    try {
+      await inquiry.submit(DATA);
+    } finally {
+      delete global.fetch;
+    }
+
+    assert.deepEqual(status(), { text: 'No pudimos enviar la consulta. Probá de nuevo o escribime por WhatsApp.', type: 'error' });
+    assert.equal(inquiry.submitButton.disabled, false);
+  });
+});
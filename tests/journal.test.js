@@ -0,0 +1,297 @@
+/**
+ * Journal Generator Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ContentError } = require('../scripts/content');
+const { loadSite, renderSitemap } = require('../scripts/seo');
+const { POSTS_PER_PAGE, parseFrontMatter, validatePost, loadJournal, renderJournal } = require('../scripts/journal');
+const { loadPage } = require('./helpers/page');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/photos.json'), 'utf8'));
+
+function getProblems(run) {
+  try {
+    run();
+  } catch (error) {
+    assert.ok(error instanceof ContentError);
+    return error.problems;
+  }
+  return [];
+}
+
+function writePost(dir, slug, { date, category = 'casamientos', cover = 'casamientos-01', extra = '' }, body = 'Una historia.') {
+  fs.writeFileSync(path.join(dir, `${slug}.md`), [
+    '---',
+    `title: Entrada ${slug}`,
+    `date: ${date}`,
+    `category: ${category}`,
+    `cover: ${cover}`,
+    extra,
+    '---',
+    '',
+    body
+  ].join('\n'));
+}
+
+describe('journal', () => {
+  describe('parseFrontMatter', () => {
+    it('reads fields, lists and the body', () => {
+      const { data, body } = parseFrontMatter([
+        '---',
+        'title: "Retratos: luz natural"',
+        'date: 2026-05-02',
+        'gallery:',
+        '  - retratos-01',
+        '  - retratos-02',
+        'tags: [uno, \'dos\']',
+        '---',
+        '',
+        'Texto.'
+      ].join('\n'), 'post.md');
+
+      assert.deepEqual(data, {
+        title: 'Retratos: luz natural',
+        date: '2026-05-02',
+        gallery: ['retratos-01', 'retratos-02'],
+        tags: ['uno', 'dos']
+      });
+      assert.equal(body, '\nTexto.');
+    });
+
+    it('reports lines it can\'t read, by line number', () => {
+      assert.deepEqual(getProblems(() => parseFrontMatter('---\ntitle: Uno\ntitle: Dos\n- suelto\n---\nTexto', 'post.md')), [
+        'line 3: title is already set',
+        'line 4: expected "field: value" or an indented "- item", got "- suelto"'
+      ]);
+      assert.deepEqual(getProblems(() => parseFrontMatter('# Sin front matter', 'post.md')), [
+        'expected front matter between "---" lines at the top'
+      ]);
+    });
+  });
+
+  describe('validatePost', () => {
+    it('lists every problem with its field', () => {
+      const data = {
+        title: ' ',
+        date: '2026-13-01',
+        category: 'bodas',
+        cover: 'casamientos-99',
+        gallery: ['retratos-01', 'og-image'],
+        tags: ['uno']
+      };
+
+      assert.deepEqual(getProblems(() => validatePost(data, '\n', MANIFEST, 'post.md')), [
+        'tags: unknown field (expected title, date, category, cover, gallery, description)',
+        'title: expected text, got " "',
+        'date: expected a date like "2026-03-14", got "2026-13-01"',
+        'category: expected the id of a category in data/photos.json, got "bodas"',
+        'cover: expected the id of a photo in data/photos.json, got "casamientos-99"',
+        'gallery[1]: expected the id of a photo in data/photos.json, got "og-image"',
+        'body: expected the post\'s text after the front matter'
+      ]);
+    });
+  });
+
+  describe('loadJournal', () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('sorts posts newest first and describes them by their first paragraph', () => {
+      writePost(dir, 'vieja', { date: '2026-01-10' }, '## Intro\n\nLa **primera** entrada del diario.\n\nSigue.');
+      writePost(dir, 'nueva', { date: '2026-04-01', extra: 'description: Resumen propio' });
+
+      const posts = loadJournal(MANIFEST, { dir });
+
+      assert.deepEqual(posts.map(post => post.slug), ['nueva', 'vieja']);
+      assert.equal(posts[0].description, 'Resumen propio');
+      assert.equal(posts[1].description, 'La primera entrada del diario.');
+      assert.equal(posts[1].html, '<h2>Intro</h2>\n<p>La <strong>primera</strong> entrada del diario.</p>\n<p>Sigue.</p>');
+      assert.equal(posts[1].category.title, 'Casamientos');
+    });
+
+    it('names the file with the problem', () => {
+      const file = path.join(dir, 'Mi Boda.md');
+      fs.writeFileSync(file, '---\ntitle: x\n---\n');
+
+      try {
+        assert.throws(() => loadJournal(MANIFEST, { dir }), error => (
+          error instanceof ContentError && error.message.startsWith(`${path.relative(ROOT, file)} has 1 problem:`)
+        ));
+      } finally {
+        fs.rmSync(file);
+      }
+    });
+
+    it('has no posts without the folder', () => {
+      assert.deepEqual(loadJournal(MANIFEST, { dir: path.join(dir, 'falta') }), []);
+    });
+  });
+
+  describe('renderJournal', () => {
+    let dir;
+    let model;
+    let journal;
+
+    function getFile(file) {
+      const found = journal.files.find(entry => entry.file === file);
+      assert.ok(found, `${file} wasn't rendered`);
+      return found.content;
+    }
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+      model = loadSite();
+
+      // One more post than fits on a page, all but one of them weddings
+      for (let day = 1; day <= POSTS_PER_PAGE + 1; day++) {
+        writePost(dir, `boda-${day}`, { date: `2026-02-0${day}`, extra: 'gallery: [casamientos-01, lifestyle-01]' });
+      }
+      writePost(dir, 'retrato', { date: '2026-03-01', category: 'retratos', cover: 'retratos-01' }, '## Luz\n\n[Contacto](#contacto) & más.');
+
+      journal = renderJournal(model, { dir });
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('renders the index, category pages, posts and the feed', () => {
+      assert.deepEqual(journal.files.map(({ file }) => file), [
+        'journal/index.html',
+        'journal/pagina/2/index.html',
+        'journal/categoria/casamientos/index.html',
+        'journal/categoria/casamientos/pagina/2/index.html',
+        'journal/categoria/retratos/index.html',
+        'journal/retrato/index.html',
+        ...Array.from({ length: POSTS_PER_PAGE + 1 }, (value, index) => `journal/boda-${POSTS_PER_PAGE + 1 - index}/index.html`),
+        'journal/feed.xml'
+      ]);
+    });
+
+    it('wraps every page in the site\'s header, footer and styles', () => {
+      const page = getFile('journal/retrato/index.html');
+
+      assert.match(page, /<base href="\/">/);
+      assert.match(page, /<header class="header" id="header">/);
+      assert.match(page, /<footer class="footer" id="contacto">/);
+      assert.match(page, /<link rel="stylesheet" href="css\/components\.css">/);
+      assert.match(page, /<script src="js\/header\.js"><\/script>\n<\/body>/);
+      assert.doesNotMatch(page, /<script src="js\/gallery\.js"|seo:meta/);
+    });
+
+    it('pages through the posts with category tags', () => {
+      const first = getFile('journal/index.html');
+      const second = getFile('journal/pagina/2/index.html');
+
+      assert.equal(first.match(/class="journal__post"/g).length, POSTS_PER_PAGE);
+      assert.equal(second.match(/class="journal__post"/g).length, 2);
+      assert.match(first, /<a href="journal\/pagina\/2\/" class="journal__page-link journal__page-link--older" rel="next"/);
+      assert.match(second, /<a href="journal\/pagina\/2\/" class="journal__page" aria-current="page">2<\/a>/);
+      assert.match(first, /<a href="journal\/" class="journal__tag" aria-current="page" data-i18n="journal.all">Todas<\/a>/);
+      assert.match(first, /<a href="journal\/categoria\/retratos\/" class="journal__tag" lang="es">Retratos<\/a>/);
+      assert.doesNotMatch(first, /categoria\/producto/);
+      assert.match(first, /<link rel="canonical" href="https:\/\/oriana-cuello\.vercel\.app\/journal\/">/);
+    });
+
+    it('lists only the category\'s posts on its page', () => {
+      const page = getFile('journal/categoria/retratos/index.html');
+
+      assert.equal(page.match(/class="journal__post"/g).length, 1);
+      assert.match(page, /<title>Retratos \| Diario \| Oriana Cuello<\/title>/);
+      assert.match(page, /<a href="journal\/categoria\/retratos\/" class="journal__tag" aria-current="page" lang="es">/);
+    });
+
+    it('renders a post with its cover, body, gallery and neighbours', () => {
+      const page = getFile('journal/boda-7/index.html');
+
+      assert.match(page, /<h1 class="post__title">Entrada boda-7<\/h1>/);
+      assert.match(page, /<time datetime="2026-02-07">7 de febrero de 2026<\/time>/);
+      assert.match(page, /<img class="post__cover-image" [^>]*fetchpriority="high"/);
+      assert.equal(page.match(/<figure class="post__photo">/g).length, 2);
+      assert.match(page, /<a href="journal\/retrato\/" class="post__nav-link post__nav-link--prev" rel="prev">/);
+      assert.match(page, /<a href="journal\/boda-6\/" class="post__nav-link post__nav-link--next" rel="next">/);
+
+      const [, json] = page.match(/<script type="application\/ld\+json">\n([\s\S]*?)<\/script>/);
+      const post = JSON.parse(json);
+      assert.equal(post['@type'], 'BlogPosting');
+      assert.equal(post.datePublished, '2026-02-07');
+      assert.equal(post.image.length, 2);
+      assert.deepEqual(post.publisher, { '@id': 'https://oriana-cuello.vercel.app/#business' });
+    });
+
+    it('publishes the posts in an Atom feed', () => {
+      const feed = getFile('journal/feed.xml');
+
+      assert.match(feed, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom"/);
+      assert.match(feed, /<updated>2026-03-01T00:00:00Z<\/updated>/);
+      assert.equal(feed.match(/<entry>/g).length, POSTS_PER_PAGE + 2);
+      assert.match(feed, /<content type="html">[^<]*&lt;h2&gt;Luz&lt;\/h2&gt;\n&lt;p&gt;&lt;a href=&quot;#contacto&quot;&gt;Contacto&lt;\/a&gt; &amp;amp; más\.&lt;\/p&gt;<\/content>/);
+    });
+
+    it('adds the index, categories and posts to the sitemap', () => {
+      const sitemap = renderSitemap(model, journal.sitemap);
+      const locations = sitemap.match(/<loc>[^<]*<\/loc>/g);
+
+      assert.equal(locations.length, 1 + 1 + 2 + POSTS_PER_PAGE + 2);
+      assert.ok(locations.includes('<loc>https://oriana-cuello.vercel.app/journal/categoria/retratos/</loc>'));
+      assert.match(sitemap, /<loc>https:\/\/oriana-cuello\.vercel\.app\/journal\/<\/loc>\n {4}<lastmod>2026-03-01<\/lastmod>/);
+      assert.doesNotMatch(sitemap, /pagina/);
+    });
+
+    it('renders the posts in content/journal', () => {
+      const { posts, files } = renderJournal(model);
+
+      assert.ok(posts.length > 0);
+      assert.ok(files.every(({ content }) => !content.includes('undefined')));
+    });
+  });
+
+  describe('a post in the browser', () => {
+    let page;
+
+    before(async () => {
+      const { posts, files } = renderJournal(loadSite());
+      const post = posts[0];
+
+      page = await loadPage({
+        html: files.find(({ file }) => file === `${post.path}index.html`).content,
+        pathname: `/${post.path}`,
+        readyEvent: 'i18n:change',
+        lang: 'en'
+      });
+    });
+
+    after(() => page.close());
+
+    it('translates the page\'s UI and keeps the post in Spanish', () => {
+      const { document } = page;
+
+      assert.deepEqual(page.errors, []);
+      assert.equal(document.documentElement.lang, 'en');
+      assert.equal(document.querySelector('.post__back').textContent, '← Back to the journal');
+      assert.equal(document.querySelector('.post').lang, 'es');
+      assert.equal(document.querySelector('.footer__link[href="journal/"]').textContent, 'Journal');
+    });
+
+    it('opens the menu from the shared header', () => {
+      const toggle = page.document.querySelector('.menu-toggle');
+
+      toggle.click();
+      assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+      toggle.click();
+      assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Lightbox Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom } = require('./helpers/dom');
+const { Lightbox } = require('../js/lightbox');
+
+const MARKUP = `
+  <div class="lightbox" id="lightbox" aria-hidden="true">
+    <button class="lightbox__close">Cerrar</button>
+    <figure class="lightbox__figure"><img class="lightbox__image" alt=""></figure>
+  </div>
+`;
+
+const ITEMS = [
+  { id: 'casamientos-01', category: 'casamientos', src: 'a.jpg', alt: 'Boda' },
+  { id: 'casamientos-02', category: 'casamientos', src: 'b.jpg', alt: 'Brindis' },
+  { id: 'retratos-01', category: 'retratos', src: 'c.jpg', alt: 'Retrato' }
+];
+
+describe('Lightbox', () => {
+  let env;
+  let lightbox;
+
+  beforeEach(() => {
+    env = setupDom(MARKUP);
+    lightbox = new Lightbox(ITEMS);
+  });
+
+  afterEach(() => {
+    lightbox.destroy();
+    env.cleanup();
+  });
+
+  function setHash(hash) {
+    env.window.history.replaceState(null, null, hash);
+    env.window.dispatchEvent(new env.window.HashChangeEvent('hashchange'));
+  }
+
+  it('opens the photo a hash points to', () => {
+    setHash('#portfolio/casamientos/2');
+
+    assert.equal(lightbox.isOpen, true);
+    assert.equal(lightbox.currentIndex, 1);
+  });
+
+  it('steps back over the entry it pushed when closed', () => {
+    env.window.history.replaceState(null, null, '#portfolio');
+    const back = mock.method(env.window.history, 'back', () => {});
+    const length = env.window.history.length;
+
+    lightbox.open(0);
+    lightbox.next();
+    assert.equal(env.window.history.length, length + 1);
+    assert.equal(env.window.location.hash, '#portfolio/casamientos/2');
+
+    lightbox.close();
+    assert.equal(back.mock.callCount(), 1);
+    assert.equal(lightbox.isOpen, false);
+  });
+
+  it('swaps a deep-linked photo\'s hash for the portfolio when closed', () => {
+    const back = mock.method(env.window.history, 'back', () => {});
+    setHash('#portfolio/retratos/1');
+
+    lightbox.close();
+
+    assert.equal(back.mock.callCount(), 0);
+    assert.equal(env.window.location.hash, '#portfolio');
+  });
+
+  it('treats a hash with a malformed escape as no photo', () => {
+    assert.equal(lightbox.parseHash('#portfolio/%E0/1'), -1);
+
+    setHash('#portfolio/casamientos/1');
+    assert.doesNotThrow(() => setHash('#portfolio/%E0/1'));
+    assert.equal(lightbox.isOpen, false);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Markdown Renderer Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderInline, renderMarkdown } = require('../scripts/markdown');
+
+describe('markdown', () => {
+  describe('renderInline', () => {
+    it('renders emphasis, code, links and images', () => {
+      assert.equal(
+        renderInline('**Luz** y *sombra*, `f/2.8`, [galería](#cliente) y ![retrato](images/retrato.jpg "Retrato")'),
+        '<strong>Luz</strong> y <em>sombra</em>, <code>f/2.8</code>, <a href="#cliente">galería</a> y ' +
+        '<img src="images/retrato.jpg" alt="retrato" title="Retrato" loading="lazy" decoding="async">'
+      );
+    });
+
+    it('leaves URLs, code and snake_case alone', () => {
+      assert.equal(
+        renderInline('[link _a_](https://example.com/_a_/) `*no*` archivo_final_v2'),
+        '<a href="https://example.com/_a_/">link <em>a</em></a> <code>*no*</code> archivo_final_v2'
+      );
+    });
+
+    it('escapes markup and drops unsafe links', () => {
+      assert.equal(
+        renderInline('<script>alert("x")</script> [clic](javascript:alert) & más'),
+        '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; clic &amp; más'
+      );
+    });
+
+    it('breaks lines ending in two spaces or a backslash', () => {
+      assert.equal(renderInline('uno  \ndos\\\ntres\ncuatro'), 'uno<br>\ndos<br>\ntres\ncuatro');
+    });
+  });
+
+  describe('renderMarkdown', () => {
+    it('renders headings, paragraphs, lists, quotes and rules', () => {
+      const html = renderMarkdown([
+        '## La ceremonia',
+        '',
+        'Bajo los',
+        'eucaliptos.',
+        '',
+        '- Luz natural',
+        '  al atardecer',
+        '- Flash rebotado',
+        '',
+        '1. Primero',
+        '2. Después',
+        '',
+        '> Queríamos fotos',
+        '> como nosotros.',
+        '',
+        '---'
+      ].join('\n'));
+
+      assert.equal(html, [
+        '<h2>La ceremonia</h2>',
+        '<p>Bajo los\neucaliptos.</p>',
+        '<ul>',
+        '<li>Luz natural\nal atardecer</li>',
+        '<li>Flash rebotado</li>',
+        '</ul>',
+        '<ol>',
+        '<li>Primero</li>',
+        '<li>Después</li>',
+        '</ol>',
+        '<blockquote>',
+        '<p>Queríamos fotos\ncomo nosotros.</p>',
+        '</blockquote>',
+        '<hr>'
+      ].join('\n'));
+    });
+
+    it('keeps fenced code as it is, escaped', () => {
+      assert.equal(renderMarkdown('```\n<img src="x">\n  **no**\n```'), '<pre><code>&lt;img src=&quot;x&quot;&gt;\n  **no**</code></pre>');
+    });
+
+    it('moves headings down by the offset, up to h6', () => {
+      assert.equal(renderMarkdown('# Título\n\n###### Nota', { headingOffset: 1 }), '<h2>Título</h2>\n<h6>Nota</h6>');
+    });
+
+    it('ends a paragraph where another block starts', () => {
+      assert.equal(renderMarkdown('Texto\n## Sección\nMás'), '<p>Texto</p>\n<h2>Sección</h2>\n<p>Más</p>');
+    });
+  });
+});
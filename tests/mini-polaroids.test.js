@@ -0,0 +1,69 @@
+/**
+ * Mini Polaroids Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, pressKey } = require('./helpers/dom');
+const { MINI_POLAROIDS_CONFIG, MiniPolaroids } = require('../js/main');
+
+const MARKUP = `
+  <div class="mini-polaroids__board">
+    <div class="mini-polaroid" tabindex="0" data-x="0.2" data-y="0.3" data-rotation="-4"></div>
+    <div class="mini-polaroid" tabindex="0" data-x="0.6" data-y="0.5" data-rotation="3"></div>
+  </div>
+  <div class="mini-polaroids__controls">
+    <button type="button" data-action="reset">Ordenar</button>
+  </div>
+`;
+
+describe('MiniPolaroids', () => {
+  let env;
+  let collage;
+
+  beforeEach(() => {
+    env = setupDom(MARKUP);
+    mock.timers.enable({ apis: ['setTimeout'] });
+    collage = new MiniPolaroids();
+  });
+
+  afterEach(() => {
+    collage.destroy();
+    mock.timers.reset();
+    env.cleanup();
+  });
+
+  function getSaved() {
+    return env.window.localStorage.getItem(MINI_POLAROIDS_CONFIG.STORAGE_KEY);
+  }
+
+  it('saves a moved polaroid once the keys stop', () => {
+    pressKey(env.document.querySelector('.mini-polaroid'), 'ArrowRight');
+    assert.equal(getSaved(), null);
+
+    mock.timers.tick(MINI_POLAROIDS_CONFIG.SAVE_DELAY);
+    assert.notEqual(getSaved(), null);
+  });
+
+  it('doesn\'t save the old layout back after a reset', () => {
+    const polaroid = env.document.querySelector('.mini-polaroid');
+
+    pressKey(polaroid, 'ArrowRight');
+    env.document.querySelector('[data-action="reset"]').click();
+    mock.timers.tick(MINI_POLAROIDS_CONFIG.SAVE_DELAY * 2);
+
+    assert.equal(getSaved(), null);
+    assert.equal(polaroid.style.getPropertyValue('--x'), '0.2000');
+  });
+
+  it('drops a pending save on destroy', () => {
+    pressKey(env.document.querySelector('.mini-polaroid'), 'ArrowDown');
+    collage.destroy();
+    mock.timers.tick(MINI_POLAROIDS_CONFIG.SAVE_DELAY);
+
+    assert.equal(getSaved(), null);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Portfolio Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom, touch } = require('./helpers/dom');
+const { CONFIG, Portfolio } = require('../js/main');
+
+const PHOTOS = [
+  { id: 'casamientos-01', category: 'casamientos' },
+  { id: 'retratos-01', category: 'retratos' }
+];
+
+const MARKUP = PHOTOS.map(photo => `
+  <div class="portfolio__item" data-category="${photo.category}" data-photo-id="${photo.id}" data-cover="true">
+    <h3 class="portfolio__title">${photo.category}</h3>
+  </div>
+`).join('');
+
+// Stand-ins for the globals js/gallery.js, js/images.js and js/lightbox.js define
+class FakeLightbox {
+  constructor(items) {
+    this.items = items;
+    this.isOpen = false;
+    this.open = mock.fn();
+    this.destroy = mock.fn();
+  }
+
+  findIndexById(id) {
+    return this.items.findIndex(item => item.id === id);
+  }
+
+  setItems(items) {
+    this.items = items;
+  }
+}
+
+const fakeGallery = {
+  getPortfolioPhotos: () => PHOTOS,
+  getCategory: id => ({ id, title: id }),
+  getCategoryText: category => category.title,
+  getPhotoText: () => ''
+};
+
+describe('Portfolio', () => {
+  let env;
+  let portfolio;
+  let items;
+
+  beforeEach(() => {
+    env = setupDom(MARKUP);
+    Object.assign(global, {
+      PORTFOLIO_FILTER_ALL: 'all',
+      IMAGE_LAYOUTS: { full: {} },
+      Lightbox: FakeLightbox,
+      getResponsiveSources: () => ({}),
+      translate: (key, params, fallback) => fallback,
+      trackEvent: mock.fn()
+    });
+    mock.timers.enable({ apis: ['Date'] });
+
+    portfolio = new Portfolio(fakeGallery);
+    items = Array.from(env.document.querySelectorAll('.portfolio__item'));
+  });
+
+  afterEach(() => {
+    portfolio.destroy();
+    mock.timers.reset();
+    ['PORTFOLIO_FILTER_ALL', 'IMAGE_LAYOUTS', 'Lightbox', 'getResponsiveSources', 'translate', 'trackEvent'].forEach(name => {
+      delete global[name];
+    });
+    env.cleanup();
+  });
+
+  function tap(item, { duration = 50, from = { x: 100, y: 100 }, to = from } = {}) {
+    touch(item, 'touchstart', from);
+    mock.timers.tick(duration);
+    return touch(item, 'touchend', to);
+  }
+
+  describe('touch interactions', () => {
+    it('opens the photo on a quick tap', () => {
+      const end = tap(items[1]);
+
+      assert.equal(portfolio.lightbox.open.mock.callCount(), 1);
+      assert.deepEqual(portfolio.lightbox.open.mock.calls[0].arguments, [1]);
+      assert.equal(items[1].classList.contains('portfolio__item--touched'), true);
+      assert.deepEqual(global.trackEvent.mock.calls[0].arguments, ['portfolio_open', { category: 'retratos', photo: 'retratos-01' }]);
+
+      // The emulated click would open the viewer a second time
+      assert.equal(end.defaultPrevented, true);
+    });
+
+    it('ignores a long press', () => {
+      const end = tap(items[0], { duration: CONFIG.TAP_MAX_DURATION });
+
+      assert.equal(portfolio.lightbox.open.mock.callCount(), 0);
+      assert.equal(end.defaultPrevented, false);
+    });
+
+    it('ignores a quick swipe that scrolls the page', () => {
+      tap(items[0], { duration: 80, from: { x: 100, y: 300 }, to: { x: 102, y: 240 } });
+
+      assert.equal(portfolio.lightbox.open.mock.callCount(), 0);
+    });
+
+    it('tolerates a finger wobbling less than the tap distance', () => {
+      tap(items[0], { from: { x: 100, y: 100 }, to: { x: 103, y: 104 } });
+
+      assert.equal(portfolio.lightbox.open.mock.callCount(), 1);
+    });
+
+    it('ignores a touch the browser cancelled to scroll', () => {
+      touch(items[0], 'touchstart', { x: 100, y: 100 });
+      touch(items[0], 'touchcancel', { x: 100, y: 100 });
+      touch(items[0], 'touchend', { x: 100, y: 100 });
+
+      assert.equal(portfolio.lightbox.open.mock.callCount(), 0);
+    });
+
+    it('ignores a touchend without a touchstart on the item', () => {
+      touch(items[0], 'touchend', { x: 100, y: 100 });
+
+      assert.equal(portfolio.lightbox.open.mock.callCount(), 0);
+    });
+
+    it('marks only the last tapped item as touched', () => {
+      tap(items[0]);
+      tap(items[1]);
+
+      assert.deepEqual(items.map(item => item.classList.contains('portfolio__item--touched')), [false, true]);
+    });
+  });
+});
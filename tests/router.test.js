@@ -0,0 +1,53 @@
+/**
+ * Router Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom } = require('./helpers/dom');
+const { Router } = require('../js/router');
+
+describe('Router', () => {
+  let env;
+  let router;
+  let album;
+
+  beforeEach(() => {
+    env = setupDom('<main id="main"><section id="portfolio"></section></main>');
+    router = new Router();
+    album = { pattern: /^album\/([^/]+)$/, enter: mock.fn(), leave: mock.fn() };
+    router.register(album);
+  });
+
+  afterEach(() => {
+    router.destroy();
+    env.cleanup();
+  });
+
+  it('passes decoded capture groups to the matching view', () => {
+    router.navigate('#album/boda%20en%20el%20campo');
+
+    assert.equal(album.enter.mock.callCount(), 1);
+    assert.deepEqual(album.enter.mock.calls[0].arguments, ['boda en el campo']);
+  });
+
+  it('matches no view for a malformed percent-escape', () => {
+    const changes = [];
+    env.document.addEventListener('route:change', e => changes.push(e.detail));
+
+    assert.equal(router.matches('#album/%E0'), false);
+    assert.doesNotThrow(() => router.navigate('#album/%E0'));
+    assert.equal(album.enter.mock.callCount(), 0);
+    assert.deepEqual(changes.map(change => change.params), [[]]);
+
+    // Nor does coming back to it through history
+    router.start();
+    env.window.history.replaceState(null, null, '#album/%E0');
+    assert.doesNotThrow(() => env.window.dispatchEvent(new env.window.PopStateEvent('popstate', { state: null })));
+    assert.equal(album.enter.mock.callCount(), 0);
+    assert.equal(changes.length, 2);
+  });
+});
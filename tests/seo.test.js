@@ -0,0 +1,231 @@
+/**
+ * SEO Generator Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ContentError } = require('../scripts/content');
+const { validateSeo, validateTestimonials, findMissingAssets, buildGraph, renderHtml, renderSitemap, renderRobots, loadSite } = require('../scripts/seo');
+const { loadPage } = require('./helpers/page');
+
+const ROOT = path.resolve(__dirname, '..');
+const SEO = JSON.parse(fs.readFileSync(path.join(ROOT, 'content/seo.json'), 'utf8'));
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/photos.json'), 'utf8'));
+const TESTIMONIALS = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/testimonials.json'), 'utf8'));
+const HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+function getProblems(seo, validate = content => validateSeo(content, MANIFEST.photos)) {
+  try {
+    validate(seo);
+  } catch (error) {
+    assert.ok(error instanceof ContentError);
+    return error.problems;
+  }
+  return [];
+}
+
+function getStructuredData(document) {
+  return Array.from(document.querySelectorAll('script[type="application/ld+json"]')).map(script => JSON.parse(script.textContent));
+}
+
+describe('seo', () => {
+  describe('validateSeo', () => {
+    it('accepts content/seo.json', () => {
+      assert.deepEqual(getProblems(SEO), []);
+    });
+
+    it('lists every problem with the path of its field', () => {
+      const seo = structuredClone(SEO);
+      seo.url = 'https://oriana-cuello.vercel.app/';
+      seo.meta.image = 'og-image';
+      delete seo.meta.ogTitle.en;
+      seo.person.sameAs = ['http://facebook.com/orianacuello'];
+      seo.business.geo.latitude = -134.6;
+      seo.robots.disallow = ['admin'];
+
+      assert.deepEqual(getProblems(seo), [
+        'url: expected the site\'s https:// address without a trailing slash, got "https://oriana-cuello.vercel.app/"',
+        'meta.ogTitle.en: missing translation',
+        'meta.image: expected the id of a photo in data/photos.json, got "og-image"',
+        'person.sameAs[0]: expected an https:// URL, got "http://facebook.com/orianacuello"',
+        'business.geo.latitude: expected a number from -90 to 90, got -134.6',
+        'robots.disallow[0]: expected a path starting with /, got "admin"'
+      ]);
+    });
+  });
+
+  describe('validateTestimonials', () => {
+    const validate = data => validateTestimonials(data, MANIFEST);
+
+    it('accepts data/testimonials.json', () => {
+      assert.deepEqual(getProblems(TESTIMONIALS, validate), []);
+    });
+
+    it('checks each testimonial against the portfolio', () => {
+      const data = structuredClone(TESTIMONIALS);
+      data.testimonials[1].id = data.testimonials[0].id;
+      data.testimonials[2].category = 'deportes';
+      data.testimonials[3].date = '21/07/2026';
+      data.testimonials[4].rating = 4.5;
+      data.testimonials[5].photo = 'moda-99';
+
+      assert.deepEqual(getProblems(data, validate), [
+        'testimonials[1].id: "lucia-martin" is already used',
+        'testimonials[2].category: expected the id of a category in data/photos.json, got "deportes"',
+        'testimonials[3].date: expected a date like "2026-03-14", got "21/07/2026"',
+        'testimonials[4].rating: expected a whole number from 1 to 5, got 4.5',
+        'testimonials[5].photo: expected the id of a photo in data/photos.json, got "moda-99"'
+      ]);
+    });
+  });
+
+  describe('findMissingAssets', () => {
+    it('finds nothing missing in the site', () => {
+      const webManifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'public/favicon/site.webmanifest'), 'utf8'));
+
+      assert.deepEqual(findMissingAssets(HTML, webManifest, MANIFEST.photos), []);
+    });
+
+    it('reports local files that are missing and photos over http', () => {
+      const html = `
+        <link rel="stylesheet" href="css/base.css">
+        <link rel="icon" href="public/favicon/favicon-64x64.png">
+        <a href="#contacto">Contacto</a>
+        <a href="journal/">Diario</a>
+        <a href="mailto:hola@orianacuello.com">Email</a>
+        <img src="https://images.unsplash.com/photo-1?w=800" alt="">
+        <img src="images/og-image.jpg?v=2" alt="">
+      `;
+      const webManifest = { icons: [{ src: 'android-chrome-1024x1024.png' }] };
+      const photos = [
+        { id: 'retratos-01', src: 'http://images.unsplash.com/photo-1' },
+        { id: 'local-01', src: 'images/local-01.jpg' }
+      ];
+
+      assert.deepEqual(findMissingAssets(html, webManifest, photos), [
+        'index.html: public/favicon/favicon-64x64.png doesn\'t exist',
+        'index.html: images/og-image.jpg doesn\'t exist',
+        'public/favicon/site.webmanifest: public/favicon/android-chrome-1024x1024.png doesn\'t exist',
+        'data/photos.json: retratos-01 isn\'t served over https (http://images.unsplash.com/photo-1)',
+        'data/photos.json: images/local-01.jpg doesn\'t exist'
+      ]);
+    });
+  });
+
+  describe('rendering', () => {
+    let model;
+
+    before(() => {
+      model = loadSite();
+    });
+
+    it('matches the committed index.html', () => {
+      assert.equal(renderHtml(HTML, model), HTML);
+    });
+
+    it('describes the site with one consistent graph', () => {
+      const [person, business, gallery] = buildGraph(model, 'es')['@graph'];
+
+      assert.equal(person['@type'], 'Person');
+      assert.equal(business['@type'], 'LocalBusiness');
+      assert.equal(business.telephone, '+5491123456789');
+      assert.deepEqual(business.areaServed.geoMidpoint, business.geo);
+      assert.deepEqual(business.founder, { '@id': person['@id'] });
+      assert.equal(gallery['@type'], 'ImageGallery');
+      assert.equal(gallery.image.length, MANIFEST.photos.length);
+      assert.ok(gallery.image.every(image => image['@type'] === 'ImageObject' && image.contentUrl.startsWith('https://')));
+    });
+
+    it('rates the business with the testimonials', () => {
+      const business = buildGraph(model, 'es')['@graph'][1];
+      const ratings = TESTIMONIALS.testimonials.map(testimonial => testimonial.rating);
+
+      assert.deepEqual(business.aggregateRating, {
+        '@type': 'AggregateRating',
+        ratingValue: Math.round(ratings.reduce((sum, rating) => sum + rating) / ratings.length * 10) / 10,
+        bestRating: 5,
+        worstRating: 1,
+        reviewCount: ratings.length
+      });
+      assert.deepEqual(business.review[0], {
+        '@type': 'Review',
+        author: { '@type': 'Person', name: 'Lucía y Martín' },
+        datePublished: '2026-03-14',
+        reviewBody: TESTIMONIALS.testimonials[0].quote,
+        reviewRating: { '@type': 'Rating', ratingValue: 5, bestRating: 5, worstRating: 1 }
+      });
+    });
+
+    it('leaves out ratings when there are no testimonials', () => {
+      const business = buildGraph(Object.assign({}, model, { testimonials: [] }), 'es')['@graph'][1];
+
+      assert.equal('aggregateRating' in business, false);
+      assert.equal('review' in business, false);
+    });
+
+    it('lists only the page in the sitemap, with its photos', () => {
+      const sitemap = renderSitemap(Object.assign({}, model, { lastModified: '2026-03-01' }));
+
+      assert.deepEqual(sitemap.match(/<loc>[^<]*<\/loc>/g), ['<loc>https://oriana-cuello.vercel.app/</loc>']);
+      assert.match(sitemap, /<lastmod>2026-03-01<\/lastmod>/);
+      assert.equal(sitemap.match(/<image:loc>/g).length, MANIFEST.photos.length);
+      assert.doesNotMatch(sitemap, /#|&(?!amp;)/);
+    });
+
+    it('lists other pages after the page', () => {
+      const sitemap = renderSitemap(Object.assign({}, model, { lastModified: '2026-03-01' }), [
+        { url: 'https://oriana-cuello.vercel.app/journal/', lastModified: '2026-04-02' },
+        { url: 'https://oriana-cuello.vercel.app/journal/la-boda/', lastModified: '2026-03-14', images: ['https://images.unsplash.com/photo-1?w=1440&q=75'] }
+      ]);
+
+      assert.deepEqual(sitemap.match(/<loc>[^<]*<\/loc>/g), [
+        '<loc>https://oriana-cuello.vercel.app/</loc>',
+        '<loc>https://oriana-cuello.vercel.app/journal/</loc>',
+        '<loc>https://oriana-cuello.vercel.app/journal/la-boda/</loc>'
+      ]);
+      assert.match(sitemap, /<loc>https:\/\/oriana-cuello\.vercel\.app\/journal\/la-boda\/<\/loc>\n {4}<lastmod>2026-03-14<\/lastmod>\n {4}<image:image>\n {6}<image:loc>https:\/\/images\.unsplash\.com\/photo-1\?w=1440&amp;q=75<\/image:loc>/);
+    });
+
+    it('points robots.txt at the sitemap', () => {
+      assert.equal(renderRobots(model), [
+        'User-agent: *',
+        'Allow: /',
+        'Disallow: /admin/',
+        'Disallow: /api/',
+        '',
+        'Sitemap: https://oriana-cuello.vercel.app/sitemap.xml',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('index.html in English', () => {
+    let page;
+
+    before(async () => {
+      page = await loadPage({ lang: 'en' });
+    });
+
+    after(() => page.close());
+
+    it('translates the tags and the graph', () => {
+      const { document } = page;
+      const data = getStructuredData(document);
+      const [person, business, gallery] = data[0]['@graph'];
+      const catalog = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/i18n/en.json'), 'utf8'));
+
+      assert.equal(data.length, 1);
+      assert.equal(document.querySelector('meta[property="og:image:alt"]').content, 'Wedding photography - Oriana Cuello Buenos Aires');
+      assert.equal(person.jobTitle, 'Professional Photographer');
+      assert.equal(business.description, SEO.business.description.en);
+      assert.equal(gallery.name, SEO.gallery.name.en);
+      assert.equal(gallery.image[0].caption, 'The first dance');
+      assert.equal(business.review[0].reviewBody, catalog.testimonials.quotes['lucia-martin']);
+    });
+  });
+});
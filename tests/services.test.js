@@ -0,0 +1,250 @@
+/**
+ * Services Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom } = require('./helpers/dom');
+const { loadPage } = require('./helpers/page');
+const { calculateEstimate, convertPrice, Services } = require('../js/services');
+
+const SERVICES = {
+  usdRate: 1000,
+  extraHourPrice: 50000,
+  packages: [
+    { id: 'esencial', name: 'Esencial', description: 'Eventos cortos.', hours: 3, photos: 150, deliveryDays: 21, price: 400000, includes: [] },
+    { id: 'premium', name: 'Premium', description: 'Todo el día.', hours: 10, photos: 700, deliveryDays: 30, price: 1500000, includes: ['album'] }
+  ],
+  addOns: [
+    { id: 'album', name: 'Álbum impreso', price: 200000 },
+    { id: 'express', name: 'Entrega express', price: 100000 }
+  ]
+};
+
+const MARKUP = `
+  <div class="services" hidden>
+    <ul class="services__packages"></ul>
+    <form class="estimator">
+      <select name="package"></select>
+      <input type="number" name="extraHours" value="0">
+      <p class="estimator__hour-price"></p>
+      <div class="estimator__addons-list"></div>
+      <input type="radio" name="currency" value="ARS" checked>
+      <input type="radio" name="currency" value="USD">
+      <output class="estimator__total"></output>
+      <ul class="estimator__breakdown"></ul>
+      <p class="estimator__note"></p>
+    </form>
+  </div>
+`;
+
+describe('services', () => {
+  describe('calculateEstimate', () => {
+    it('adds extra hours and add-ons to the package price', () => {
+      const estimate = calculateEstimate(SERVICES, { packageId: 'esencial', extraHours: 2, addOns: ['album', 'express'] });
+
+      assert.equal(estimate.package.id, 'esencial');
+      assert.deepEqual(estimate.addOns.map(addOn => addOn.id), ['album', 'express']);
+      assert.equal(estimate.total, 400000 + 2 * 50000 + 200000 + 100000);
+    });
+
+    it('doesn\'t charge for add-ons the package includes', () => {
+      const estimate = calculateEstimate(SERVICES, { packageId: 'premium', addOns: ['album'] });
+
+      assert.deepEqual(estimate.addOns, []);
+      assert.equal(estimate.total, 1500000);
+    });
+
+    it('keeps extra hours within the allowed range', () => {
+      assert.equal(calculateEstimate(SERVICES, { packageId: 'esencial', extraHours: -3 }).extraHours, 0);
+      assert.equal(calculateEstimate(SERVICES, { packageId: 'esencial', extraHours: 40 }).extraHours, 6);
+      assert.equal(calculateEstimate(SERVICES, { packageId: 'esencial', extraHours: NaN }).extraHours, 0);
+    });
+
+    it('has no estimate without a package', () => {
+      assert.equal(calculateEstimate(SERVICES, { packageId: '' }), null);
+    });
+  });
+
+  describe('convertPrice', () => {
+    it('converts pesos to whole dollars at the configured rate', () => {
+      assert.equal(convertPrice(850000, 'USD', 1250), 680);
+      assert.equal(convertPrice(100000, 'USD', 1300), 77);
+      assert.equal(convertPrice(850000, 'ARS', 1250), 850000);
+    });
+  });
+
+  describe('Services', () => {
+    let env;
+    let services;
+    let estimates;
+
+    beforeEach(async () => {
+      env = setupDom(MARKUP);
+      estimates = [];
+      env.document.addEventListener('services:estimate', e => estimates.push(e.detail.estimate));
+      Object.assign(global, {
+        translate: (key, params, fallback) => fallback,
+        fetch: mock.fn(async () => ({ ok: true, json: async () => SERVICES }))
+      });
+
+      services = new Services();
+      await services.ready;
+    });
+
+    afterEach(() => {
+      services.destroy();
+      ['translate', 'fetch'].forEach(name => {
+        delete global[name];
+      });
+      env.cleanup();
+    });
+
+    function query(selector) {
+      return env.document.querySelector(selector);
+    }
+
+    function change(element, value) {
+      if (element.type === 'checkbox' || element.type === 'radio') {
+        element.checked = value;
+      } else {
+        element.value = value;
+      }
+      element.dispatchEvent(new env.window.Event('change', { bubbles: true }));
+    }
+
+    function text(selector) {
+      return query(selector).textContent.replace(/\s/g, ' ');
+    }
+
+    it('renders a card per package with its coverage, photos, delivery and included add-ons', () => {
+      const cards = env.document.querySelectorAll('.services__package');
+
+      assert.equal(query('.services').hidden, false);
+      assert.equal(cards.length, 2);
+      assert.deepEqual(Array.from(cards[1].querySelectorAll('.services__features li')).map(item => item.textContent), [
+        '10 horas de cobertura',
+        '700 fotos editadas',
+        'Entrega en 30 días',
+        'Incluye: Álbum impreso'
+      ]);
+      assert.equal(cards[0].querySelector('.services__price').textContent.replace(/\s/g, ' '), 'Desde $ 400.000');
+      assert.equal(text('.estimator__total'), 'Elegí un paquete para ver el estimado');
+    });
+
+    it('prices the selection and announces it', () => {
+      const form = query('.estimator');
+
+      change(form.elements.package, 'esencial');
+      change(form.elements.extraHours, '2');
+      change(query('input[name="addOns"][value="express"]'), true);
+
+      assert.equal(text('.estimator__total'), 'Total estimado: $ 600.000');
+      assert.deepEqual(Array.from(env.document.querySelectorAll('.estimator__breakdown li')).map(item => item.textContent.replace(/\s/g, ' ')), [
+        'Esencial: $ 400.000',
+        '2 h extra: $ 100.000',
+        'Entrega express: $ 100.000'
+      ]);
+
+      const estimate = estimates[estimates.length - 1];
+      assert.equal(estimate.packageId, 'esencial');
+      assert.equal(estimate.total, 600000);
+      assert.equal(estimate.text.replace(/\s/g, ' '), 'Presupuesto estimado: Esencial + 2 h extra + Entrega express ($ 600.000).');
+      assert.equal(estimate.subject, 'Presupuesto: paquete Esencial');
+    });
+
+    it('switches every price to dollars', () => {
+      change(query('.estimator').elements.package, 'esencial');
+      change(query('input[name="currency"][value="USD"]'), true);
+
+      assert.equal(text('.estimator__total'), 'Total estimado: US$ 400');
+      assert.equal(text('.services__price'), 'Desde US$ 400');
+      assert.equal(text('.estimator__hour-price'), 'US$ 50 por hora');
+      assert.deepEqual([estimates[estimates.length - 1].total, estimates[estimates.length - 1].currency], [400, 'USD']);
+    });
+
+    it('marks the add-ons a package includes, keeping the visitor\'s other choices', () => {
+      const album = query('input[name="addOns"][value="album"]');
+
+      change(album, true);
+      change(query('.estimator').elements.package, 'premium');
+      assert.equal(album.disabled, true);
+      assert.equal(album.closest('.estimator__option').querySelector('.estimator__option-price').textContent, 'Incluido');
+      assert.equal(estimates[estimates.length - 1].total, 1500000);
+
+      change(query('.estimator').elements.package, 'esencial');
+      assert.equal(album.disabled, false);
+      assert.equal(album.checked, true);
+      assert.equal(estimates[estimates.length - 1].total, 600000);
+    });
+
+    it('picks a card\'s package in the estimator', () => {
+      const select = query('.estimator').elements.package;
+
+      query('.services__package[data-package-id="premium"] .services__choose').click();
+
+      assert.equal(select.value, 'premium');
+      assert.equal(env.document.activeElement, select);
+      assert.equal(query('.services__package[data-package-id="premium"]').classList.contains('is-active'), true);
+    });
+
+    it('withdraws the estimate when the package is cleared', () => {
+      change(query('.estimator').elements.package, 'esencial');
+      change(query('.estimator').elements.package, '');
+
+      assert.equal(estimates[estimates.length - 1], null);
+    });
+
+    it('stays hidden when the dollar rate or the extra hour price can\'t be used', async () => {
+      mock.method(console, 'error', () => {});
+      estimates.length = 0;
+
+      for (const rates of [{ usdRate: undefined }, { usdRate: '1000' }, { extraHourPrice: 0 }, { extraHourPrice: null }]) {
+        services.destroy();
+        env.document.body.innerHTML = MARKUP;
+        global.fetch = mock.fn(async () => ({ ok: true, json: async () => Object.assign({}, SERVICES, rates) }));
+
+        services = new Services();
+        await services.ready;
+
+        assert.equal(query('.services').hidden, true);
+        assert.equal(query('.services__package'), null);
+      }
+
+      assert.equal(console.error.mock.callCount(), 4);
+      assert.deepEqual(estimates, []);
+      console.error.mock.restore();
+    });
+  });
+
+  describe('contact buttons', () => {
+    let page;
+
+    before(async () => {
+      page = await loadPage();
+      await Promise.all(page.window.app.components.map(component => component.ready));
+    });
+
+    after(() => page.close());
+
+    it('carry the estimate in the WhatsApp message and the email', () => {
+      const { document, window } = page;
+      const form = document.querySelector('.estimator');
+      const whatsapp = document.querySelector('.contact__buttons .btn--whatsapp');
+      const email = document.querySelector('.contact__buttons a[href^="mailto:"]');
+
+      form.elements.package.value = 'completo';
+      form.elements.package.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+      const message = new URL(whatsapp.href).searchParams.get('text');
+      assert.match(message, /^Hola Oriana.*servicios de fotografía\.\n\nPresupuesto estimado: Completo \(\$\s850\.000\)\.$/s);
+
+      const params = new URLSearchParams(email.href.split('?')[1]);
+      assert.equal(params.get('subject'), 'Presupuesto: paquete Completo');
+      assert.equal(params.get('body'), message);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Testimonials Tests
+ * Professional Photography Portfolio - Oriana Cuello
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDom } = require('./helpers/dom');
+const { TESTIMONIALS_CONFIG, Testimonials } = require('../js/testimonials');
+
+const TESTIMONIALS = [
+  { id: 'lucia-martin', name: 'Lucía y Martín', category: 'casamientos', date: '2026-03-14', quote: 'Volvimos a vivir el día.', rating: 5, photo: 'casamientos-01' },
+  { id: 'carolina-ruiz', name: 'Carolina Ruiz', category: 'retratos', date: '2026-05-02', quote: 'Fui yo, tal cual soy.', rating: 4 },
+  { id: 'ana-pablo', name: 'Ana y Pablo', category: 'casamientos', date: '2025-11-22', quote: 'Nos encantaron.', rating: 5 },
+  { id: 'sin-categoria', name: 'Sin categoría', category: 'deportes', date: '2026-01-10', quote: 'No se muestra.', rating: 5 }
+];
+
+const MARKUP = `
+  <section class="testimonials" hidden>
+    <div class="testimonials__filters" role="group"></div>
+    <div class="testimonials__carousel" role="region">
+      <button type="button" class="testimonials__rotation"></button>
+      <button type="button" class="testimonials__nav testimonials__nav--prev"></button>
+      <button type="button" class="testimonials__nav testimonials__nav--next"></button>
+      <div class="testimonials__track" aria-live="off"></div>
+    </div>
+  </section>
+  <a href="#inicio" class="outside">Inicio</a>
+`;
+
+// Stand-in for the gallery js/gallery.js creates
+const CATEGORIES = [
+  { id: 'retratos', title: 'Retratos' },
+  { id: 'casamientos', title: 'Casamientos' },
+  { id: 'producto', title: 'Producto' }
+];
+
+const fakeGallery = {
+  categories: CATEGORIES,
+  getCategory: id => CATEGORIES.find(category => category.id === id) || null,
+  getCategoryText: (category, field) => category[field],
+  getFilterTitle: category => category.title,
+  getPhoto: id => ({ id }),
+  createImage: photo => {
+    const image = document.createElement('img');
+    image.className = 'testimonial__image';
+    image.dataset.photoId = photo.id;
+    return image;
+  }
+};
+
+describe('Testimonials', () => {
+  let env;
+  let testimonials;
+  let reducedMotion;
+  let motionListeners;
+
+  beforeEach(() => {
+    env = setupDom(MARKUP);
+    reducedMotion = false;
+    motionListeners = [];
+    env.window.matchMedia = query => ({
+      get matches() { return reducedMotion; },
+      media: query,
+      addEventListener: (type, listener) => motionListeners.push(listener),
+      removeEventListener() {}
+    });
+    Object.assign(global, {
+      PORTFOLIO_FILTER_ALL: 'all',
+      IMAGE_LAYOUTS: { testimonial: '64px' },
+      translate: (key, params, fallback) => fallback,
+      fetch: mock.fn(async () => ({ ok: true, json: async () => ({ testimonials: TESTIMONIALS }) }))
+    });
+    mock.timers.enable({ apis: ['setInterval'] });
+  });
+
+  afterEach(() => {
+    testimonials.destroy();
+    mock.timers.reset();
+    ['PORTFOLIO_FILTER_ALL', 'IMAGE_LAYOUTS', 'translate', 'fetch'].forEach(name => {
+      delete global[name];
+    });
+    env.cleanup();
+  });
+
+  async function create() {
+    testimonials = new Testimonials(fakeGallery, { lazyLoadImages: mock.fn() });
+    await testimonials.ready;
+  }
+
+  function query(selector) {
+    return env.document.querySelector(selector);
+  }
+
+  function currentId() {
+    return query('.testimonial:not([hidden])').dataset.testimonialId;
+  }
+
+  function filterIds() {
+    return Array.from(env.document.querySelectorAll('.testimonials__filter')).map(button => button.dataset.filter);
+  }
+
+  describe('rendering', () => {
+    it('shows the testimonials of known categories, one at a time', async () => {
+      await create();
+
+      const slides = env.document.querySelectorAll('.testimonial');
+      assert.equal(query('.testimonials').hidden, false);
+      assert.deepEqual(Array.from(slides).map(slide => slide.dataset.testimonialId), ['lucia-martin', 'carolina-ruiz', 'ana-pablo']);
+      assert.deepEqual(Array.from(slides).map(slide => slide.hidden), [false, true, true]);
+      assert.equal(slides[0].getAttribute('aria-label'), '1 de 3');
+      assert.equal(slides[1].querySelector('.testimonial__rating').getAttribute('aria-label'), '4 de 5 estrellas');
+      assert.equal(slides[1].querySelectorAll('.testimonial__star--filled').length, 4);
+      assert.match(slides[0].querySelector('.testimonial__details').textContent, /^Casamientos · marzo (de )?2026$/);
+      assert.equal(slides[0].querySelector('.testimonial__image').dataset.photoId, 'casamientos-01');
+      assert.equal(slides[1].querySelector('.testimonial__image'), null);
+    });
+
+    it('stays hidden when the file can\'t be loaded', async () => {
+      global.fetch = mock.fn(async () => ({ ok: false, status: 404 }));
+      mock.method(console, 'error', () => {});
+
+      await create();
+
+      assert.equal(query('.testimonials').hidden, true);
+      assert.equal(console.error.mock.callCount(), 1);
+      console.error.mock.restore();
+    });
+  });
+
+  describe('filters', () => {
+    it('offers the portfolio categories that have testimonials, in the portfolio\'s order', async () => {
+      await create();
+
+      assert.deepEqual(filterIds(), ['all', 'retratos', 'casamientos']);
+      assert.equal(query('.testimonials__filter[data-filter="all"]').getAttribute('aria-pressed'), 'true');
+    });
+
+    it('shows only the chosen category', async () => {
+      await create();
+
+      query('.testimonials__filter[data-filter="casamientos"]').click();
+
+      assert.deepEqual(Array.from(env.document.querySelectorAll('.testimonial')).map(slide => slide.dataset.testimonialId), ['lucia-martin', 'ana-pablo']);
+      assert.equal(query('.testimonials__filter[data-filter="casamientos"]').getAttribute('aria-pressed'), 'true');
+      assert.equal(query('.testimonials__filter[data-filter="all"]').getAttribute('aria-pressed'), 'false');
+    });
+
+    it('hides the controls when a category has a single testimonial', async () => {
+      await create();
+
+      query('.testimonials__filter[data-filter="retratos"]').click();
+
+      assert.equal(query('.testimonials__rotation').hidden, true);
+      assert.equal(query('.testimonials__nav--next').hidden, true);
+      assert.equal(testimonials.timer, null);
+    });
+  });
+
+  describe('rotation', () => {
+    it('advances on its own and wraps around', async () => {
+      await create();
+
+      assert.equal(query('.testimonials__track').getAttribute('aria-live'), 'off');
+      mock.timers.tick(TESTIMONIALS_CONFIG.INTERVAL);
+      assert.equal(currentId(), 'carolina-ruiz');
+      mock.timers.tick(TESTIMONIALS_CONFIG.INTERVAL * 2);
+      assert.equal(currentId(), 'lucia-martin');
+    });
+
+    it('pauses while hovered', async () => {
+      await create();
+      const carousel = query('.testimonials__carousel');
+
+      carousel.dispatchEvent(new env.window.MouseEvent('mouseenter'));
+      mock.timers.tick(TESTIMONIALS_CONFIG.INTERVAL * 2);
+      assert.equal(currentId(), 'lucia-martin');
+
+      carousel.dispatchEvent(new env.window.MouseEvent('mouseleave'));
+      mock.timers.tick(TESTIMONIALS_CONFIG.INTERVAL);
+      assert.equal(currentId(), 'carolina-ruiz');
+    });
+
+    it('pauses while focus is inside and announces slides meanwhile', async () => {
+      await create();
+
+      query('.testimonials__nav--next').focus();
+      mock.timers.tick(TESTIMONIALS_CONFIG.INTERVAL * 2);
+      assert.equal(currentId(), 'lucia-martin');
+      assert.equal(query('.testimonials__track').getAttribute('aria-live'), 'polite');
+
+      // Moving between the controls keeps it paused
+      query('.testimonials__nav--prev').focus();
+      mock.timers.tick(TESTIMONIALS_CONFIG.INTERVAL);
+      assert.equal(currentId(), 'lucia-martin');
+
+      query('.outside').focus();
+      mock.timers.tick(TESTIMONIALS_CONFIG.INTERVAL);
+      assert.equal(currentId(), 'carolina-ruiz');
+    });
+
+    it('stops and restarts with the rotation button', async () => {
+      await create();
+      const button = query('.testimonials__rotation');
+
+      button.click();
+      assert.equal(button.dataset.state, 'paused');
+      assert.equal(button.getAttribute('aria-label'), 'Reproducir testimonios');
+      mock.timers.tick(TESTIMONIALS_CONFIG.INTERVAL * 2);
+      assert.equal(currentId(), 'lucia-martin');
+
+      button.click();
+      assert.equal(button.dataset.state, 'playing');
+      mock.timers.tick(TESTIMONIALS_CONFIG.INTERVAL);
+      assert.equal(currentId(), 'carolina-ruiz');
+    });
+
+    it('never rotates with reduced motion', async () => {
+      reducedMotion = true;
+      await create();
+
+      mock.timers.tick(TESTIMONIALS_CONFIG.INTERVAL * 2);
+      assert.equal(currentId(), 'lucia-martin');
+      assert.equal(query('.testimonials__rotation').dataset.state, 'paused');
+
+      // The visitor can still move by hand
+      query('.testimonials__nav--next').click();
+      assert.equal(currentId(), 'carolina-ruiz');
+    });
+
+    it('stops when reduced motion is turned on', async () => {
+      await create();
+
+      reducedMotion = true;
+      motionListeners.forEach(listener => listener());
+      mock.timers.tick(TESTIMONIALS_CONFIG.INTERVAL * 2);
+
+      assert.equal(currentId(), 'lucia-martin');
+    });
+  });
+});